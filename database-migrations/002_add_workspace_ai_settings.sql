@@ -0,0 +1,20 @@
+-- Migration: Add AI settings to workspaces
+-- Description: Lets each workspace choose its LLM provider and model instead of the deployment default
+-- Created: 2026-10-19
+
+-- Add AI settings columns (NULL means "use the deployment default")
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS ai_model VARCHAR(100);
+
+-- Restrict provider names to the backends the API supports
+ALTER TABLE public.workspaces
+  DROP CONSTRAINT IF EXISTS workspaces_ai_provider_check;
+
+ALTER TABLE public.workspaces
+  ADD CONSTRAINT workspaces_ai_provider_check
+  CHECK (ai_provider IS NULL OR ai_provider IN ('openai', 'anthropic'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.workspaces.ai_provider IS 'LLM provider used for SQL generation (openai, anthropic); NULL uses AI_PROVIDER';
+COMMENT ON COLUMN public.workspaces.ai_model IS 'LLM model used for SQL generation; NULL uses the provider default model';
@@ -0,0 +1,12 @@
+-- Rollback Migration: Remove AI settings from workspaces
+-- Description: Drops the ai_provider and ai_model columns from workspaces
+-- Created: 2026-10-19
+
+-- Drop constraint
+ALTER TABLE public.workspaces
+  DROP CONSTRAINT IF EXISTS workspaces_ai_provider_check;
+
+-- Drop columns
+ALTER TABLE public.workspaces
+  DROP COLUMN IF EXISTS ai_provider,
+  DROP COLUMN IF EXISTS ai_model;
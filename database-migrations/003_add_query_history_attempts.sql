@@ -0,0 +1,15 @@
+-- Migration: Add self-correction attempts to query_history
+-- Description: Records every execution attempt when failed SQL is sent back to the model for correction
+-- Created: 2026-10-19
+
+-- Add attempt tracking columns
+ALTER TABLE public.query_history
+  ADD COLUMN IF NOT EXISTS run_id UUID,
+  ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 1;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.query_history.run_id IS 'Groups the attempts made for a single question (one row per attempt)';
+COMMENT ON COLUMN public.query_history.attempt_number IS 'Attempt number within the run (1 = original SQL, 2+ = AI corrections)';
+
+-- Create index for looking up all attempts of a run
+CREATE INDEX IF NOT EXISTS idx_query_history_run_id ON public.query_history(run_id) WHERE run_id IS NOT NULL;
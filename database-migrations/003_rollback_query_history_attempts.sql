@@ -0,0 +1,11 @@
+-- Rollback Migration: Remove self-correction attempts from query_history
+-- Description: Drops the run_id and attempt_number columns
+-- Created: 2026-10-19
+
+-- Drop index
+DROP INDEX IF EXISTS public.idx_query_history_run_id;
+
+-- Drop columns
+ALTER TABLE public.query_history
+  DROP COLUMN IF EXISTS run_id,
+  DROP COLUMN IF EXISTS attempt_number;
@@ -0,0 +1,79 @@
+-- Migration: Create conversations and conversation_turns tables
+-- Description: Stores server-side chat sessions so follow-up questions can use prior turns as context
+-- Created: 2026-10-19
+
+-- Create conversations table
+CREATE TABLE IF NOT EXISTS public.conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  title VARCHAR(100),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create conversation_turns table
+CREATE TABLE IF NOT EXISTS public.conversation_turns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES public.conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  question TEXT NOT NULL,
+  sql_query TEXT,
+  explanation TEXT,
+  result_columns JSONB NOT NULL DEFAULT '[]'::jsonb,
+  row_count INTEGER DEFAULT 0,
+  success BOOLEAN NOT NULL DEFAULT true,
+  error_message TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.conversations IS 'Chat sessions grouping follow-up questions against one workspace';
+COMMENT ON COLUMN public.conversations.title IS 'Conversation title (defaults to the first question)';
+COMMENT ON TABLE public.conversation_turns IS 'Questions asked within a conversation with their SQL and result shape';
+COMMENT ON COLUMN public.conversation_turns.result_columns IS 'Column names returned by the query (JSON array of strings)';
+COMMENT ON COLUMN public.conversation_turns.row_count IS 'Number of rows returned by the query';
+COMMENT ON COLUMN public.conversation_turns.success IS 'Whether the query executed successfully (failed turns are not sent as context)';
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON public.conversations(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_workspace_id ON public.conversations(workspace_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_turns_conversation_id ON public.conversation_turns(conversation_id, created_at);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conversation_turns ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can manage their own conversations"
+  ON public.conversations
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own conversation turns"
+  ON public.conversation_turns
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Create updated_at trigger function
+CREATE OR REPLACE FUNCTION public.update_conversations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_conversations_updated_at_trigger
+  BEFORE UPDATE ON public.conversations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_conversations_updated_at();
+
+-- Grant permissions
+GRANT ALL ON public.conversations TO service_role;
+GRANT ALL ON public.conversation_turns TO service_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.conversations TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.conversation_turns TO authenticated;
@@ -0,0 +1,17 @@
+-- Rollback Migration: Drop conversations and conversation_turns tables
+-- Description: Removes chat session tables and all related objects
+-- Created: 2026-10-19
+
+-- Drop triggers
+DROP TRIGGER IF EXISTS update_conversations_updated_at_trigger ON public.conversations;
+
+-- Drop functions
+DROP FUNCTION IF EXISTS public.update_conversations_updated_at();
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can manage their own conversation turns" ON public.conversation_turns;
+DROP POLICY IF EXISTS "Users can manage their own conversations" ON public.conversations;
+
+-- Drop tables (turns first because of the foreign key)
+DROP TABLE IF EXISTS public.conversation_turns CASCADE;
+DROP TABLE IF EXISTS public.conversations CASCADE;
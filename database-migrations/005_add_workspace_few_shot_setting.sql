@@ -0,0 +1,15 @@
+-- Migration: Add few-shot prompting setting to workspaces
+-- Description: Lets a workspace opt out of sending past successful queries to the model as examples
+-- Created: 2026-10-19
+
+-- Add setting column (enabled by default)
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS few_shot_enabled BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Speed up the example lookup (successful queries per workspace, newest first)
+CREATE INDEX IF NOT EXISTS idx_query_history_workspace_success
+  ON public.query_history(workspace_id, created_at DESC)
+  WHERE success = TRUE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.workspaces.few_shot_enabled IS 'Whether similar favorited/successful queries from query_history are added to SQL generation prompts';
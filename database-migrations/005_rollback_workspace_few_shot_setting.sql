@@ -0,0 +1,10 @@
+-- Rollback Migration: Remove few-shot prompting setting from workspaces
+-- Description: Drops the few_shot_enabled column and the example lookup index
+-- Created: 2026-10-19
+
+-- Drop index
+DROP INDEX IF EXISTS public.idx_query_history_workspace_success;
+
+-- Drop column
+ALTER TABLE public.workspaces
+  DROP COLUMN IF EXISTS few_shot_enabled;
@@ -0,0 +1,19 @@
+-- Migration: Add token usage and cost to query_history
+-- Description: Records the model, token counts and estimated cost of the generation behind each attempt
+-- Created: 2026-10-19
+
+-- Add usage columns (NULL when no model was called, e.g. the request failed before generation)
+ALTER TABLE public.query_history
+  ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS completion_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS estimated_cost NUMERIC(12, 6);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.query_history.model IS 'Model that generated the SQL for this attempt, as reported by the provider';
+COMMENT ON COLUMN public.query_history.prompt_tokens IS 'Prompt (input) tokens used to generate the SQL for this attempt';
+COMMENT ON COLUMN public.query_history.completion_tokens IS 'Completion (output) tokens used to generate the SQL for this attempt';
+COMMENT ON COLUMN public.query_history.estimated_cost IS 'Estimated generation cost in USD (NULL when the model has no known price)';
+
+-- Create index for cost breakdowns by model over a date range
+CREATE INDEX IF NOT EXISTS idx_query_history_model_created_at ON public.query_history(model, created_at DESC) WHERE model IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Rollback Migration: Remove token usage and cost from query_history
+-- Description: Drops the model, prompt_tokens, completion_tokens and estimated_cost columns
+-- Created: 2026-10-19
+
+-- Drop index
+DROP INDEX IF EXISTS public.idx_query_history_model_created_at;
+
+-- Drop columns
+ALTER TABLE public.query_history
+  DROP COLUMN IF EXISTS model,
+  DROP COLUMN IF EXISTS prompt_tokens,
+  DROP COLUMN IF EXISTS completion_tokens,
+  DROP COLUMN IF EXISTS estimated_cost;
@@ -0,0 +1,10 @@
+-- Migration: Add narrative answers to query_history
+-- Description: Stores the plain-language answer generated from a query's results
+-- Created: 2026-10-19
+
+-- Add answer column (NULL unless the request asked for an answer)
+ALTER TABLE public.query_history
+  ADD COLUMN IF NOT EXISTS answer TEXT;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.query_history.answer IS 'Plain-language answer generated from a redacted sample of the result rows (successful attempt only)';
@@ -0,0 +1,7 @@
+-- Rollback Migration: Remove narrative answers from query_history
+-- Description: Drops the answer column
+-- Created: 2026-10-19
+
+-- Drop column
+ALTER TABLE public.query_history
+  DROP COLUMN IF EXISTS answer;
@@ -0,0 +1,20 @@
+-- Migration: Add chart recommendations to query_history
+-- Description: Stores the recommended visualization and its Vega-Lite spec so saved queries re-render the same way
+-- Created: 2026-10-19
+
+-- Add chart columns (NULL for failed attempts)
+ALTER TABLE public.query_history
+  ADD COLUMN IF NOT EXISTS chart_type VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS chart_spec JSONB;
+
+-- Restrict chart types to the ones the API recommends
+ALTER TABLE public.query_history
+  DROP CONSTRAINT IF EXISTS query_history_chart_type_check;
+
+ALTER TABLE public.query_history
+  ADD CONSTRAINT query_history_chart_type_check
+  CHECK (chart_type IS NULL OR chart_type IN ('number', 'line', 'bar', 'pie', 'table'));
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.query_history.chart_type IS 'Recommended visualization for the results (number, line, bar, pie, table)';
+COMMENT ON COLUMN public.query_history.chart_spec IS 'Vega-Lite spec over the named dataset "results"; NULL when the results are best shown as a table';
@@ -0,0 +1,12 @@
+-- Rollback Migration: Remove chart recommendations from query_history
+-- Description: Drops the chart_type and chart_spec columns
+-- Created: 2026-10-19
+
+-- Drop constraint
+ALTER TABLE public.query_history
+  DROP CONSTRAINT IF EXISTS query_history_chart_type_check;
+
+-- Drop columns
+ALTER TABLE public.query_history
+  DROP COLUMN IF EXISTS chart_type,
+  DROP COLUMN IF EXISTS chart_spec;
@@ -0,0 +1,58 @@
+-- Migration: Create workspace_glossary table and custom instructions on workspaces
+-- Description: Stores business terms, metric definitions and free-form instructions added to SQL generation prompts
+-- Created: 2026-10-19
+
+-- Add free-form instructions column
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS custom_instructions TEXT;
+
+-- Create workspace_glossary table
+CREATE TABLE IF NOT EXISTS public.workspace_glossary (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('term', 'metric')),
+  name VARCHAR(100) NOT NULL,
+  definition TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.workspaces.custom_instructions IS 'Free-form instructions added to SQL generation prompts for this workspace';
+COMMENT ON TABLE public.workspace_glossary IS 'Business terms and metric definitions added to SQL generation prompts';
+COMMENT ON COLUMN public.workspace_glossary.kind IS 'term (business vocabulary, e.g. "active user") or metric (how a measure is computed)';
+COMMENT ON COLUMN public.workspace_glossary.definition IS 'Meaning of the term or metric, usually in terms of tables, columns or SQL expressions';
+
+-- One definition per name and kind in a workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_glossary_name
+  ON public.workspace_glossary(workspace_id, kind, lower(name));
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.workspace_glossary ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can manage their own workspace glossary"
+  ON public.workspace_glossary
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Create updated_at trigger function
+CREATE OR REPLACE FUNCTION public.update_workspace_glossary_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_workspace_glossary_updated_at_trigger
+  BEFORE UPDATE ON public.workspace_glossary
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_workspace_glossary_updated_at();
+
+-- Grant permissions
+GRANT ALL ON public.workspace_glossary TO service_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.workspace_glossary TO authenticated;
@@ -0,0 +1,19 @@
+-- Rollback Migration: Drop workspace_glossary table and custom instructions
+-- Description: Removes the glossary table, its related objects and the custom_instructions column
+-- Created: 2026-10-19
+
+-- Drop triggers
+DROP TRIGGER IF EXISTS update_workspace_glossary_updated_at_trigger ON public.workspace_glossary;
+
+-- Drop functions
+DROP FUNCTION IF EXISTS public.update_workspace_glossary_updated_at();
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can manage their own workspace glossary" ON public.workspace_glossary;
+
+-- Drop table
+DROP TABLE IF EXISTS public.workspace_glossary CASCADE;
+
+-- Drop column
+ALTER TABLE public.workspaces
+  DROP COLUMN IF EXISTS custom_instructions;
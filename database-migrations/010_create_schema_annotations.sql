@@ -0,0 +1,57 @@
+-- Migration: Create schema_annotations table
+-- Description: Stores reviewed descriptions of a workspace's tables and columns for SQL generation prompts
+-- Created: 2026-10-19
+
+-- Create schema_annotations table
+CREATE TABLE IF NOT EXISTS public.schema_annotations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  table_name VARCHAR(255) NOT NULL,
+  column_name VARCHAR(255),
+  description TEXT NOT NULL,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('comment', 'ai', 'user')),
+  status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- One annotation per table (column_name NULL) or column in a workspace
+  CONSTRAINT schema_annotations_target_key UNIQUE NULLS NOT DISTINCT (workspace_id, table_name, column_name)
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.schema_annotations IS 'Descriptions of client database tables and columns added to SQL generation prompts';
+COMMENT ON COLUMN public.schema_annotations.column_name IS 'Annotated column, or NULL for a table description';
+COMMENT ON COLUMN public.schema_annotations.source IS 'comment (imported from COMMENT ON), ai (drafted by the model) or user (written by a user)';
+COMMENT ON COLUMN public.schema_annotations.status IS 'draft (awaiting review, not used in prompts) or approved';
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_schema_annotations_workspace_status ON public.schema_annotations(workspace_id, status);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.schema_annotations ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can manage their own schema annotations"
+  ON public.schema_annotations
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Create updated_at trigger function
+CREATE OR REPLACE FUNCTION public.update_schema_annotations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_schema_annotations_updated_at_trigger
+  BEFORE UPDATE ON public.schema_annotations
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_schema_annotations_updated_at();
+
+-- Grant permissions
+GRANT ALL ON public.schema_annotations TO service_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.schema_annotations TO authenticated;
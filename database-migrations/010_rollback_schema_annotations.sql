@@ -0,0 +1,15 @@
+-- Rollback Migration: Drop schema_annotations table
+-- Description: Removes the annotation store and all related objects
+-- Created: 2026-10-19
+
+-- Drop triggers
+DROP TRIGGER IF EXISTS update_schema_annotations_updated_at_trigger ON public.schema_annotations;
+
+-- Drop functions
+DROP FUNCTION IF EXISTS public.update_schema_annotations_updated_at();
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can manage their own schema annotations" ON public.schema_annotations;
+
+-- Drop table
+DROP TABLE IF EXISTS public.schema_annotations CASCADE;
@@ -0,0 +1,10 @@
+-- Migration: Add generation cache hits to query_history
+-- Description: Marks attempts whose SQL was reused from the generation cache instead of generated
+-- Created: 2026-10-19
+
+-- Add cache_hit column (existing rows were all generated by the model)
+ALTER TABLE public.query_history
+  ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Add comments for documentation
+COMMENT ON COLUMN public.query_history.cache_hit IS 'True when the SQL came from the generation cache (no model call, no token usage)';
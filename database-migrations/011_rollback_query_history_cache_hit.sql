@@ -0,0 +1,7 @@
+-- Rollback Migration: Remove generation cache hits from query_history
+-- Description: Drops the cache_hit column
+-- Created: 2026-10-19
+
+-- Drop column
+ALTER TABLE public.query_history
+  DROP COLUMN IF EXISTS cache_hit;
@@ -0,0 +1,85 @@
+-- Migration: Create benchmark_cases and benchmark_runs tables
+-- Description: Stores per-workspace golden questions with expected results and the scored reports of benchmark runs
+-- Created: 2026-10-19
+
+-- Create benchmark_cases table
+CREATE TABLE IF NOT EXISTS public.benchmark_cases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  question TEXT NOT NULL,
+  expected_sql TEXT,
+  expected_rows JSONB,
+  ordered BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- The expected result is either run from SQL or stored as rows
+  CONSTRAINT benchmark_cases_expected_check CHECK ((expected_sql IS NULL) <> (expected_rows IS NULL))
+);
+
+-- Create benchmark_runs table
+CREATE TABLE IF NOT EXISTS public.benchmark_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  label VARCHAR(100),
+  model VARCHAR(100) NOT NULL,
+  total INTEGER NOT NULL DEFAULT 0,
+  passed INTEGER NOT NULL DEFAULT 0,
+  accuracy NUMERIC(5, 4) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]'::jsonb,
+  usage JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.benchmark_cases IS 'Golden questions of a workspace with the result set the generated SQL must return';
+COMMENT ON COLUMN public.benchmark_cases.expected_sql IS 'Reference SQL run at benchmark time to get the expected rows';
+COMMENT ON COLUMN public.benchmark_cases.expected_rows IS 'Expected rows (JSON array of arrays of values), used when there is no reference SQL';
+COMMENT ON COLUMN public.benchmark_cases.ordered IS 'Whether row order must match (questions that ask for a sorted result)';
+COMMENT ON TABLE public.benchmark_runs IS 'Scored runs of a workspace golden set against the SQL generator';
+COMMENT ON COLUMN public.benchmark_runs.model IS 'Provider and model that generated the SQL (e.g., openai/gpt-4o-mini)';
+COMMENT ON COLUMN public.benchmark_runs.accuracy IS 'Share of cases whose generated SQL returned the expected result (0 to 1)';
+COMMENT ON COLUMN public.benchmark_runs.results IS 'Per-case results: case ID, question, generated SQL, passed, error and row counts';
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_benchmark_cases_workspace_id ON public.benchmark_cases(workspace_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_benchmark_runs_workspace_id ON public.benchmark_runs(workspace_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.benchmark_cases ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.benchmark_runs ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can manage their own benchmark cases"
+  ON public.benchmark_cases
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own benchmark runs"
+  ON public.benchmark_runs
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Create updated_at trigger function
+CREATE OR REPLACE FUNCTION public.update_benchmark_cases_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create trigger for updated_at
+CREATE TRIGGER update_benchmark_cases_updated_at_trigger
+  BEFORE UPDATE ON public.benchmark_cases
+  FOR EACH ROW
+  EXECUTE FUNCTION public.update_benchmark_cases_updated_at();
+
+-- Grant permissions
+GRANT ALL ON public.benchmark_cases TO service_role;
+GRANT ALL ON public.benchmark_runs TO service_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.benchmark_cases TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.benchmark_runs TO authenticated;
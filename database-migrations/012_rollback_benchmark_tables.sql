@@ -0,0 +1,17 @@
+-- Rollback Migration: Drop benchmark_cases and benchmark_runs tables
+-- Description: Removes the golden sets, benchmark reports and all related objects
+-- Created: 2026-10-19
+
+-- Drop triggers
+DROP TRIGGER IF EXISTS update_benchmark_cases_updated_at_trigger ON public.benchmark_cases;
+
+-- Drop functions
+DROP FUNCTION IF EXISTS public.update_benchmark_cases_updated_at();
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can manage their own benchmark runs" ON public.benchmark_runs;
+DROP POLICY IF EXISTS "Users can manage their own benchmark cases" ON public.benchmark_cases;
+
+-- Drop tables
+DROP TABLE IF EXISTS public.benchmark_runs CASCADE;
+DROP TABLE IF EXISTS public.benchmark_cases CASCADE;
@@ -0,0 +1,37 @@
+-- Migration: Create workspace_access_policies table
+-- Description: Stores per-workspace allow and deny policies on client database tables and columns
+-- Created: 2026-10-19
+
+-- Create workspace_access_policies table
+CREATE TABLE IF NOT EXISTS public.workspace_access_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  effect VARCHAR(10) NOT NULL CHECK (effect IN ('allow', 'deny')),
+  table_name VARCHAR(255) NOT NULL,
+  column_name VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.workspace_access_policies IS 'Tables and columns of the client database that are hidden from schema introspection, prompts and generated queries';
+COMMENT ON COLUMN public.workspace_access_policies.effect IS 'allow (once any exists, only allowed tables are visible) or deny (always wins)';
+COMMENT ON COLUMN public.workspace_access_policies.column_name IS 'Column the policy applies to, NULL for the whole table';
+
+-- One policy per effect and table or column in a workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_access_policies_target
+  ON public.workspace_access_policies(workspace_id, effect, lower(table_name), lower(COALESCE(column_name, '')));
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.workspace_access_policies ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can manage their own workspace access policies"
+  ON public.workspace_access_policies
+  FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Grant permissions
+GRANT ALL ON public.workspace_access_policies TO service_role;
+GRANT SELECT, INSERT, DELETE ON public.workspace_access_policies TO authenticated;
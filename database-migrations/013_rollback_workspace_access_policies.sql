@@ -0,0 +1,9 @@
+-- Rollback Migration: Drop workspace_access_policies table
+-- Description: Removes the access policies table and its related objects
+-- Created: 2026-10-19
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can manage their own workspace access policies" ON public.workspace_access_policies;
+
+-- Drop table
+DROP TABLE IF EXISTS public.workspace_access_policies CASCADE;
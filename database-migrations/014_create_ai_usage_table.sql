@@ -0,0 +1,42 @@
+-- Migration: Create ai_usage table
+-- Description: Records the token usage of model calls that do not produce a query_history row
+-- Created: 2026-10-19
+
+-- Create ai_usage table
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  workspace_id UUID NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  operation VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL,
+  prompt_tokens INTEGER,
+  completion_tokens INTEGER,
+  estimated_cost NUMERIC(12, 6),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE public.ai_usage IS 'Token usage of model calls outside query history (clarifications, suggestions, explanations, annotation drafts, benchmark runs)';
+COMMENT ON COLUMN public.ai_usage.operation IS 'What the model was called for, e.g. clarification, suggestions, explain, annotation_draft or benchmark';
+COMMENT ON COLUMN public.ai_usage.estimated_cost IS 'Estimated cost in USD (NULL when the model has no known price)';
+
+-- Create index for workspace cost statistics over a date range
+CREATE INDEX IF NOT EXISTS idx_ai_usage_workspace_created_at ON public.ai_usage(workspace_id, created_at DESC);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE public.ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- Create RLS policies
+CREATE POLICY "Users can view their own AI usage"
+  ON public.ai_usage
+  FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own AI usage"
+  ON public.ai_usage
+  FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+-- Grant permissions
+GRANT ALL ON public.ai_usage TO service_role;
+GRANT SELECT, INSERT ON public.ai_usage TO authenticated;
@@ -0,0 +1,10 @@
+-- Rollback Migration: Drop ai_usage table
+-- Description: Removes the AI usage table and its related objects
+-- Created: 2026-10-19
+
+-- Drop RLS policies
+DROP POLICY IF EXISTS "Users can view their own AI usage" ON public.ai_usage;
+DROP POLICY IF EXISTS "Users can insert their own AI usage" ON public.ai_usage;
+
+-- Drop table
+DROP TABLE IF EXISTS public.ai_usage CASCADE;
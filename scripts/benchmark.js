@@ -0,0 +1,108 @@
+/**
+ * Benchmark CLI
+ * Runs a workspace's golden set against the current SQL generator, saves the
+ * report and compares it with the previous run (or --base), or compares two
+ * saved runs without running anything (--run).
+ *
+ * Usage:
+ *   npm run benchmark -- --workspace <id> --user <id> [--label <text>] [--cases <id,id>] [--base <runId>]
+ *   npm run benchmark -- --workspace <id> --user <id> --run <runId> [--base <runId>]
+ *
+ * Exits with 1 when the run regressed cases compared with its base run.
+ */
+
+const { parseArgs } = require('util');
+const workspaceService = require('../src/services/workspace');
+const databaseService = require('../src/services/database');
+const benchmarkService = require('../src/services/benchmark');
+
+const USAGE = 'Usage: npm run benchmark -- --workspace <id> --user <id> [--label <text>] [--cases <id,id>] [--base <runId>] [--run <runId>]';
+
+/**
+ * Print a run's per-case results and score
+ * @param {Object} run - Run record with results
+ */
+function printRun(run) {
+  console.log(`\n📊 Benchmark run ${run.id}${run.label ? ` (${run.label})` : ''} with ${run.model}`);
+
+  run.results.forEach(result => {
+    const detail = result.error || `${result.rowCount} rows, expected ${result.expectedRowCount}`;
+    console.log(`  ${result.passed ? '✅' : '❌'} ${result.question}${result.passed ? '' : ` — ${detail}`}`);
+  });
+
+  console.log(`\n🎯 Accuracy: ${run.passed}/${run.total} (${(Number(run.accuracy) * 100).toFixed(1)}%)`);
+}
+
+/**
+ * Print the comparison of a run with its base run
+ * @param {Object|null} diff - Result of benchmarkService.compareRuns, or null without a base run
+ */
+function printDiff(diff) {
+  if (!diff) {
+    console.log('ℹ️  No earlier run to compare with');
+    return;
+  }
+
+  const change = (diff.accuracyChange * 100).toFixed(1);
+  console.log(`\n🔀 Compared with run ${diff.baseRunId}: ${diff.accuracyChange >= 0 ? '+' : ''}${change} points`);
+  diff.fixed.forEach(entry => console.log(`  ✅ fixed: ${entry.question}`));
+  diff.regressed.forEach(entry => console.log(`  ❌ regressed: ${entry.question}${entry.error ? ` — ${entry.error}` : ''}`));
+  diff.added.forEach(entry => console.log(`  ➕ new: ${entry.question}`));
+  diff.removed.forEach(entry => console.log(`  ➖ not run: ${entry.question}`));
+  console.log(`  ${diff.stillPassing} still passing, ${diff.stillFailing} still failing`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      workspace: { type: 'string' },
+      user: { type: 'string' },
+      label: { type: 'string' },
+      cases: { type: 'string' },
+      base: { type: 'string' },
+      run: { type: 'string' }
+    }
+  });
+
+  if (!values.workspace || !values.user) {
+    console.error(`❌ ${USAGE}`);
+    return 1;
+  }
+
+  const workspace = await workspaceService.getWorkspace(values.workspace, values.user);
+
+  let run;
+  if (values.run) {
+    run = await benchmarkService.getRun(workspace.id, values.run, values.user);
+  } else {
+    if (!workspace.connection_string) {
+      throw new Error('Invalid workspace configuration');
+    }
+
+    run = await benchmarkService.runBenchmark(workspace, values.user, {
+      label: values.label,
+      caseIds: values.cases ? values.cases.split(',').map(caseId => caseId.trim()) : undefined
+    });
+  }
+
+  const baseRun = values.base
+    ? await benchmarkService.getRun(workspace.id, values.base, values.user)
+    : await benchmarkService.getPreviousRun(run, values.user);
+  const diff = baseRun ? benchmarkService.compareRuns(baseRun, run) : null;
+
+  printRun(run);
+  printDiff(diff);
+
+  return diff && diff.regressed.length > 0 ? 1 : 0;
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    return 1;
+  })
+  .then(async exitCode => {
+    // Pools would keep the process alive
+    await databaseService.closeAllPools();
+    process.exit(exitCode);
+  });
@@ -15,7 +15,49 @@ const requiredEnvVars = {
 const optionalEnvVars = {
   PORT: 'number',
   OPENAI_API_KEY: 'string',
-  ANTHROPIC_API_KEY: 'string'
+  ANTHROPIC_API_KEY: 'string',
+  AI_PROVIDER: 'string',
+  OPENAI_MODEL: 'string',
+  ANTHROPIC_MODEL: 'string',
+  AI_FIXTURE_PATH: 'string',
+  AI_MAX_CORRECTION_ATTEMPTS: 'number',
+  AI_SCHEMA_MAX_TABLES: 'number',
+  AI_FEW_SHOT_EXAMPLES: 'number',
+  AI_MODEL_PRICING: 'string',
+  AI_ANSWER_SAMPLE_ROWS: 'number',
+  AI_CACHE_TTL_SECONDS: 'number',
+  AI_CACHE_MAX_ENTRIES: 'number',
+  AI_SUGGESTION_COUNT: 'number',
+  DB_STATEMENT_TIMEOUT_MS: 'number',
+  DB_LOCK_TIMEOUT_MS: 'number',
+  DB_MAX_ROWS: 'number'
+};
+
+const optionalEnvDefaults = {
+  PORT: 3001,
+  OPENAI_MODEL: 'gpt-4o-mini',
+  ANTHROPIC_MODEL: 'claude-3-5-haiku-latest',
+  AI_FIXTURE_PATH: 'tests/fixtures/llm-fixtures.json',
+  AI_MAX_CORRECTION_ATTEMPTS: 2,
+  AI_SCHEMA_MAX_TABLES: 30,
+  AI_FEW_SHOT_EXAMPLES: 3,
+  AI_ANSWER_SAMPLE_ROWS: 20,
+  AI_CACHE_TTL_SECONDS: 3600,
+  AI_CACHE_MAX_ENTRIES: 1000,
+  AI_SUGGESTION_COUNT: 3,
+  DB_STATEMENT_TIMEOUT_MS: 10000,
+  DB_LOCK_TIMEOUT_MS: 2000,
+  DB_MAX_ROWS: 10000
+};
+
+// Optional numbers that must be positive integers when set (0 would switch a timeout or the row cap off)
+const positiveIntegerEnvVars = ['DB_STATEMENT_TIMEOUT_MS', 'DB_LOCK_TIMEOUT_MS', 'DB_MAX_ROWS'];
+
+// Map of provider -> API key variable (null when no key is needed)
+const supportedAIProviders = {
+  openai: 'OPENAI_API_KEY',
+  anthropic: 'ANTHROPIC_API_KEY',
+  fixture: null
 };
 
 /**
@@ -65,10 +107,27 @@ function validateOptionalVar(varName, type, defaultValue = undefined) {
   return value;
 }
 
+/**
+ * Validates that an optional environment variable is a positive integer when set
+ * @param {string} varName - The environment variable name
+ */
+function validatePositiveInteger(varName) {
+  const value = process.env[varName];
+
+  if (value && !/^[1-9]\d*$/.test(value.trim())) {
+    throw new Error(`Environment variable ${varName} must be a positive integer, got: ${value}`);
+  }
+}
+
 /**
  * Validates that at least one AI API key is provided
+ * The offline fixture provider needs no key
  */
 function validateAIApiKeys() {
+  if (process.env.AI_PROVIDER === 'fixture') {
+    return;
+  }
+
   const openaiKey = process.env.OPENAI_API_KEY;
   const anthropicKey = process.env.ANTHROPIC_API_KEY;
   
@@ -77,6 +136,42 @@ function validateAIApiKeys() {
   }
 }
 
+/**
+ * Resolves the default AI provider for the deployment
+ * Uses AI_PROVIDER when set, otherwise the provider whose API key is configured
+ * @returns {string} Provider name
+ */
+function resolveAIProvider() {
+  const provider = process.env.AI_PROVIDER;
+
+  if (!provider) {
+    return process.env.OPENAI_API_KEY ? 'openai' : 'anthropic';
+  }
+
+  if (!(provider in supportedAIProviders)) {
+    throw new Error(`Environment variable AI_PROVIDER must be one of: ${Object.keys(supportedAIProviders).join(', ')}, got: ${provider}`);
+  }
+
+  const keyVarName = supportedAIProviders[provider];
+
+  if (keyVarName && !process.env[keyVarName]) {
+    throw new Error(`AI_PROVIDER is set to ${provider} but ${keyVarName} is missing`);
+  }
+
+  return provider;
+}
+
+/**
+ * Lists the providers workspaces can select (aiProvider)
+ * A fixture deployment answers every provider offline, so none needs a key
+ * @returns {Array<string>} Provider names with an API key configured
+ */
+function resolveSelectableAIProviders() {
+  return Object.entries(supportedAIProviders)
+    .filter(([provider, keyVarName]) => keyVarName && (process.env.AI_PROVIDER === 'fixture' || process.env[keyVarName]))
+    .map(([provider]) => provider);
+}
+
 // Validate all required environment variables
 const config = {};
 
@@ -87,16 +182,19 @@ for (const [varName, type] of Object.entries(requiredEnvVars)) {
 
 // Validate optional variables
 for (const [varName, type] of Object.entries(optionalEnvVars)) {
-  if (varName === 'PORT') {
-    config[varName] = validateOptionalVar(varName, type, 3001);
-  } else {
-    config[varName] = validateOptionalVar(varName, type);
-  }
+  config[varName] = validateOptionalVar(varName, type, optionalEnvDefaults[varName]);
 }
 
+// Validate optional variables that cannot be zero or negative
+positiveIntegerEnvVars.forEach(validatePositiveInteger);
+
 // Validate AI API keys
 validateAIApiKeys();
 
+// Resolve the deployment's default AI provider
+config.AI_PROVIDER = resolveAIProvider();
+config.SELECTABLE_AI_PROVIDERS = resolveSelectableAIProviders();
+
 // Parse ALLOWED_ORIGINS into an array
 config.ALLOWED_ORIGINS_ARRAY = config.ALLOWED_ORIGINS.split(',').map(origin => origin.trim());
 
@@ -9,6 +9,7 @@ const databaseService = require('./services/database');
 const queryRoutes = require('./routes/query');
 const workspaceRoutes = require('./routes/workspace');
 const queryHistoryRoutes = require('./routes/queryHistory');
+const conversationRoutes = require('./routes/conversation');
 
 const app = express();
 const PORT = config.PORT;
@@ -60,7 +61,8 @@ app.get('/', (req, res) => {
       health: '/health',
       query: '/api/query/execute',
       workspaces: '/api/workspaces',
-      history: '/api/query/history'
+      history: '/api/query/history',
+      conversations: '/api/conversations'
     }
   });
 });
@@ -75,6 +77,7 @@ app.get('/health', (req, res) => {
 app.use('/api/query/history', authenticateRequest, queryHistoryRoutes);  // SPECIFIC route first
 app.use('/api/query', authenticateRequest, queryRoutes);                 // GENERAL route second
 app.use('/api/workspaces', authenticateRequest, workspaceRoutes);
+app.use('/api/conversations', authenticateRequest, conversationRoutes);
 
 // Global error handler (MUST BE LAST)
 app.use(errorHandler);
@@ -1,3 +1,21 @@
+// Error codes services set on errors clients can act on, with their HTTP status
+// (returned to clients in the response's code)
+const CLIENT_ERROR_STATUSES = {
+  PROMPT_INJECTION: 400, // promptGuard: the request tried to override the model's instructions
+  UNSAFE_SQL: 400, // sqlValidator: the SQL is not a single read-only SELECT (node names what failed)
+  READ_ONLY_VIOLATION: 403, // databaseService: the query tried to write in the read-only transaction
+  ACCESS_POLICY_VIOLATION: 403 // accessPolicy: the query read a table or column hidden by the workspace
+};
+
+/**
+ * Whether an error carries a code from CLIENT_ERROR_STATUSES
+ * @param {Error} err - The error object
+ * @returns {boolean} True if the code should be returned to clients
+ */
+function hasClientErrorCode(err) {
+  return Boolean(err) && Object.hasOwn(CLIENT_ERROR_STATUSES, err.code);
+}
+
 /**
  * Global Error Handler Middleware
  * Handles all unhandled errors in the application
@@ -37,7 +55,9 @@ function errorHandler(err, req, res, next) {
   let errorMessage = err.message;
 
   // Check for specific error patterns
-  if (err.message.toLowerCase().includes('not found')) {
+  if (hasClientErrorCode(err)) {
+    statusCode = CLIENT_ERROR_STATUSES[err.code];
+  } else if (err.message.toLowerCase().includes('not found')) {
     statusCode = 404;
   } else if (
     err.message.toLowerCase().includes('validation') ||
@@ -81,6 +101,26 @@ function errorHandler(err, req, res, next) {
     timestamp: new Date().toISOString()
   };
 
+  // Let clients tell these errors apart from other errors with the same status
+  if (hasClientErrorCode(err)) {
+    response.code = err.code;
+  }
+
+  // Rejected SQL names the node that failed ({ kind, path })
+  if (err.node) {
+    response.node = err.node;
+  }
+
+  // Add self-correction attempts if the failure happened while executing generated SQL
+  if (Array.isArray(err.attempts)) {
+    response.attempts = err.attempts.map(attempt => ({
+      ...attempt,
+      error: attempt.error && !isDevelopment
+        ? sanitizeErrorMessage(attempt.error, statusCode)
+        : attempt.error
+    }));
+  }
+
   // Add stack trace in development mode only
   if (isDevelopment && err.stack) {
     response.stack = err.stack;
@@ -190,6 +230,7 @@ function handleSpecificErrors(err) {
 
 module.exports = {
   errorHandler,
+  hasClientErrorCode,
   sanitizeErrorMessage,
   handleSpecificErrors
 };
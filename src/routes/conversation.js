@@ -0,0 +1,294 @@
+const express = require('express');
+const conversationService = require('../services/conversation');
+const workspaceService = require('../services/workspace');
+const { executeQuery, executeQueryStream } = require('./query');
+const { validate } = require('../middleware/validation');
+const {
+  conversationCreateSchema,
+  conversationGetSchema,
+  conversationIdParamSchema,
+  conversationMessageSchema
+} = require('../validators/schemas');
+
+const router = express.Router();
+
+/**
+ * Send the standard 404 response for a missing conversation
+ * @param {Object} res - Express response object
+ */
+function sendConversationNotFound(res) {
+  res.status(404).json({
+    error: 'Conversation not found',
+    message: 'The specified conversation does not exist or you do not have access to it'
+  });
+}
+
+/**
+ * Prepare a conversation message for the query execution handlers
+ * Loads the conversation and rewrites the body into the /api/query/execute shape
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function prepareConversationMessage(req, res, next) {
+  try {
+    const userId = req.user.id;
+    const conversationId = req.params.id;
+
+    const conversation = await conversationService.getConversation(conversationId, userId);
+
+    req.body = {
+      workspaceId: conversation.workspace_id,
+      question: req.body.question,
+      conversationId: conversation.id,
+      includeAnswer: req.body.includeAnswer,
+      includeSuggestions: req.body.includeSuggestions,
+      candidates: req.body.candidates,
+      clarification: req.body.clarification
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('❌ Error loading conversation:', error.message);
+
+    if (error.message === 'Conversation not found') {
+      return sendConversationNotFound(res);
+    }
+
+    next(error);
+  }
+}
+
+/**
+ * GET /api/conversations
+ * Get conversations for authenticated user
+ *
+ * Query Parameters:
+ * - workspaceId: string (optional) - Filter by workspace
+ * - limit: number (optional, default: 50) - Number of results to return
+ * - offset: number (optional, default: 0) - Offset for pagination
+ *
+ * Response: {
+ *   conversations: Array<{
+ *     id: string,
+ *     workspace_id: string,
+ *     title: string|null,
+ *     created_at: string,
+ *     updated_at: string
+ *   }>,
+ *   limit: number,
+ *   offset: number
+ * }
+ */
+router.get('/', validate(conversationGetSchema, 'query'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { workspaceId, limit = 50, offset = 0 } = req.query;
+
+    console.log(`💬 Fetching conversations for user: ${userId}`);
+
+    const conversations = await conversationService.getUserConversations(userId, {
+      workspaceId,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.status(200).json({
+      conversations,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching conversations:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/conversations
+ * Create a new conversation in a workspace
+ *
+ * Body: {
+ *   workspaceId: string,
+ *   title?: string
+ * }
+ *
+ * Response: {
+ *   conversation: {
+ *     id: string,
+ *     workspace_id: string,
+ *     title: string|null,
+ *     created_at: string,
+ *     updated_at: string
+ *   }
+ * }
+ */
+router.post('/', validate(conversationCreateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { workspaceId, title } = req.body;
+
+    console.log(`💬 Creating conversation in workspace ${workspaceId} for user: ${userId}`);
+
+    // Validate workspace belongs to user
+    try {
+      await workspaceService.getWorkspace(workspaceId, userId);
+    } catch (workspaceError) {
+      if (workspaceError.message === 'Workspace not found') {
+        return res.status(404).json({
+          error: 'Workspace not found',
+          message: 'The specified workspace does not exist or you do not have access to it'
+        });
+      }
+      throw workspaceError;
+    }
+
+    const { user_id, ...conversation } = await conversationService.createConversation(userId, {
+      workspaceId,
+      title
+    });
+
+    res.status(201).json({
+      conversation
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating conversation:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a conversation with all of its turns
+ *
+ * Response: {
+ *   conversation: {
+ *     id: string,
+ *     workspace_id: string,
+ *     title: string|null,
+ *     created_at: string,
+ *     updated_at: string,
+ *     turns: Array<{
+ *       id: string,
+ *       question: string,
+ *       sql_query: string|null,
+ *       explanation: string|null,
+ *       result_columns: Array<string>,
+ *       row_count: number,
+ *       success: boolean,
+ *       error_message: string|null,
+ *       created_at: string
+ *     }>
+ *   }
+ * }
+ */
+router.get('/:id', validate(conversationIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const conversationId = req.params.id;
+
+    console.log(`💬 Fetching conversation: ${conversationId} for user: ${userId}`);
+
+    const conversation = await conversationService.getConversation(conversationId, userId);
+    const turns = await conversationService.getTurns(conversationId, userId);
+
+    res.status(200).json({
+      conversation: {
+        ...conversation,
+        turns
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error.message);
+
+    if (error.message === 'Conversation not found') {
+      return sendConversationNotFound(res);
+    }
+
+    next(error);
+  }
+});
+
+/**
+ * POST /api/conversations/:id/messages
+ * Continue a conversation with a follow-up question
+ * Runs the same pipeline as POST /api/query/execute with the conversation's prior turns as context
+ *
+ * Body: {
+ *   question: string,
+ *   includeAnswer?: boolean,
+ *   includeSuggestions?: boolean,
+ *   candidates?: number,
+ *   clarification?: { question: string, options?: Array<string>, answer: string }
+ * }
+ *
+ * Response: Same as POST /api/query/execute
+ */
+router.post(
+  '/:id/messages',
+  validate(conversationIdParamSchema, 'params'),
+  validate(conversationMessageSchema),
+  prepareConversationMessage,
+  executeQuery
+);
+
+/**
+ * POST /api/conversations/:id/messages/stream
+ * Continue a conversation with a follow-up question, streaming the response
+ *
+ * Body: {
+ *   question: string,
+ *   includeAnswer?: boolean,
+ *   includeSuggestions?: boolean,
+ *   candidates?: number,
+ *   clarification?: { question: string, options?: Array<string>, answer: string }
+ * }
+ *
+ * Response: Same Server-Sent Events stream as POST /api/query/execute/stream
+ */
+router.post(
+  '/:id/messages/stream',
+  validate(conversationIdParamSchema, 'params'),
+  validate(conversationMessageSchema),
+  prepareConversationMessage,
+  executeQueryStream
+);
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its turns
+ *
+ * Response: {
+ *   message: string,
+ *   deleted: boolean
+ * }
+ */
+router.delete('/:id', validate(conversationIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const conversationId = req.params.id;
+
+    console.log(`🗑️  Deleting conversation: ${conversationId} for user: ${userId}`);
+
+    const deleted = await conversationService.deleteConversation(conversationId, userId);
+
+    if (!deleted) {
+      return sendConversationNotFound(res);
+    }
+
+    res.status(200).json({
+      message: 'Conversation deleted successfully',
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting conversation:', error.message);
+    next(error);
+  }
+});
+
+module.exports = router;
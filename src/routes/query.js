@@ -1,34 +1,575 @@
 const express = require('express');
+const { randomUUID } = require('crypto');
+const config = require('../config/env');
 const databaseService = require('../services/database');
 const aiService = require('../services/ai');
 const workspaceService = require('../services/workspace');
 const queryHistoryService = require('../services/queryHistory');
+const conversationService = require('../services/conversation');
+const schemaSelectorService = require('../services/schemaSelector');
+const fewShotService = require('../services/fewShot');
+const glossaryService = require('../services/glossary');
+const annotationService = require('../services/annotation');
+const JSONStreamParser = require('../services/jsonStreamParser');
+const pricingService = require('../services/pricing');
+const chartService = require('../services/chart');
+const generationCacheService = require('../services/generationCache');
+const candidateRankerService = require('../services/candidateRanker');
+const suggestionService = require('../services/suggestion');
+const dialectTranslatorService = require('../services/dialectTranslator');
+const accessPolicyService = require('../services/accessPolicy');
 const { validate } = require('../middleware/validation');
-const { queryExecuteSchema } = require('../validators/schemas');
+const { hasClientErrorCode } = require('../middleware/errorHandler');
+const { queryExecuteSchema, queryExplainSchema, queryTranslateSchema } = require('../validators/schemas');
 
 const router = express.Router();
 
+// Postgres error codes caused by the generated SQL itself, which the model can fix:
+// undefined table/column/function, syntax error, grouping error, type mismatch,
+// ambiguous column and invalid text representation. Reading a table or column hidden
+// by the workspace access policy is correctable too (e.g., SELECT * on a table with hidden columns)
+const CORRECTABLE_ERROR_CODES = ['42P01', '42703', '42883', '42601', '42803', '42804', '42702', '22P02', 'ACCESS_POLICY_VIOLATION'];
+
+/**
+ * Execute generated SQL, sending failures back to the model for correction
+ * Retries up to AI_MAX_CORRECTION_ATTEMPTS times when Postgres rejects the query
+ * with a correctable error. The attempts made so far are attached to any thrown
+ * error as error.attempts so they can be recorded in history.
+ * @param {Object} params - Execution parameters
+ * @param {Object} params.workspace - Workspace record (with connection_string)
+ * @param {string} params.question - Natural language question
+ * @param {Object} params.schemaSelection - Schema selection from schemaSelector (corrections may expand it)
+ * @param {string} params.sql - Generated SQL to execute first
+ * @param {string} params.explanation - Explanation of the generated SQL
+ * @param {Object|null} [params.usage] - Token usage of the generation that produced the SQL
+ * @param {boolean} [params.cached] - Whether the SQL came from the generation cache
+ * @param {Object} [params.queryResult] - Result of sql when it was already executed (skips its execution)
+ * @param {Array<Object>} [params.conversationHistory] - Prior conversation turns for follow-up questions
+ * @param {Array<Object>} [params.examples] - Similar past queries used as prompt examples
+ * @param {Object} [params.workspaceContext] - Glossary, custom instructions and schema annotations added to the prompt
+ * @param {Object} [params.clarification] - Answered clarification the question was generated with
+ * @param {Object} [params.policy] - Workspace access policy every attempt is checked against (see accessPolicyService.checkQuery)
+ * @param {Function} [params.onAttemptFailed] - Called with (failedAttempt, nextAttemptNumber, maxAttempts) before a correction
+ * @param {Function} [params.onCorrected] - Called with ({ sql, explanation }, attemptNumber) after a correction
+ * @returns {Promise<Object>} Object with final sql, explanation, queryResult and attempts
+ */
+async function executeWithCorrection({ workspace, question, schemaSelection, sql, explanation, usage, cached, queryResult: executedResult, conversationHistory, examples, workspaceContext, clarification, policy, onAttemptFailed, onCorrected }) {
+  const maxAttempts = config.AI_MAX_CORRECTION_ATTEMPTS + 1;
+  const attempts = [];
+  const failedAttempts = [];
+  let current = { sql, explanation, usage, cached };
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    const startTime = Date.now();
+
+    try {
+      accessPolicyService.checkQuery(current.sql, workspace.database_provider, policy);
+
+      const queryResult = attemptNumber === 1 && executedResult
+        ? executedResult
+        : await databaseService.executeQuery(
+          workspace.id,
+          workspace.connection_string,
+          current.sql,
+          { maxRows: config.DB_MAX_ROWS }
+        );
+
+      attempts.push({
+        attempt: attemptNumber,
+        sql: current.sql,
+        explanation: current.explanation,
+        success: true,
+        error: null,
+        executionTime: queryResult.executionTime,
+        rowCount: queryResult.rowCount,
+        usage: current.usage || null,
+        cached: current.cached === true
+      });
+
+      return {
+        sql: current.sql,
+        explanation: current.explanation,
+        queryResult,
+        attempts
+      };
+
+    } catch (error) {
+      const failedAttempt = {
+        attempt: attemptNumber,
+        sql: current.sql,
+        explanation: current.explanation,
+        success: false,
+        error: error.message,
+        executionTime: Date.now() - startTime,
+        rowCount: 0,
+        usage: current.usage || null,
+        cached: current.cached === true
+      };
+      attempts.push(failedAttempt);
+
+      if (!CORRECTABLE_ERROR_CODES.includes(error.code) || attemptNumber >= maxAttempts) {
+        error.attempts = attempts;
+        throw error;
+      }
+
+      // Give the model the raw Postgres message, which names the offending table or column
+      failedAttempts.push({
+        sql: current.sql,
+        error: error.detail || error.message
+      });
+
+      console.log(`🔁 Attempt ${attemptNumber} failed (${error.code}), asking AI to correct the query...`);
+
+      if (onAttemptFailed) {
+        onAttemptFailed(failedAttempt, attemptNumber + 1, maxAttempts);
+      }
+
+      try {
+        current = await aiService.generateSQL(
+          question,
+          schemaSelection.schema,
+          workspace.database_provider,
+          {
+            ...aiService.getWorkspaceModelOptions(workspace),
+            conversationHistory,
+            clarification,
+            failedAttempts,
+            schemaSelection,
+            examples,
+            workspaceContext
+          }
+        );
+      } catch (correctionError) {
+        correctionError.attempts = attempts;
+        throw correctionError;
+      }
+
+      // An undefined table error may mean the model asked for a pruned table
+      if (current.schemaSelection) {
+        schemaSelection = current.schemaSelection;
+      }
+
+      if (onCorrected) {
+        onCorrected(current, attemptNumber + 1);
+      }
+    }
+  }
+}
+
+/**
+ * Save every execution attempt of a question to query history
+ * @param {Object} baseHistoryData - Fields shared by all attempts (userId, workspaceId, question, databaseProvider, runId)
+ * @param {Array<Object>} attempts - Attempts from executeWithCorrection
+ * @param {Object} [resultData] - Data about the successful attempt's results
+ * @param {Object} [resultData.answer] - Narrative answer from generateResultAnswer ({ answer, usage })
+ * @param {Object} [resultData.chart] - Chart recommendation from chartService ({ type, spec })
+ * @param {Object} [resultData.suggestions] - Follow-up questions from suggestFollowUps ({ questions, usage })
+ * @returns {Promise<Array>} Saved history records
+ */
+function saveAttemptsToHistory(baseHistoryData, attempts, { answer, chart, suggestions } = {}) {
+  return Promise.all(attempts.map(attempt => queryHistoryService.saveQuery({
+    ...baseHistoryData,
+    sql: attempt.sql,
+    explanation: attempt.explanation,
+    executionTime: attempt.executionTime,
+    rowCount: attempt.rowCount,
+    success: attempt.success,
+    errorMessage: attempt.error,
+    attemptNumber: attempt.attempt,
+    cacheHit: attempt.cached,
+    // The answer and suggestions belong to the successful attempt, which also carries their cost
+    answer: attempt.success && answer ? answer.answer : null,
+    chart: attempt.success ? chart : null,
+    usage: attempt.success
+      ? pricingService.combineUsage([attempt.usage, answer?.usage, suggestions?.usage])
+      : attempt.usage
+  })));
+}
+
+/**
+ * Answer the question in plain language from the query results
+ * The answer is optional, so failures are logged and reported as a null answer
+ * @param {Object} workspace - Workspace record
+ * @param {string} question - Natural language question
+ * @param {string} sql - Executed SQL
+ * @param {Object} queryResult - Result from databaseService.executeQuery
+ * @returns {Promise<Object>} Object with answer (or null) and usage
+ */
+async function generateResultAnswer(workspace, question, sql, queryResult) {
+  try {
+    return await aiService.generateAnswer(
+      question,
+      sql,
+      queryResult,
+      aiService.getWorkspaceModelOptions(workspace)
+    );
+  } catch (error) {
+    console.warn(`⚠️  Failed to generate answer for question "${question}":`, error.message);
+    return { answer: null, usage: null };
+  }
+}
+
+/**
+ * Load the conversation a request continues, if any
+ * @param {string} [conversationId] - Conversation ID from the request body
+ * @param {string} userId - User ID
+ * @param {string} workspaceId - Workspace ID from the request body
+ * @returns {Promise<Object>} Object with conversation (or null) and conversationHistory
+ */
+async function loadConversation(conversationId, userId, workspaceId) {
+  if (!conversationId) {
+    return { conversation: null, conversationHistory: [] };
+  }
+
+  const conversation = await conversationService.getConversation(conversationId, userId);
+
+  if (conversation.workspace_id !== workspaceId) {
+    throw new Error('Invalid conversationId: conversation belongs to a different workspace');
+  }
+
+  const conversationHistory = await conversationService.getContextTurns(conversationId, userId);
+
+  console.log(`💬 Continuing conversation ${conversationId} with ${conversationHistory.length} prior turn(s)`);
+
+  return { conversation, conversationHistory };
+}
+
+/**
+ * Save a failed request to query history
+ * Records every attempt when execution was attempted, otherwise a single row without SQL
+ * @param {Object} req - Express request object
+ * @param {string} runId - Run ID shared by the request's history rows
+ * @param {Error} error - Error that ended the request
+ * @returns {Promise<void>} Fire and forget - doesn't throw errors
+ */
+async function saveFailedRequestToHistory(req, runId, error) {
+  try {
+    const { workspaceId, question, conversationId } = req.body;
+    const userId = req.user.id;
+
+    if (!workspaceId || !userId) {
+      return;
+    }
+
+    // Get workspace info if available
+    const workspace = await workspaceService.getWorkspace(workspaceId, userId).catch(() => null);
+
+    const baseHistoryData = {
+      userId,
+      workspaceId,
+      question,
+      databaseProvider: workspace?.database_provider || 'unknown',
+      runId
+    };
+
+    // Record the failed turn so the conversation shows it (it is not used as context)
+    if (req.body.conversationId) {
+      conversationService.getConversation(req.body.conversationId, userId)
+        .then(conversation => conversationService.addTurn(conversation, userId, {
+          question,
+          success: false,
+          errorMessage: error.message
+        }))
+        .catch(conversationError => {
+          console.warn(`⚠️  Failed to save failed turn to conversation:`, conversationError.message);
+        });
+    }
+
+    if (error.attempts) {
+      await saveAttemptsToHistory(baseHistoryData, error.attempts);
+      return;
+    }
+
+    await queryHistoryService.saveQuery({
+      ...baseHistoryData,
+      sql: null,
+      explanation: null,
+      executionTime: 0,
+      rowCount: 0,
+      success: false,
+      errorMessage: error.message
+    });
+  } catch (historyError) {
+    console.warn(`⚠️  Failed to save failed query to history:`, historyError.message);
+  }
+}
+
+/**
+ * Text used to pick the relevant tables for a question
+ * An answered clarification ("by revenue") often names what the question left out
+ * @param {string} question - Natural language question
+ * @param {Object} [clarification] - Answered clarification ({ question, options, answer })
+ * @returns {string} Question text for schema selection and examples
+ */
+function getSelectionText(question, clarification) {
+  return clarification ? `${question} ${clarification.answer}` : question;
+}
+
+/**
+ * Load the workspace-specific context added to generation prompts
+ * @param {Object} workspace - Workspace record
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Object with instructions, terms, metrics and annotations (approved, grouped by table)
+ */
+async function loadWorkspaceContext(workspace, userId) {
+  const [glossaryContext, annotations] = await Promise.all([
+    glossaryService.getPromptContext(workspace, userId),
+    annotationService.getPromptAnnotations(workspace.id, userId)
+  ]);
+
+  return { ...glossaryContext, annotations };
+}
+
+/**
+ * Build the generation cache key of a request
+ * @param {Object} params - Generation inputs
+ * @param {Object} params.workspace - Workspace record
+ * @param {string} params.question - Natural language question
+ * @param {Object} params.schema - Full schema object
+ * @param {Object} params.workspaceContext - Context from loadWorkspaceContext
+ * @param {Array<Object>} params.conversationHistory - Prior conversation turns
+ * @param {Object} [params.clarification] - Answered clarification
+ * @returns {string|null} Cache key, or null when the generation can't be cached
+ */
+function getGenerationCacheKey({ workspace, question, schema, workspaceContext, conversationHistory, clarification }) {
+  // Follow-ups and answered clarifications depend on more than the question
+  if (conversationHistory.length > 0 || clarification) {
+    return null;
+  }
+
+  const provider = aiService.getProvider(aiService.getWorkspaceModelOptions(workspace));
+
+  return generationCacheService.buildKey({
+    workspaceId: workspace.id,
+    question,
+    schema,
+    model: `${provider.name}/${provider.model}`,
+    workspaceContext
+  });
+}
+
+/**
+ * Cache the SQL that answered a question, unless it was served from the cache as is
+ * @param {string|null} cacheKey - Key from getGenerationCacheKey
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} result - Result of executeWithCorrection
+ */
+function cacheGeneration(cacheKey, workspaceId, { sql, explanation, attempts }) {
+  if (attempts.length === 1 && attempts[0].cached) {
+    return;
+  }
+
+  generationCacheService.set(cacheKey, workspaceId, { sql, explanation });
+}
+
+/**
+ * Suggest follow-up questions to the query that just ran
+ * @param {Object} params - Request context
+ * @param {Object} params.workspace - Workspace record
+ * @param {Object} params.schema - Full schema object
+ * @param {Object} params.schemaSelection - Schema selection the SQL was generated with
+ * @param {Object} params.workspaceContext - Context from loadWorkspaceContext
+ * @param {Array<Object>} params.conversationHistory - Prior conversation turns
+ * @param {string} params.question - Natural language question
+ * @param {string} params.sql - Executed SQL
+ * @param {Object} params.queryResult - Result from databaseService.executeQuery
+ * @returns {Promise<Object>} Object with questions, cached and usage (see suggestionService.getFollowUpQuestions)
+ */
+function suggestFollowUps({ workspace, schema, schemaSelection, workspaceContext, conversationHistory, question, sql, queryResult }) {
+  return suggestionService.getFollowUpQuestions(workspace, schema, {
+    promptSchema: schemaSelection.schema,
+    annotations: workspaceContext.annotations,
+    lastQuery: {
+      question,
+      sql,
+      columns: queryResult.columns || Object.keys(queryResult.rows[0] || {}),
+      rowCount: queryResult.rowCount
+    },
+    priorQuestions: conversationHistory.map(turn => turn.question)
+  });
+}
+
+/**
+ * Pick the generation to execute from ranked candidates
+ * When every candidate was rejected, the first one with SQL goes through the
+ * normal self-correction loop instead
+ * @param {Object} ranking - Result of candidateRankerService.rankCandidates
+ * @returns {Object} Generation like aiService.generateSQL, with queryResult when the winner already ran
+ * @throws {Error} If no candidate produced SQL or a clarifying question
+ */
+function getWinningCandidate(ranking) {
+  const [winner] = ranking.ranked;
+
+  if (winner) {
+    return {
+      sql: winner.sql,
+      explanation: winner.explanation,
+      schemaSelection: winner.schemaSelection,
+      queryResult: winner.queryResult,
+      usage: ranking.usage
+    };
+  }
+
+  const fallback = ranking.rejected.find(candidate => candidate.sql);
+
+  if (fallback) {
+    return {
+      sql: fallback.sql,
+      explanation: fallback.explanation,
+      schemaSelection: fallback.schemaSelection,
+      usage: ranking.usage
+    };
+  }
+
+  if (ranking.clarification) {
+    return { clarification: ranking.clarification, usage: ranking.usage };
+  }
+
+  throw new Error(`SQL generation failed for every candidate: ${ranking.rejected[0].error}`);
+}
+
+/**
+ * Format the candidates of a request for the response
+ * @param {Object} ranking - Result of candidateRankerService.rankCandidates
+ * @param {number} requested - Number of candidates requested
+ * @returns {Object} Object with requested, selected (candidate number or null), agreement, alternatives (without rows) and rejected
+ */
+function formatCandidates(ranking, requested) {
+  const [winner, ...alternatives] = ranking.ranked;
+
+  return {
+    requested,
+    selected: winner ? winner.candidate : null,
+    agreement: winner ? winner.agreement : null,
+    alternatives: alternatives.map(alternative => ({
+      candidate: alternative.candidate,
+      sql: alternative.sql,
+      explanation: alternative.explanation,
+      agreement: alternative.agreement,
+      // Rows are left out: only the winner's results are returned
+      columns: alternative.queryResult.columns,
+      rowCount: alternative.queryResult.rowCount,
+      truncated: alternative.queryResult.truncated === true
+    })),
+    rejected: ranking.rejected.map(candidate => ({
+      candidate: candidate.candidate,
+      sql: candidate.sql,
+      error: candidate.error
+    }))
+  };
+}
+
 /**
  * POST /api/query/execute
  * Execute a natural language query against a workspace database
  * 
  * Body: {
  *   workspaceId: string,
- *   question: string
+ *   question: string,
+ *   conversationId?: string,
+ *   includeAnswer?: boolean,
+ *   includeSuggestions?: boolean,
+ *   candidates?: number,
+ *   clarification?: {
+ *     question: string,
+ *     options?: Array<string>,
+ *     answer: string
+ *   }
  * }
  * 
  * Response: {
+ *   conversationId: string|null,
  *   sql: string,
  *   explanation: string,
  *   data: Array,
  *   rowCount: number,
- *   executionTime: string
+ *   truncated: boolean,
+ *   rowLimit: number|null,
+ *   executionTime: string,
+ *   attempts: Array<{
+ *     attempt: number,
+ *     sql: string,
+ *     explanation: string,
+ *     success: boolean,
+ *     error: string|null,
+ *     executionTime: number,
+ *     rowCount: number,
+ *     usage: Object|null,
+ *     cached: boolean
+ *   }>,
+ *   cached: boolean,
+ *   candidates: {
+ *     requested: number,
+ *     selected: number|null,
+ *     agreement: number|null,
+ *     alternatives: Array<{
+ *       candidate: number,
+ *       sql: string,
+ *       explanation: string,
+ *       agreement: number,
+ *       columns: Array<string>,
+ *       rowCount: number,
+ *       truncated: boolean
+ *     }>,
+ *     rejected: Array<{ candidate: number, sql: string|null, error: string }>
+ *   }|null,
+ *   chart: {
+ *     type: 'number'|'line'|'bar'|'pie'|'table',
+ *     spec: Object|null
+ *   },
+ *   answer: string|null,
+ *   suggestions: Array<string>|null,
+ *   usage: {
+ *     model: string,
+ *     promptTokens: number,
+ *     completionTokens: number,
+ *     cost: number|null
+ *   }|null
  * }
+ * 
+ * When the generated SQL fails with a correctable database error, the failed
+ * SQL and error are sent back to the model and the corrected query is retried
+ * (up to AI_MAX_CORRECTION_ATTEMPTS times)
+ * 
+ * Results are capped at DB_MAX_ROWS rows: a larger result returns its first
+ * rowLimit rows with truncated: true instead of failing
+ * 
+ * SQL that executed successfully is cached per workspace, normalized question,
+ * schema fingerprint, prompt context and model for AI_CACHE_TTL_SECONDS. Asking
+ * the same question again reuses it without a model call (cached: true, usage
+ * null for that attempt). A schema change invalidates the workspace's entries.
+ * Follow-up questions and answered clarifications are never cached.
+ * 
+ * When candidates is set (2-5), that many SQL candidates are generated at a
+ * higher temperature. Candidates that fail validation, EXPLAIN or execution are
+ * rejected and the rest are ranked by how many candidates returned a result of
+ * the same shape (column and row count). The best one is returned as usual and
+ * the others are listed in candidates.alternatives with their columns and row
+ * count (not their rows). The cache is not read in this mode.
+ * 
+ * When includeAnswer is true, a second AI pass turns a bounded, redacted
+ * sample of the rows into a short plain-language answer to the question
+ * 
+ * When includeSuggestions is true, the model suggests follow-up questions from
+ * the returned columns and the conversation's earlier questions (cached per
+ * schema fingerprint, see GET /api/workspaces/:id/suggestions for starters)
+ * 
+ * When the question is ambiguous (e.g., "top customers" without a metric) the
+ * model may ask instead of guessing. Nothing is executed and the response is
+ * { conversationId, question, clarification: { question, options }, usage }.
+ * Send the same request again with clarification set to the model's question,
+ * its options and the user's answer to continue generation.
+ * 
+ * When conversationId is given, prior turns of the conversation are sent to the
+ * model as context so follow-up questions ("now break that down by month") work
  */
-router.post('/execute', validate(queryExecuteSchema), async (req, res, next) => {
+async function executeQuery(req, res, next) {
+  // Groups the history rows of every attempt made for this request
+  const runId = randomUUID();
+
   try {
     // Extract validated inputs
-    const { workspaceId, question } = req.body;
+    const { workspaceId, question, conversationId, includeAnswer, includeSuggestions, candidates, clarification } = req.body;
     const userId = req.user.id;
 
     console.log(`🔍 Processing query for workspace ${workspaceId}: "${question}"`);
@@ -62,43 +603,141 @@ router.post('/execute', validate(queryExecuteSchema), async (req, res, next) =>
     // to ensure it's never included in API responses
     const { connection_string, ...safeWorkspace } = workspace;
 
-    // Get database schema
+    // Load prior turns for follow-up questions
+    const { conversation, conversationHistory } = await loadConversation(conversationId, userId, workspaceId);
+
+    // Get database schema, without the tables and columns hidden by the workspace access policy
     console.log(`📋 Retrieving schema for workspace ${workspaceId}...`);
-    const schema = await databaseService.getSchema(workspaceId, workspace.connection_string);
-
-    // Generate SQL using AI service
-    console.log(`🤖 Generating SQL for question: "${question}"...`);
-    const { sql, explanation } = await aiService.generateSQL(
-      question, 
-      schema, 
-      workspace.database_provider
-    );
+    const { schema, policy } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    // Narrow large schemas to the tables relevant to the question
+    const schemaSelection = await schemaSelectorService.selectSchema(getSelectionText(question, clarification), schema, {
+      workspaceId,
+      userId,
+      conversationHistory
+    });
+
+    // Similar past queries from this workspace, used as examples in the prompt
+    const examples = await fewShotService.selectExamples(getSelectionText(question, clarification), { workspace, userId, policy });
+
+    // Business glossary, custom instructions and schema annotations defined for the workspace
+    const workspaceContext = await loadWorkspaceContext(workspace, userId);
+
+    const generationOptions = {
+      ...aiService.getWorkspaceModelOptions(workspace),
+      conversationHistory,
+      schemaSelection,
+      examples,
+      workspaceContext,
+      clarification,
+      // Ask at most once: an answered clarification must produce SQL
+      allowClarification: !clarification
+    };
+
+    // Repeated questions reuse SQL generated for the same schema and model (not when comparing candidates)
+    const cacheKey = getGenerationCacheKey({ workspace, question, schema, workspaceContext, conversationHistory, clarification });
+    const cached = candidates ? null : generationCacheService.get(cacheKey);
+
+    let generated;
+    let ranking = null;
+
+    if (cached) {
+      console.log(`🗄️  Reusing cached SQL for question: "${question}"`);
+      generated = { ...cached, usage: null, cached: true };
+    } else if (candidates) {
+      ranking = await candidateRankerService.rankCandidates(workspace, question, schemaSelection, generationOptions, candidates, policy);
+      generated = getWinningCandidate(ranking);
+    } else {
+      // Generate SQL using AI service
+      console.log(`🤖 Generating SQL for question: "${question}"...`);
+      generated = await aiService.generateSQL(
+        question, 
+        schemaSelection.schema, 
+        workspace.database_provider,
+        generationOptions
+      );
+    }
+
+    // The question is ambiguous: ask the user before executing anything
+    if (generated.clarification) {
+      queryHistoryService.recordUsage(userId, workspaceId, 'clarification', generated.usage);
 
-    // Execute the generated SQL query
+      return res.status(200).json({
+        conversationId: conversation ? conversation.id : null,
+        question,
+        clarification: generated.clarification,
+        usage: generated.usage
+      });
+    }
+
+    // Execute the generated SQL query, correcting it if the database rejects it
     console.log(`⚡ Executing SQL query...`);
-    const queryResult = await databaseService.executeQuery(
-      workspaceId, 
-      workspace.connection_string, 
-      sql
-    );
+    const result = await executeWithCorrection({
+      workspace,
+      question,
+      schemaSelection: generated.schemaSelection || schemaSelection,
+      sql: generated.sql,
+      explanation: generated.explanation,
+      usage: generated.usage,
+      cached: generated.cached,
+      queryResult: generated.queryResult,
+      conversationHistory,
+      examples,
+      workspaceContext,
+      clarification,
+      policy
+    });
+    const { sql, explanation, queryResult, attempts } = result;
+
+    cacheGeneration(cacheKey, workspaceId, result);
+
+    // Recommend a visualization from the shape of the results
+    const chart = chartService.recommend(queryResult);
+
+    // Summarize the results in plain language when requested
+    const answer = includeAnswer
+      ? await generateResultAnswer(workspace, question, sql, queryResult)
+      : null;
+
+    // Suggest follow-up questions when requested
+    const suggestions = includeSuggestions
+      ? await suggestFollowUps({
+        workspace,
+        schema,
+        schemaSelection: generated.schemaSelection || schemaSelection,
+        workspaceContext,
+        conversationHistory,
+        question,
+        sql,
+        queryResult
+      })
+      : null;
 
-    // Save query to history (async, don't wait)
-    const historyData = {
+    // Save all attempts to history (async, don't wait)
+    saveAttemptsToHistory({
       userId,
       workspaceId,
       question,
-      sql,
-      explanation,
       databaseProvider: workspace.database_provider,
-      executionTime: queryResult.executionTime,
-      rowCount: queryResult.rowCount,
-      success: true
-    };
-
-    queryHistoryService.saveQuery(historyData).catch(error => {
+      runId
+    }, attempts, { answer, chart, suggestions }).catch(error => {
       console.warn(`⚠️  Failed to save query to history:`, error.message);
     });
 
+    // Record the turn in the conversation (async, don't wait)
+    if (conversation) {
+      conversationService.addTurn(conversation, userId, {
+        question,
+        sql,
+        explanation,
+        columns: queryResult.columns,
+        rowCount: queryResult.rowCount,
+        success: true
+      }).catch(error => {
+        console.warn(`⚠️  Failed to save turn to conversation ${conversation.id}:`, error.message);
+      });
+    }
+
     // Update workspace last used (async, don't wait)
     workspaceService.updateLastUsed(workspaceId, userId).catch(error => {
       console.warn(`⚠️  Failed to update last used for workspace ${workspaceId}:`, error.message);
@@ -111,50 +750,96 @@ router.post('/execute', validate(queryExecuteSchema), async (req, res, next) =>
     console.log(`✅ Query executed successfully in ${executionTime}`);
     
     res.status(200).json({
+      conversationId: conversation ? conversation.id : null,
       sql,
       explanation,
       data: queryResult.rows,
       rowCount: queryResult.rowCount,
-      executionTime
+      truncated: queryResult.truncated === true,
+      rowLimit: queryResult.rowLimit || null,
+      executionTime,
+      attempts,
+      cached: attempts[attempts.length - 1].cached,
+      candidates: ranking ? formatCandidates(ranking, candidates) : null,
+      chart,
+      answer: answer ? answer.answer : null,
+      suggestions: suggestions ? suggestions.questions : null,
+      usage: pricingService.combineUsage([...attempts.map(attempt => attempt.usage), answer?.usage, suggestions?.usage])
     });
 
   } catch (error) {
     console.error('❌ Query execution error:', error.message);
     
     // Try to save failed query to history (async, don't wait)
-    try {
-      const { workspaceId, question } = req.body;
-      const userId = req.user.id;
-      
-      // Get workspace info if available
-      if (workspaceId && userId) {
-        workspaceService.getWorkspace(workspaceId, userId).then(workspace => {
-          const historyData = {
-            userId,
-            workspaceId,
-            question,
-            sql: null,
-            explanation: null,
-            databaseProvider: workspace?.database_provider || 'unknown',
-            executionTime: 0,
-            rowCount: 0,
-            success: false,
-            errorMessage: error.message
-          };
-
-          return queryHistoryService.saveQuery(historyData);
-        }).catch(historyError => {
-          console.warn(`⚠️  Failed to save failed query to history:`, historyError.message);
-        });
-      }
-    } catch (historyError) {
-      console.warn(`⚠️  Error saving failed query to history:`, historyError.message);
-    }
+    saveFailedRequestToHistory(req, runId, error);
     
     // Pass error to Express error handler
     next(error);
   }
-});
+}
+
+router.post('/execute', validate(queryExecuteSchema), executeQuery);
+
+/**
+ * Generate SQL, streaming the model's sql and explanation fields to the client as delta events
+ * @param {Object} res - Express response (Server-Sent Events stream)
+ * @param {string} question - Natural language question
+ * @param {Object} workspace - Workspace record
+ * @param {Object} generationOptions - Options for aiService (with schemaSelection)
+ * @returns {Promise<Object>} Generated SQL (see aiService.generateSQL), with the expanded schemaSelection if the model asked for more tables
+ */
+async function streamGeneratedSQL(res, question, workspace, generationOptions) {
+  const stream = await aiService.generateSQLStream(
+    question, 
+    generationOptions.schemaSelection.schema, 
+    workspace.database_provider,
+    generationOptions
+  );
+
+  let fullResponse = '';
+  const parser = new JSONStreamParser();
+
+  // Forward the sql and explanation fields as they arrive
+  for await (const content of stream) {
+    fullResponse += content;
+
+    for (const { key, delta } of parser.write(content)) {
+      if (key === 'sql' || key === 'explanation') {
+        res.write(`data: ${JSON.stringify({ 
+          type: `${key}.delta`, 
+          content: delta 
+        })}\n\n`);
+      }
+    }
+  }
+
+  let generated = {
+    ...aiService.readSQLResponse(fullResponse, {
+      allowTableRequest: generationOptions.schemaSelection.omittedTables.length > 0,
+      allowClarification: generationOptions.allowClarification,
+      databaseType: workspace.database_provider
+    }),
+    usage: aiService.getStreamUsage(stream)
+  };
+
+  if (generated.requestTables) {
+    // The model needs tables that were pruned from the schema: regenerate with them included
+    res.write(`data: ${JSON.stringify({ 
+      type: 'status', 
+      message: 'Adding requested tables to the schema and regenerating...' 
+    })}\n\n`);
+
+    generated = await aiService.generateWithRequestedTables(
+      question,
+      workspace.database_provider,
+      generationOptions,
+      generated.requestTables,
+      generated.usage
+    );
+  }
+
+  return generated;
+}
 
 /**
  * POST /api/query/execute/stream
@@ -162,22 +847,40 @@ router.post('/execute', validate(queryExecuteSchema), async (req, res, next) =>
  * 
  * Body: {
  *   workspaceId: string,
- *   question: string
+ *   question: string,
+ *   conversationId?: string,
+ *   includeAnswer?: boolean,
+ *   includeSuggestions?: boolean,
+ *   candidates?: number,
+ *   clarification?: {
+ *     question: string,
+ *     options?: Array<string>,
+ *     answer: string
+ *   }
  * }
  * 
  * Response: Server-Sent Events stream with events:
  * - schema: Database schema information
- * - sql: Generated SQL query (partial and final)
- * - explanation: Query explanation (partial and final)
+ * - sql.delta: Next characters of the generated SQL as the model streams it
+ * - explanation.delta: Next characters of the explanation as the model streams it
+ * - sql: Complete validated SQL query (again with attempt number for corrections)
+ * - explanation: Complete query explanation (again with attempt number for corrections)
  * - status: Processing status updates
- * - results: Query execution results
+ * - attempt: A failed execution attempt (attempt, sql, error) before a correction
+ * - results: Query execution results (with truncated and rowLimit, all attempts, chart recommendation and total token usage)
+ * - answer: Plain-language answer from the results (only when includeAnswer is set; null if it could not be generated)
+ * - suggestions: Follow-up questions (only when includeSuggestions is set and some could be generated)
+ * - clarification: The question is ambiguous; question and options to answer (sent instead of sql and results, see POST /execute)
  * - complete: Stream completion
  * - error: Error information
  */
-router.post('/execute/stream', validate(queryExecuteSchema), async (req, res, next) => {
+async function executeQueryStream(req, res, next) {
+  // Groups the history rows of every attempt made for this request
+  const runId = randomUUID();
+
   try {
     // Extract validated inputs
-    const { workspaceId, question } = req.body;
+    const { workspaceId, question, conversationId, includeAnswer, includeSuggestions, candidates, clarification } = req.body;
     const userId = req.user.id;
 
     // Set up Server-Sent Events headers
@@ -222,208 +925,441 @@ router.post('/execute/stream', validate(queryExecuteSchema), async (req, res, ne
       return;
     }
 
-    // Get database schema
+    // Load prior turns for follow-up questions
+    const { conversation, conversationHistory } = await loadConversation(conversationId, userId, workspaceId);
+
+    // Get database schema, without the tables and columns hidden by the workspace access policy
     console.log(`📋 Retrieving schema for workspace ${workspaceId}...`);
-    const schema = await databaseService.getSchema(workspaceId, workspace.connection_string);
+    const { schema, policy } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    // Narrow large schemas to the tables relevant to the question
+    let schemaSelection = await schemaSelectorService.selectSchema(getSelectionText(question, clarification), schema, {
+      workspaceId,
+      userId,
+      conversationHistory
+    });
+
+    // Similar past queries from this workspace, used as examples in the prompt
+    const examples = await fewShotService.selectExamples(getSelectionText(question, clarification), { workspace, userId, policy });
+
+    // Business glossary, custom instructions and schema annotations defined for the workspace
+    const workspaceContext = await loadWorkspaceContext(workspace, userId);
+
+    const tableCount = Object.keys(schema).length;
+    const selectedTableCount = schemaSelection.selectedTables.length;
 
     // Send schema information
     res.write(`data: ${JSON.stringify({ 
       type: 'schema', 
-      message: `Found ${Object.keys(schema).length} tables in database`,
-      tableCount: Object.keys(schema).length
+      message: selectedTableCount < tableCount
+        ? `Found ${tableCount} tables in database, using the ${selectedTableCount} most relevant`
+        : `Found ${tableCount} tables in database`,
+      tableCount,
+      selectedTableCount
     })}\n\n`);
 
     // Generate SQL with streaming
     console.log(`🤖 Starting streaming SQL generation for question: "${question}"...`);
-    const stream = await aiService.generateSQLStream(
-      question, 
-      schema, 
-      workspace.database_provider
-    );
+    const generationOptions = {
+      ...aiService.getWorkspaceModelOptions(workspace),
+      conversationHistory,
+      schemaSelection,
+      examples,
+      workspaceContext,
+      clarification,
+      // Ask at most once: an answered clarification must produce SQL
+      allowClarification: !clarification
+    };
+
+    // Repeated questions reuse SQL generated for the same schema and model (not when comparing candidates)
+    const cacheKey = getGenerationCacheKey({ workspace, question, schema, workspaceContext, conversationHistory, clarification });
+    const cached = candidates ? null : generationCacheService.get(cacheKey);
+
+    let generated;
+    let ranking = null;
+
+    if (cached) {
+      console.log(`🗄️  Reusing cached SQL for question: "${question}"`);
+      generated = { ...cached, usage: null, cached: true };
+    } else if (candidates) {
+      // Candidates are compared on their results, so there is nothing to stream until one wins
+      res.write(`data: ${JSON.stringify({ 
+        type: 'status', 
+        message: `Generating ${candidates} SQL candidates and comparing their results...` 
+      })}\n\n`);
+
+      ranking = await candidateRankerService.rankCandidates(workspace, question, schemaSelection, generationOptions, candidates, policy);
+      generated = getWinningCandidate(ranking);
+    } else {
+      generated = await streamGeneratedSQL(res, question, workspace, generationOptions);
+    }
+
+    if (generated.schemaSelection) {
+      schemaSelection = generated.schemaSelection;
+    }
+
+    // The question is ambiguous: ask the user before executing anything
+    if (generated.clarification) {
+      queryHistoryService.recordUsage(userId, workspaceId, 'clarification', generated.usage);
+
+      res.write(`data: ${JSON.stringify({ 
+        type: 'clarification', 
+        question: generated.clarification.question,
+        options: generated.clarification.options,
+        usage: generated.usage,
+        conversationId: conversation ? conversation.id : null
+      })}\n\n`);
+
+      res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
+      res.end();
+      return;
+    }
+
+    // Send final SQL and explanation
+    res.write(`data: ${JSON.stringify({ 
+      type: 'sql', 
+      content: generated.sql,
+      partial: false,
+      cached: generated.cached === true
+    })}\n\n`);
     
-    let fullResponse = '';
-    let sqlBuffer = '';
-    let explanationBuffer = '';
-    let currentSection = null; // 'sql' or 'explanation'
-
-    // Process streaming response
-    for await (const chunk of stream) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      fullResponse += content;
-      
-      // Check for section markers in the accumulated response
-      const lowerResponse = fullResponse.toLowerCase();
-      
-      // Look for SQL section start
-      if (lowerResponse.includes('sql:') && !sqlBuffer) {
-        const sqlStart = lowerResponse.indexOf('sql:');
-        const sqlContent = fullResponse.substring(sqlStart + 4);
-        
-        // Check if we have explanation marker to know where SQL ends
-        const expStart = lowerResponse.indexOf('explanation:');
-        if (expStart > sqlStart) {
-          // We have both markers, extract SQL content
-          sqlBuffer = sqlContent.substring(0, expStart - sqlStart - 4).trim();
-          currentSection = 'explanation';
-        } else {
-          // Only SQL marker found, start accumulating
-          currentSection = 'sql';
-          sqlBuffer = sqlContent.trim();
-        }
-      }
-      
-      // Look for explanation section start
-      if (lowerResponse.includes('explanation:') && !explanationBuffer) {
-        const expStart = lowerResponse.indexOf('explanation:');
-        explanationBuffer = fullResponse.substring(expStart + 12).trim();
-        currentSection = 'explanation';
-      }
+    res.write(`data: ${JSON.stringify({ 
+      type: 'explanation', 
+      content: generated.explanation,
+      partial: false 
+    })}\n\n`);
+
+    // Execute the query
+    res.write(`data: ${JSON.stringify({ 
+      type: 'status', 
+      message: 'Executing query...' 
+    })}\n\n`);
+
+    console.log(`⚡ Executing SQL query...`);
+    const result = await executeWithCorrection({
+      workspace,
+      question,
+      schemaSelection,
+      sql: generated.sql,
+      explanation: generated.explanation,
+      usage: generated.usage,
+      cached: generated.cached,
+      queryResult: generated.queryResult,
+      conversationHistory,
+      examples,
+      workspaceContext,
+      clarification,
+      policy,
+      onAttemptFailed: (failedAttempt, nextAttempt, maxAttempts) => {
+        res.write(`data: ${JSON.stringify({ 
+          type: 'attempt', 
+          ...failedAttempt
+        })}\n\n`);
 
-      // Send streaming updates based on current section
-      if (currentSection === 'sql' && sqlBuffer) {
+        res.write(`data: ${JSON.stringify({ 
+          type: 'status', 
+          message: `Query failed, asking AI to correct it (attempt ${nextAttempt} of ${maxAttempts})...` 
+        })}\n\n`);
+      },
+      onCorrected: (corrected, attemptNumber) => {
         res.write(`data: ${JSON.stringify({ 
           type: 'sql', 
-          content: sqlBuffer,
-          partial: true 
+          content: corrected.sql,
+          partial: false,
+          attempt: attemptNumber
         })}\n\n`);
-      } else if (currentSection === 'explanation' && explanationBuffer) {
+
         res.write(`data: ${JSON.stringify({ 
           type: 'explanation', 
-          content: explanationBuffer,
-          partial: true 
+          content: corrected.explanation,
+          partial: false,
+          attempt: attemptNumber
         })}\n\n`);
       }
-    }
+    });
+    const { sql, explanation, queryResult, attempts } = result;
 
-    // Final parsing - extract clean SQL and explanation
-    const lowerResponse = fullResponse.toLowerCase();
-    const sqlStart = lowerResponse.indexOf('sql:');
-    const expStart = lowerResponse.indexOf('explanation:');
-    
-    if (sqlStart !== -1) {
-      const sqlEnd = expStart !== -1 ? expStart : fullResponse.length;
-      const sqlContent = fullResponse.substring(sqlStart + 4, sqlEnd).trim();
-      // Clean up SQL content (remove any remaining explanation markers)
-      sqlBuffer = sqlContent.replace(/explanation:.*$/i, '').trim();
-    }
-    
-    if (expStart !== -1) {
-      explanationBuffer = fullResponse.substring(expStart + 12).trim();
-    }
+    cacheGeneration(cacheKey, workspaceId, result);
 
-    // Validate the complete SQL
-    const finalSQL = sqlBuffer.trim();
-    try {
-      aiService.validateSQL(finalSQL);
-      
-      // Send final SQL and explanation
-      res.write(`data: ${JSON.stringify({ 
-        type: 'sql', 
-        content: finalSQL,
-        partial: false 
-      })}\n\n`);
-      
-      res.write(`data: ${JSON.stringify({ 
-        type: 'explanation', 
-        content: explanationBuffer.trim(),
-        partial: false 
-      })}\n\n`);
+    // Recommend a visualization from the shape of the results
+    const chart = chartService.recommend(queryResult);
+
+    // Send results
+    res.write(`data: ${JSON.stringify({ 
+      type: 'results', 
+      data: queryResult.rows,
+      rowCount: queryResult.rowCount,
+      truncated: queryResult.truncated === true,
+      rowLimit: queryResult.rowLimit || null,
+      executionTime: `${queryResult.executionTime}ms`,
+      sql,
+      attempts,
+      cached: attempts[attempts.length - 1].cached,
+      candidates: ranking ? formatCandidates(ranking, candidates) : null,
+      chart,
+      usage: pricingService.combineUsage(attempts.map(attempt => attempt.usage)),
+      conversationId: conversation ? conversation.id : null
+    })}\n\n`);
+
+    // Summarize the results in plain language when requested
+    let answer = null;
 
-      // Execute the query
+    if (includeAnswer) {
       res.write(`data: ${JSON.stringify({ 
         type: 'status', 
-        message: 'Executing query...' 
+        message: 'Summarizing results...' 
       })}\n\n`);
 
-      console.log(`⚡ Executing SQL query...`);
-      const queryResult = await databaseService.executeQuery(
-        workspaceId, 
-        workspace.connection_string, 
-        finalSQL
-      );
+      answer = await generateResultAnswer(workspace, question, sql, queryResult);
 
-      // Send results
       res.write(`data: ${JSON.stringify({ 
-        type: 'results', 
-        data: queryResult.rows,
-        rowCount: queryResult.rowCount,
-        executionTime: `${queryResult.executionTime}ms`
+        type: 'answer', 
+        content: answer.answer,
+        usage: answer.usage
       })}\n\n`);
+    }
 
-      // Save query to history (async, don't wait)
-      const historyData = {
-        userId,
-        workspaceId,
-        question,
-        sql: finalSQL,
-        explanation: explanationBuffer.trim(),
-        databaseProvider: workspace.database_provider,
-        executionTime: queryResult.executionTime,
-        rowCount: queryResult.rowCount,
-        success: true
-      };
+    // Suggest follow-up questions when requested
+    let suggestions = null;
 
-      queryHistoryService.saveQuery(historyData).catch(error => {
-        console.warn(`⚠️  Failed to save query to history:`, error.message);
+    if (includeSuggestions) {
+      suggestions = await suggestFollowUps({
+        workspace,
+        schema,
+        schemaSelection,
+        workspaceContext,
+        conversationHistory,
+        question,
+        sql,
+        queryResult
       });
 
-      // Update workspace last used (async, don't wait)
-      workspaceService.updateLastUsed(workspaceId, userId).catch(error => {
-        console.warn(`⚠️  Failed to update last used for workspace ${workspaceId}:`, error.message);
-      });
+      if (suggestions.questions.length > 0) {
+        res.write(`data: ${JSON.stringify({ 
+          type: 'suggestions', 
+          questions: suggestions.questions,
+          usage: suggestions.usage
+        })}\n\n`);
+      }
+    }
 
-      console.log(`✅ Streaming query executed successfully in ${queryResult.executionTime}ms`);
-      res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
-      res.end();
+    // Save all attempts to history (async, don't wait)
+    saveAttemptsToHistory({
+      userId,
+      workspaceId,
+      question,
+      databaseProvider: workspace.database_provider,
+      runId
+    }, attempts, { answer, chart, suggestions }).catch(error => {
+      console.warn(`⚠️  Failed to save query to history:`, error.message);
+    });
 
-    } catch (validationError) {
-      console.error('❌ SQL validation failed:', validationError.message);
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error', 
-        message: validationError.message 
-      })}\n\n`);
-      res.end();
+    // Record the turn in the conversation (async, don't wait)
+    if (conversation) {
+      conversationService.addTurn(conversation, userId, {
+        question,
+        sql,
+        explanation,
+        columns: queryResult.columns,
+        rowCount: queryResult.rowCount,
+        success: true
+      }).catch(error => {
+        console.warn(`⚠️  Failed to save turn to conversation ${conversation.id}:`, error.message);
+      });
     }
 
+    // Update workspace last used (async, don't wait)
+    workspaceService.updateLastUsed(workspaceId, userId).catch(error => {
+      console.warn(`⚠️  Failed to update last used for workspace ${workspaceId}:`, error.message);
+    });
+
+    console.log(`✅ Streaming query executed successfully in ${queryResult.executionTime}ms after ${attempts.length} attempt(s)`);
+    res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
+    res.end();
+
   } catch (error) {
     console.error('❌ Streaming query execution error:', error.message);
     
     // Try to save failed query to history (async, don't wait)
-    try {
-      const { workspaceId, question } = req.body;
-      const userId = req.user.id;
-      
-      // Get workspace info if available
-      if (workspaceId && userId) {
-        workspaceService.getWorkspace(workspaceId, userId).then(workspace => {
-          const historyData = {
-            userId,
-            workspaceId,
-            question,
-            sql: null,
-            explanation: null,
-            databaseProvider: workspace?.database_provider || 'unknown',
-            executionTime: 0,
-            rowCount: 0,
-            success: false,
-            errorMessage: error.message
-          };
-
-          return queryHistoryService.saveQuery(historyData);
-        }).catch(historyError => {
-          console.warn(`⚠️  Failed to save failed streaming query to history:`, historyError.message);
-        });
-      }
-    } catch (historyError) {
-      console.warn(`⚠️  Error saving failed streaming query to history:`, historyError.message);
-    }
+    saveFailedRequestToHistory(req, runId, error);
     
     res.write(`data: ${JSON.stringify({ 
       type: 'error', 
-      message: error.message 
+      message: error.message,
+      // Same codes as errorHandler (e.g., PROMPT_INJECTION, UNSAFE_SQL, READ_ONLY_VIOLATION)
+      ...(hasClientErrorCode(error) && { code: error.code }),
+      ...(error.node && { node: error.node })
     })}\n\n`);
     res.end();
   }
+}
+
+router.post('/execute/stream', validate(queryExecuteSchema), executeQueryStream);
+
+/**
+ * Load the SQL to explain from the request body or a query history entry
+ * @param {Object} body - Validated request body
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Object with sql and historyId (or null)
+ */
+async function resolveSQLToExplain({ workspaceId, sql, historyId }, userId) {
+  if (!historyId) {
+    return { sql, historyId: null };
+  }
+
+  const query = await queryHistoryService.getQuery(historyId, userId);
+
+  if (query.workspace_id !== workspaceId) {
+    throw new Error('Invalid historyId: query belongs to a different workspace');
+  }
+
+  if (!query.sql_query) {
+    throw new Error('Invalid historyId: query has no SQL to explain');
+  }
+
+  return { sql: query.sql_query, historyId };
+}
+
+/**
+ * POST /api/query/explain
+ * Explain existing SQL clause by clause in plain English
+ * 
+ * Request body: {
+ *   workspaceId: string (UUID),
+ *   sql?: string,
+ *   historyId?: string (UUID)
+ * }
+ * Exactly one of sql or historyId is required.
+ * 
+ * Response: {
+ *   sql: string,
+ *   historyId: string|null,
+ *   summary: string,
+ *   clauses: Array<{
+ *     clause: string,
+ *     sql: string,
+ *     explanation: string
+ *   }>,
+ *   issues: Array<{
+ *     severity: 'error'|'warning',
+ *     type: string,
+ *     message: string
+ *   }>,
+ *   usage: Object|null
+ * }
+ * 
+ * The explanation is grounded in the workspace schema, and issues flag likely
+ * mistakes such as fan-out joins or non-aggregated columns missing from GROUP BY.
+ * The SQL is never executed.
+ */
+router.post('/explain', validate(queryExplainSchema), async (req, res, next) => {
+  try {
+    const { workspaceId } = req.body;
+    const userId = req.user.id;
+
+    const workspace = await workspaceService.getWorkspace(workspaceId, userId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        error: 'Workspace not found',
+        message: 'The specified workspace does not exist or you do not have access to it'
+      });
+    }
+
+    if (!workspace.connection_string || !workspace.database_provider) {
+      return res.status(400).json({
+        error: 'Invalid workspace configuration',
+        message: 'Workspace is missing database connection information'
+      });
+    }
+
+    const { sql, historyId } = await resolveSQLToExplain(req.body, userId);
+
+    console.log(`🧾 Explaining SQL for workspace ${workspaceId}${historyId ? ` (history ${historyId})` : ''}`);
+
+    const { schema } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    // Table names in the SQL rank its tables first when the schema is large
+    const schemaSelection = await schemaSelectorService.selectSchema(sql, schema, {
+      workspaceId,
+      userId
+    });
+
+    const annotations = await annotationService.getPromptAnnotations(workspaceId, userId);
+
+    const explained = await aiService.explainSQL(
+      sql,
+      schemaSelection.schema,
+      workspace.database_provider,
+      {
+        ...aiService.getWorkspaceModelOptions(workspace),
+        annotations
+      }
+    );
+
+    queryHistoryService.recordUsage(userId, workspaceId, 'explain', explained.usage);
+
+    res.status(200).json({
+      sql,
+      historyId,
+      summary: explained.summary,
+      clauses: explained.clauses,
+      issues: explained.issues,
+      usage: explained.usage
+    });
+
+  } catch (error) {
+    console.error('❌ SQL explain error:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/query/translate
+ * Translate SQL from one supported dialect to another
+ * 
+ * Request body: {
+ *   sql: string,
+ *   from: 'postgresql'|'mysql',
+ *   to: 'postgresql'|'mysql'
+ * }
+ * 
+ * Response: {
+ *   sql: string,
+ *   from: string,
+ *   to: string,
+ *   warnings: Array<{
+ *     construct: string,
+ *     message: string
+ *   }>
+ * }
+ * 
+ * Translation is rule-based (no model call, no workspace needed) and covers
+ * identifier quoting, string escapes, concatenation, casts, date functions,
+ * intervals, LIMIT/OFFSET, boolean literals and pattern matching. Warnings
+ * list constructs translated approximately or kept as written.
+ */
+router.post('/translate', validate(queryTranslateSchema), async (req, res, next) => {
+  try {
+    const { sql, from, to } = req.body;
+
+    const translated = dialectTranslatorService.translate(sql, from, to);
+
+    res.status(200).json({
+      sql: translated.sql,
+      from,
+      to,
+      warnings: translated.warnings
+    });
+
+  } catch (error) {
+    console.error('❌ SQL translate error:', error.message);
+    next(error);
+  }
 });
 
 module.exports = router;
+
+// The conversation routes continue a conversation through the same handlers
+module.exports.executeQuery = executeQuery;
+module.exports.executeQueryStream = executeQueryStream;
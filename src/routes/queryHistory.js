@@ -217,6 +217,9 @@ router.delete('/:id', validate(queryHistoryIdParamSchema, 'params'), async (req,
 /**
  * GET /api/query/history/stats
  * Get query statistics for authenticated user
+ * Query counts cover the user's own queries; costStats cover every model call
+ * (queries, clarifications, suggestions, explanations, annotation drafts and
+ * benchmark runs) in the workspaces the user owns
  * 
  * Query Parameters:
  * - workspaceId: string (optional) - Filter by workspace
@@ -231,6 +234,15 @@ router.delete('/:id', validate(queryHistoryIdParamSchema, 'params'), async (req,
  *     averageExecutionTime: number,
  *     totalRowsReturned: number,
  *     providerStats: { [provider: string]: number },
+ *     costStats: {
+ *       totalCost: number,
+ *       totalPromptTokens: number,
+ *       totalCompletionTokens: number,
+ *       byUser: { [userId: string]: { queries, promptTokens, completionTokens, cost } },
+ *       byWorkspace: { [workspaceId: string]: { queries, promptTokens, completionTokens, cost } },
+ *       byModel: { [model: string]: { queries, promptTokens, completionTokens, cost } },
+ *       byOperation: { [operation: string]: { queries, promptTokens, completionTokens, cost } }
+ *     },
  *     periodDays: number
  *   }
  * }
@@ -1,11 +1,157 @@
 const express = require('express');
 const workspaceService = require('../services/workspace');
 const databaseService = require('../services/database');
+const glossaryService = require('../services/glossary');
+const annotationService = require('../services/annotation');
+const suggestionService = require('../services/suggestion');
+const benchmarkService = require('../services/benchmark');
+const accessPolicyService = require('../services/accessPolicy');
+const queryHistoryService = require('../services/queryHistory');
 const { validate } = require('../middleware/validation');
-const { workspaceCreateSchema, workspaceIdParamSchema } = require('../validators/schemas');
+const {
+  workspaceCreateSchema,
+  workspaceUpdateSchema,
+  workspaceIdParamSchema,
+  glossaryEntryCreateSchema,
+  glossaryEntryUpdateSchema,
+  glossaryEntryParamSchema,
+  annotationGetSchema,
+  annotationSaveSchema,
+  annotationUpdateSchema,
+  annotationDraftSchema,
+  annotationParamSchema,
+  benchmarkCaseCreateSchema,
+  benchmarkCaseUpdateSchema,
+  benchmarkCaseParamSchema,
+  benchmarkRunCreateSchema,
+  benchmarkRunParamSchema,
+  benchmarkDiffSchema,
+  accessPolicyCreateSchema,
+  accessPolicyParamSchema
+} = require('../validators/schemas');
 
 const router = express.Router();
 
+/**
+ * Send the response for a glossary, annotation, access policy or benchmark route error
+ * Known errors get their status code, anything else goes to the router error handler
+ * @param {Error} error - Error thrown by the workspace, glossary, annotation, access policy or benchmark service
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function handleWorkspaceDataError(error, res, next) {
+  if (error.message === 'Workspace not found') {
+    return res.status(404).json({
+      error: 'Workspace not found',
+      message: 'The specified workspace does not exist or you do not have access to it'
+    });
+  }
+
+  if (error.message === 'Glossary entry not found') {
+    return res.status(404).json({
+      error: 'Glossary entry not found',
+      message: 'The specified glossary entry does not exist in this workspace'
+    });
+  }
+
+  if (error.message === 'Annotation not found') {
+    return res.status(404).json({
+      error: 'Annotation not found',
+      message: 'The specified annotation does not exist in this workspace'
+    });
+  }
+
+  if (error.message === 'Benchmark case not found') {
+    return res.status(404).json({
+      error: 'Benchmark case not found',
+      message: 'The specified benchmark case does not exist in this workspace'
+    });
+  }
+
+  if (error.message === 'Benchmark run not found') {
+    return res.status(404).json({
+      error: 'Benchmark run not found',
+      message: 'The specified benchmark run does not exist in this workspace'
+    });
+  }
+
+  if (error.message === 'Access policy not found') {
+    return res.status(404).json({
+      error: 'Access policy not found',
+      message: 'The specified access policy does not exist in this workspace'
+    });
+  }
+
+  if (error.message === 'Invalid workspace configuration') {
+    return res.status(400).json({
+      error: 'Invalid workspace configuration',
+      message: 'Workspace is missing database connection string'
+    });
+  }
+
+  if (error.code === 'PROMPT_INJECTION') {
+    return res.status(400).json({
+      error: 'Prompt injection suspected',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'ACCESS_POLICY_VIOLATION') {
+    return res.status(403).json({
+      error: 'Access denied',
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Invalid tables:')) {
+    return res.status(400).json({
+      error: 'Invalid tables',
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Invalid cases:')) {
+    return res.status(400).json({
+      error: 'Invalid cases',
+      message: error.message
+    });
+  }
+
+  if (error.message.startsWith('Invalid expectedSql:')) {
+    return res.status(400).json({
+      error: 'Invalid expectedSql',
+      code: error.code,
+      message: error.message,
+      node: error.node
+    });
+  }
+
+  if (error.message.startsWith('Invalid benchmark:')) {
+    return res.status(400).json({
+      error: 'Invalid benchmark',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Glossary entry already exists') {
+    return res.status(409).json({
+      error: 'Glossary entry already exists',
+      message: 'This workspace already defines a glossary entry of that kind with the same name'
+    });
+  }
+
+  if (error.message === 'Access policy already exists') {
+    return res.status(409).json({
+      error: 'Access policy already exists',
+      message: 'This workspace already has a policy with the same effect on that table or column'
+    });
+  }
+
+  next(error);
+}
+
 /**
  * GET /api/workspaces
  * Get all workspaces for authenticated user
@@ -50,7 +196,11 @@ router.get('/', async (req, res, next) => {
  *   name: string,
  *   databaseProvider: string,
  *   connectionString: string,
- *   description?: string
+ *   description?: string,
+ *   aiProvider?: 'openai'|'anthropic',
+ *   aiModel?: string,
+ *   fewShotEnabled?: boolean,
+ *   customInstructions?: string
  * }
  * 
  * Response: {
@@ -61,6 +211,10 @@ router.get('/', async (req, res, next) => {
  *     connection_string: string,
  *     description: string,
  *     status: string,
+ *     ai_provider: string|null,
+ *     ai_model: string|null,
+ *     few_shot_enabled: boolean,
+ *     custom_instructions: string|null,
  *     created_at: string,
  *     updated_at: string
  *   }
@@ -69,7 +223,7 @@ router.get('/', async (req, res, next) => {
 router.post('/', validate(workspaceCreateSchema), async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { name, databaseProvider, connectionString, description } = req.body;
+    const { name, databaseProvider, connectionString, description, aiProvider, aiModel, fewShotEnabled, customInstructions } = req.body;
 
     console.log(`🔧 Creating workspace "${name}" for user: ${userId}`);
 
@@ -91,7 +245,11 @@ router.post('/', validate(workspaceCreateSchema), async (req, res, next) => {
       name: name.trim(),
       databaseProvider: databaseProvider.trim(),
       connectionString: connectionString.trim(),
-      description: description ? description.trim() : null
+      description: description ? description.trim() : null,
+      aiProvider,
+      aiModel,
+      fewShotEnabled,
+      customInstructions
     });
 
     console.log(`✅ Created workspace: ${workspace.id} for user: ${userId}`);
@@ -109,9 +267,98 @@ router.post('/', validate(workspaceCreateSchema), async (req, res, next) => {
   }
 });
 
+/**
+ * PATCH /api/workspaces/:id
+ * Update workspace details and AI settings
+ * Setting aiProvider or aiModel to null falls back to the deployment default.
+ * aiModel requires aiProvider, and setting aiProvider without aiModel uses the provider's default model
+ * 
+ * Body: {
+ *   name?: string,
+ *   description?: string|null,
+ *   aiProvider?: 'openai'|'anthropic'|null,
+ *   aiModel?: string|null,
+ *   fewShotEnabled?: boolean,
+ *   customInstructions?: string|null
+ * }
+ * 
+ * Response: {
+ *   workspace: {
+ *     id: string,
+ *     name: string,
+ *     database_provider: string,
+ *     description: string,
+ *     status: string,
+ *     ai_provider: string|null,
+ *     ai_model: string|null,
+ *     few_shot_enabled: boolean,
+ *     custom_instructions: string|null,
+ *     created_at: string,
+ *     updated_at: string
+ *   }
+ * }
+ */
+router.patch('/:id', validate(workspaceIdParamSchema, 'params'), validate(workspaceUpdateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+    const { name, description, aiProvider, aiModel, fewShotEnabled, customInstructions } = req.body;
+
+    console.log(`🔧 Updating workspace: ${workspaceId} for user: ${userId}`);
+
+    // Map request fields to workspace columns, skipping fields that were not sent
+    const updateData = {};
+
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+    if (description !== undefined) {
+      updateData.description = description || null;
+    }
+    // A model belongs to its provider, so changing the provider resets the model unless one is sent
+    // (aiModel is only accepted together with aiProvider)
+    if (aiProvider !== undefined) {
+      updateData.ai_provider = aiProvider;
+      updateData.ai_model = aiModel || null;
+    } else if (aiModel !== undefined) {
+      updateData.ai_model = null;
+    }
+    if (fewShotEnabled !== undefined) {
+      updateData.few_shot_enabled = fewShotEnabled;
+    }
+    if (customInstructions !== undefined) {
+      updateData.custom_instructions = customInstructions || null;
+    }
+
+    const workspace = await workspaceService.updateWorkspace(workspaceId, userId, updateData);
+
+    console.log(`✅ Updated workspace: ${workspaceId} for user: ${userId}`);
+
+    // Remove connection_string from response for security
+    const { connection_string, ...safeWorkspace } = workspace;
+
+    res.status(200).json({
+      workspace: safeWorkspace
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating workspace:', error.message);
+
+    if (error.message === 'Workspace not found') {
+      return res.status(404).json({
+        error: 'Workspace not found',
+        message: 'The specified workspace does not exist or you do not have access to it'
+      });
+    }
+
+    next(error);
+  }
+});
+
 /**
  * GET /api/workspaces/:id/schema
- * Get workspace schema
+ * Get workspace schema with its table and column annotations
+ * Tables and columns hidden by the workspace's access policies are left out
  * 
  * Response: {
  *   schema: {
@@ -120,7 +367,8 @@ router.post('/', validate(workspaceCreateSchema), async (req, res, next) => {
  *       type: string,
  *       nullable: boolean
  *     }>
- *   }
+ *   },
+ *   annotations: Array<Object> (see GET /api/workspaces/:id/annotations)
  * }
  */
 router.get('/:id/schema', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
@@ -153,12 +401,18 @@ router.get('/:id/schema', validate(workspaceIdParamSchema, 'params'), async (req
 
     // Get database schema
     console.log(`🔍 Retrieving schema from database...`);
-    const schema = await databaseService.getSchema(workspaceId, workspace.connection_string);
+    const [{ schema, policy }, allAnnotations] = await Promise.all([
+      accessPolicyService.getVisibleSchema(workspace, userId),
+      annotationService.getAnnotations(workspaceId, userId)
+    ]);
+
+    const annotations = allAnnotations.filter(annotation => accessPolicyService.isAnnotationVisible(policy, annotation));
 
-    console.log(`✅ Retrieved schema for workspace ${workspaceId}: ${Object.keys(schema).length} tables`);
+    console.log(`✅ Retrieved schema for workspace ${workspaceId}: ${Object.keys(schema).length} tables, ${annotations.length} annotations`);
 
     res.status(200).json({
-      schema
+      schema,
+      annotations
     });
 
   } catch (error) {
@@ -167,6 +421,854 @@ router.get('/:id/schema', validate(workspaceIdParamSchema, 'params'), async (req
   }
 });
 
+/**
+ * GET /api/workspaces/:id/suggestions
+ * Suggest starter questions generated from the workspace schema
+ * Suggestions are cached until the schema fingerprint changes (or AI_CACHE_TTL_SECONDS passes)
+ * 
+ * Response: {
+ *   questions: Array<string>,
+ *   cached: boolean,
+ *   usage: Object|null
+ * }
+ */
+router.get('/:id/suggestions', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🧭 Suggesting starter questions for workspace: ${workspaceId}`);
+
+    const workspace = await getConnectedWorkspace(workspaceId, userId);
+    const { schema } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    const suggestions = await suggestionService.getStarterQuestions(workspace, userId, schema);
+
+    queryHistoryService.recordUsage(userId, workspaceId, 'suggestions', suggestions.usage);
+
+    res.status(200).json(suggestions);
+
+  } catch (error) {
+    console.error('❌ Error suggesting questions:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/glossary
+ * Get the business glossary of a workspace
+ * Terms and metric definitions are added to SQL generation prompts together with
+ * the workspace's customInstructions (set with PATCH /api/workspaces/:id)
+ * 
+ * Response: {
+ *   entries: Array<{
+ *     id: string,
+ *     workspace_id: string,
+ *     kind: 'term'|'metric',
+ *     name: string,
+ *     definition: string,
+ *     created_at: string,
+ *     updated_at: string
+ *   }>
+ * }
+ */
+router.get('/:id/glossary', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`📖 Fetching glossary for workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const entries = await glossaryService.getEntries(workspaceId, userId);
+
+    res.status(200).json({
+      entries
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching glossary:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/glossary
+ * Add a term or metric definition to a workspace's glossary
+ * 
+ * Body: {
+ *   kind: 'term'|'metric',
+ *   name: string,
+ *   definition: string
+ * }
+ * 
+ * Response: {
+ *   entry: Object (see GET /api/workspaces/:id/glossary)
+ * }
+ */
+router.post('/:id/glossary', validate(workspaceIdParamSchema, 'params'), validate(glossaryEntryCreateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+    const { kind, name, definition } = req.body;
+
+    console.log(`📖 Adding glossary ${kind} "${name}" to workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const entry = await glossaryService.createEntry(workspaceId, userId, { kind, name, definition });
+
+    res.status(201).json({
+      entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating glossary entry:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id/glossary/:entryId
+ * Update a glossary entry
+ * 
+ * Body: {
+ *   kind?: 'term'|'metric',
+ *   name?: string,
+ *   definition?: string
+ * }
+ * 
+ * Response: {
+ *   entry: Object (see GET /api/workspaces/:id/glossary)
+ * }
+ */
+router.patch('/:id/glossary/:entryId', validate(glossaryEntryParamSchema, 'params'), validate(glossaryEntryUpdateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, entryId } = req.params;
+
+    console.log(`📖 Updating glossary entry: ${entryId} in workspace: ${workspaceId}`);
+
+    const entry = await glossaryService.updateEntry(workspaceId, entryId, userId, req.body);
+
+    res.status(200).json({
+      entry
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating glossary entry:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/glossary/:entryId
+ * Delete a glossary entry
+ * 
+ * Response: {
+ *   message: string,
+ *   deleted: boolean
+ * }
+ */
+router.delete('/:id/glossary/:entryId', validate(glossaryEntryParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, entryId } = req.params;
+
+    console.log(`🗑️  Deleting glossary entry: ${entryId} from workspace: ${workspaceId}`);
+
+    const deleted = await glossaryService.deleteEntry(workspaceId, entryId, userId);
+
+    if (!deleted) {
+      throw new Error('Glossary entry not found');
+    }
+
+    res.status(200).json({
+      message: 'Glossary entry deleted successfully',
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting glossary entry:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * Load a workspace for a route that queries its database, checking it has a connection string
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Workspace record
+ */
+async function getConnectedWorkspace(workspaceId, userId) {
+  const workspace = await workspaceService.getWorkspace(workspaceId, userId);
+
+  if (!workspace.connection_string) {
+    throw new Error('Invalid workspace configuration');
+  }
+
+  return workspace;
+}
+
+/**
+ * GET /api/workspaces/:id/annotations
+ * Get the table and column annotations of a workspace
+ * Approved annotations are added to the schema in SQL generation prompts;
+ * drafts wait for review. Annotations of tables and columns hidden by the
+ * access policy are left out
+ * 
+ * Query params:
+ *   status?: 'draft'|'approved'
+ * 
+ * Response: {
+ *   annotations: Array<{
+ *     id: string,
+ *     workspace_id: string,
+ *     table_name: string,
+ *     column_name: string|null,
+ *     description: string,
+ *     source: 'comment'|'ai'|'user',
+ *     status: 'draft'|'approved',
+ *     created_at: string,
+ *     updated_at: string
+ *   }>
+ * }
+ */
+router.get('/:id/annotations', validate(workspaceIdParamSchema, 'params'), validate(annotationGetSchema, 'query'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🏷️  Fetching annotations for workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const [policy, allAnnotations] = await Promise.all([
+      accessPolicyService.getPolicy(workspaceId, userId),
+      annotationService.getAnnotations(workspaceId, userId, { status: req.query.status })
+    ]);
+
+    const annotations = allAnnotations.filter(annotation => accessPolicyService.isAnnotationVisible(policy, annotation));
+
+    res.status(200).json({
+      annotations
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching annotations:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * PUT /api/workspaces/:id/annotations
+ * Write a description of a table (column omitted) or column
+ * Replaces any existing annotation of the target and approves it
+ * Tables and columns hidden by the access policy are rejected (ACCESS_POLICY_VIOLATION)
+ * 
+ * Body: {
+ *   table: string,
+ *   column?: string|null,
+ *   description: string
+ * }
+ * 
+ * Response: {
+ *   annotation: Object (see GET /api/workspaces/:id/annotations)
+ * }
+ */
+router.put('/:id/annotations', validate(workspaceIdParamSchema, 'params'), validate(annotationSaveSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+    const { table, column, description } = req.body;
+
+    console.log(`🏷️  Saving annotation for ${column ? `${table}.${column}` : table} in workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const policy = await accessPolicyService.getPolicy(workspaceId, userId);
+    if (!accessPolicyService.isAnnotationVisible(policy, { table_name: table, column_name: column })) {
+      throw accessPolicyService.reject(`${column ? `column ${table}.${column}` : `table ${table}`} is hidden by the workspace access policy`);
+    }
+
+    const annotation = await annotationService.saveAnnotation(workspaceId, userId, { table, column, description });
+
+    res.status(200).json({
+      annotation
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving annotation:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/annotations/import
+ * Seed annotations from the database's COMMENT ON metadata
+ * Tables and columns that already have an annotation, or that the access policy
+ * hides, are left unchanged
+ * 
+ * Response: {
+ *   annotations: Array<Object> (imported, approved)
+ * }
+ */
+router.post('/:id/annotations/import', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🏷️  Importing database comments for workspace: ${workspaceId}`);
+
+    const workspace = await getConnectedWorkspace(workspaceId, userId);
+    const { schema } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    const annotations = await annotationService.importComments(workspace, userId, schema);
+
+    res.status(200).json({
+      annotations
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing database comments:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/annotations/draft
+ * Have the model draft descriptions from column names, types and a few sampled rows
+ * Sampled values are redacted like result answers. Drafts are only written for
+ * tables and columns without an annotation and must be approved (PATCH) before
+ * they are used in prompts. At most 10 tables are drafted per request.
+ * 
+ * Body: {
+ *   tables?: Array<string> (default: tables with unannotated columns)
+ * }
+ * 
+ * Response: {
+ *   annotations: Array<Object> (drafts),
+ *   tables: Array<string> (tables sent to the model),
+ *   usage: Object|null
+ * }
+ */
+router.post('/:id/annotations/draft', validate(workspaceIdParamSchema, 'params'), validate(annotationDraftSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🏷️  Drafting annotations for workspace: ${workspaceId}`);
+
+    const workspace = await getConnectedWorkspace(workspaceId, userId);
+    const { schema } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    const drafted = await annotationService.draftMissingAnnotations(workspace, userId, schema, req.body.tables);
+
+    queryHistoryService.recordUsage(userId, workspaceId, 'annotation_draft', drafted.usage);
+
+    res.status(200).json(drafted);
+
+  } catch (error) {
+    console.error('❌ Error drafting annotations:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id/annotations/:annotationId
+ * Review an annotation: edit its description and/or set its status
+ * 
+ * Body: {
+ *   description?: string,
+ *   status?: 'draft'|'approved'
+ * }
+ * 
+ * Response: {
+ *   annotation: Object (see GET /api/workspaces/:id/annotations)
+ * }
+ */
+router.patch('/:id/annotations/:annotationId', validate(annotationParamSchema, 'params'), validate(annotationUpdateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, annotationId } = req.params;
+
+    console.log(`🏷️  Updating annotation: ${annotationId} in workspace: ${workspaceId}`);
+
+    const annotation = await annotationService.updateAnnotation(workspaceId, annotationId, userId, req.body);
+
+    res.status(200).json({
+      annotation
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating annotation:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/annotations/:annotationId
+ * Delete an annotation
+ * 
+ * Response: {
+ *   message: string,
+ *   deleted: boolean
+ * }
+ */
+router.delete('/:id/annotations/:annotationId', validate(annotationParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, annotationId } = req.params;
+
+    console.log(`🗑️  Deleting annotation: ${annotationId} from workspace: ${workspaceId}`);
+
+    const deleted = await annotationService.deleteAnnotation(workspaceId, annotationId, userId);
+
+    if (!deleted) {
+      throw new Error('Annotation not found');
+    }
+
+    res.status(200).json({
+      message: 'Annotation deleted successfully',
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting annotation:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/policies
+ * Get the table and column access policies of a workspace
+ * Hidden tables and columns are left out of the schema, prompts and suggestions,
+ * and generated queries that read them are rejected (ACCESS_POLICY_VIOLATION).
+ * A deny policy always wins; once any allow policy exists, only allowed tables
+ * are visible, and column allow policies restrict their table to those columns
+ * 
+ * Response: {
+ *   policies: Array<{
+ *     id: string,
+ *     workspace_id: string,
+ *     effect: 'allow'|'deny',
+ *     table_name: string,
+ *     column_name: string|null,
+ *     created_at: string
+ *   }>
+ * }
+ */
+router.get('/:id/policies', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🔐 Fetching access policies for workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const policies = await accessPolicyService.getPolicies(workspaceId, userId);
+
+    res.status(200).json({
+      policies
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching access policies:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/policies
+ * Allow or deny a table, or a single column, of a workspace's database
+ * 
+ * Body: {
+ *   effect: 'allow'|'deny',
+ *   table: string,
+ *   column?: string|null (default: the whole table)
+ * }
+ * 
+ * Response: {
+ *   policy: Object (see GET /api/workspaces/:id/policies)
+ * }
+ */
+router.post('/:id/policies', validate(workspaceIdParamSchema, 'params'), validate(accessPolicyCreateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+    const { effect, table, column } = req.body;
+
+    console.log(`🔐 Adding ${effect} policy for ${column ? `${table}.${column}` : table} to workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const policy = await accessPolicyService.createPolicy(workspaceId, userId, { effect, table, column });
+
+    res.status(201).json({
+      policy
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating access policy:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/policies/:policyId
+ * Delete an access policy
+ * 
+ * Response: {
+ *   message: string,
+ *   deleted: boolean
+ * }
+ */
+router.delete('/:id/policies/:policyId', validate(accessPolicyParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, policyId } = req.params;
+
+    console.log(`🗑️  Deleting access policy: ${policyId} from workspace: ${workspaceId}`);
+
+    const deleted = await accessPolicyService.deletePolicy(workspaceId, policyId, userId);
+
+    if (!deleted) {
+      throw new Error('Access policy not found');
+    }
+
+    res.status(200).json({
+      message: 'Access policy deleted successfully',
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting access policy:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/benchmark/cases
+ * Get the golden set of a workspace: questions with the result their SQL must return
+ * 
+ * Response: {
+ *   cases: Array<{
+ *     id: string,
+ *     workspace_id: string,
+ *     question: string,
+ *     expected_sql: string|null,
+ *     expected_rows: Array|null,
+ *     ordered: boolean,
+ *     created_at: string,
+ *     updated_at: string
+ *   }>
+ * }
+ */
+router.get('/:id/benchmark/cases', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🎯 Fetching benchmark cases for workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const cases = await benchmarkService.getCases(workspaceId, userId);
+
+    res.status(200).json({
+      cases
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching benchmark cases:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/benchmark/cases
+ * Add a question to a workspace's golden set
+ * The expected result is either the rows returned by expectedSql (run at
+ * benchmark time, so it follows the data) or fixed expectedRows. expectedSql
+ * must pass SQL validation and the workspace access policy like generated SQL.
+ * 
+ * Body: {
+ *   question: string,
+ *   expectedSql?: string,
+ *   expectedRows?: Array<Array|Object>,
+ *   ordered?: boolean (default: false, row order must match when true)
+ * }
+ * Exactly one of expectedSql or expectedRows is required.
+ * 
+ * Response: {
+ *   case: Object (see GET /api/workspaces/:id/benchmark/cases)
+ * }
+ */
+router.post('/:id/benchmark/cases', validate(workspaceIdParamSchema, 'params'), validate(benchmarkCaseCreateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🎯 Adding benchmark case to workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    const workspace = await workspaceService.getWorkspace(workspaceId, userId);
+
+    const benchmarkCase = await benchmarkService.createCase(workspace, userId, req.body);
+
+    res.status(201).json({
+      case: benchmarkCase
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating benchmark case:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * PATCH /api/workspaces/:id/benchmark/cases/:caseId
+ * Update a golden set case
+ * 
+ * Body: {
+ *   question?: string,
+ *   expectedSql?: string (replaces expectedRows),
+ *   expectedRows?: Array<Array|Object> (replaces expectedSql),
+ *   ordered?: boolean
+ * }
+ * 
+ * Response: {
+ *   case: Object (see GET /api/workspaces/:id/benchmark/cases)
+ * }
+ */
+router.patch('/:id/benchmark/cases/:caseId', validate(benchmarkCaseParamSchema, 'params'), validate(benchmarkCaseUpdateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, caseId } = req.params;
+
+    console.log(`🎯 Updating benchmark case: ${caseId} in workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    const workspace = await workspaceService.getWorkspace(workspaceId, userId);
+
+    const benchmarkCase = await benchmarkService.updateCase(workspace, caseId, userId, req.body);
+
+    res.status(200).json({
+      case: benchmarkCase
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating benchmark case:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * DELETE /api/workspaces/:id/benchmark/cases/:caseId
+ * Delete a golden set case
+ * 
+ * Response: {
+ *   message: string,
+ *   deleted: boolean
+ * }
+ */
+router.delete('/:id/benchmark/cases/:caseId', validate(benchmarkCaseParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, caseId } = req.params;
+
+    console.log(`🗑️  Deleting benchmark case: ${caseId} from workspace: ${workspaceId}`);
+
+    const deleted = await benchmarkService.deleteCase(workspaceId, caseId, userId);
+
+    if (!deleted) {
+      throw new Error('Benchmark case not found');
+    }
+
+    res.status(200).json({
+      message: 'Benchmark case deleted successfully',
+      deleted: true
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting benchmark case:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * POST /api/workspaces/:id/benchmark/runs
+ * Run the golden set against the current generator and save the report
+ * Each case's generated SQL is executed and passes when it returns the expected
+ * rows (column names and order ignored, row order only checked for ordered cases).
+ * The request returns once every case ran, one at a time.
+ * 
+ * Body: {
+ *   label?: string (e.g., the prompt change being tested),
+ *   caseIds?: Array<string> (default: the whole golden set)
+ * }
+ * 
+ * Response: {
+ *   run: {
+ *     id: string,
+ *     workspace_id: string,
+ *     label: string|null,
+ *     model: string,
+ *     total: number,
+ *     passed: number,
+ *     accuracy: number (0 to 1),
+ *     usage: Object|null,
+ *     created_at: string,
+ *     results: Array<{
+ *       caseId: string,
+ *       question: string,
+ *       sql: string|null,
+ *       passed: boolean,
+ *       error: string|null,
+ *       expectedRowCount: number|null,
+ *       rowCount: number|null,
+ *       usage: Object|null
+ *     }>
+ *   },
+ *   diff: Object|null (compared with the previous run, see GET /api/workspaces/:id/benchmark/runs/:runId/diff)
+ * }
+ */
+router.post('/:id/benchmark/runs', validate(workspaceIdParamSchema, 'params'), validate(benchmarkRunCreateSchema), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🎯 Running benchmark for workspace: ${workspaceId}`);
+
+    const workspace = await getConnectedWorkspace(workspaceId, userId);
+
+    const run = await benchmarkService.runBenchmark(workspace, userId, req.body);
+
+    queryHistoryService.recordUsage(userId, workspaceId, 'benchmark', run.usage);
+
+    const previousRun = await benchmarkService.getPreviousRun(run, userId);
+
+    res.status(201).json({
+      run,
+      diff: previousRun ? benchmarkService.compareRuns(previousRun, run) : null
+    });
+
+  } catch (error) {
+    console.error('❌ Error running benchmark:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/benchmark/runs
+ * Get the 20 most recent benchmark runs of a workspace (without per-case results)
+ * 
+ * Response: {
+ *   runs: Array<Object> (see POST /api/workspaces/:id/benchmark/runs, without results)
+ * }
+ */
+router.get('/:id/benchmark/runs', validate(workspaceIdParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const workspaceId = req.params.id;
+
+    console.log(`🎯 Fetching benchmark runs for workspace: ${workspaceId}`);
+
+    // Validate workspace belongs to user
+    await workspaceService.getWorkspace(workspaceId, userId);
+
+    const runs = await benchmarkService.getRuns(workspaceId, userId);
+
+    res.status(200).json({
+      runs
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching benchmark runs:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/benchmark/runs/:runId
+ * Get a benchmark report with its per-case results
+ * 
+ * Response: {
+ *   run: Object (see POST /api/workspaces/:id/benchmark/runs)
+ * }
+ */
+router.get('/:id/benchmark/runs/:runId', validate(benchmarkRunParamSchema, 'params'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, runId } = req.params;
+
+    console.log(`🎯 Fetching benchmark run: ${runId} for workspace: ${workspaceId}`);
+
+    const run = await benchmarkService.getRun(workspaceId, runId, userId);
+
+    res.status(200).json({
+      run
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching benchmark run:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
+/**
+ * GET /api/workspaces/:id/benchmark/runs/:runId/diff
+ * Compare a benchmark run with an earlier one, case by case
+ * 
+ * Query params:
+ *   baseRunId?: string (default: the run before runId)
+ * 
+ * Response: {
+ *   diff: {
+ *     baseRunId: string,
+ *     runId: string,
+ *     accuracyChange: number,
+ *     fixed: Array<{ caseId, question }> (failed in the base run, pass now),
+ *     regressed: Array<{ caseId, question, sql, error }> (passed in the base run, fail now),
+ *     stillPassing: number,
+ *     stillFailing: number,
+ *     added: Array<{ caseId, question }>,
+ *     removed: Array<{ caseId, question }>
+ *   }|null (null when runId is the first run)
+ * }
+ */
+router.get('/:id/benchmark/runs/:runId/diff', validate(benchmarkRunParamSchema, 'params'), validate(benchmarkDiffSchema, 'query'), async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: workspaceId, runId } = req.params;
+    const { baseRunId } = req.query;
+
+    console.log(`🎯 Comparing benchmark run: ${runId} for workspace: ${workspaceId}`);
+
+    const run = await benchmarkService.getRun(workspaceId, runId, userId);
+    const baseRun = baseRunId
+      ? await benchmarkService.getRun(workspaceId, baseRunId, userId)
+      : await benchmarkService.getPreviousRun(run, userId);
+
+    res.status(200).json({
+      diff: baseRun ? benchmarkService.compareRuns(baseRun, run) : null
+    });
+
+  } catch (error) {
+    console.error('❌ Error comparing benchmark runs:', error.message);
+    handleWorkspaceDataError(error, res, next);
+  }
+});
+
 // Error handler for this router
 router.use((error, req, res, next) => {
   console.error('Workspace route error:', error.message);
@@ -0,0 +1,446 @@
+const { getSupabaseClient } = require('../config/supabase');
+const databaseService = require('./database');
+const sqlValidatorService = require('./sqlValidator');
+
+/**
+ * Access Policy Service
+ * Manages a workspace's table and column access policies in Supabase and
+ * enforces them. Each policy allows or denies a table or a single column:
+ * - a deny policy hides its table or column, and always wins over allow policies
+ * - once any allow policy exists, only allowed tables are visible
+ * - column allow policies restrict their table to those columns
+ * Hidden tables and columns are left out of the schema returned to clients and
+ * sent to the model, and queries that read them are rejected before they run
+ * with the ACCESS_POLICY_VIOLATION error code. Names match case-insensitively.
+ */
+
+// Error code of queries rejected by a policy (mapped to a 403 by errorHandler)
+const ACCESS_POLICY_VIOLATION_CODE = 'ACCESS_POLICY_VIOLATION';
+
+// Columns returned for policies
+const POLICY_COLUMNS = 'id, workspace_id, effect, table_name, column_name, created_at';
+
+// Schema the workspace schema is read from (see databaseService.getSchema)
+const SCHEMA_NAME = 'public';
+
+class AccessPolicyService {
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Get the access policies of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of policy records, by table then column
+   */
+  async getPolicies(workspaceId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_access_policies')
+        .select(POLICY_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .order('table_name', { ascending: true })
+        .order('column_name', { ascending: true, nullsFirst: true });
+
+      if (error) {
+        console.error('Error fetching access policies:', error.message);
+        throw new Error(`Failed to fetch access policies: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} access policies for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting access policies for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an access policy
+   * @param {string} workspaceId - Workspace ID (ownership is checked by the caller)
+   * @param {string} userId - User ID
+   * @param {Object} policyData - Policy data
+   * @param {string} policyData.effect - 'allow' or 'deny'
+   * @param {string} policyData.table - Table name
+   * @param {string|null} [policyData.column] - Column name (null for the whole table)
+   * @returns {Promise<Object>} Created policy record
+   * @throws {Error} 'Access policy already exists' if the workspace already has the same policy
+   */
+  async createPolicy(workspaceId, userId, { effect, table, column }) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_access_policies')
+        .insert([{
+          workspace_id: workspaceId,
+          user_id: userId,
+          effect,
+          table_name: table,
+          column_name: column || null,
+          created_at: new Date().toISOString()
+        }])
+        .select(POLICY_COLUMNS)
+        .single();
+
+      if (error) {
+        // Unique violation on (workspace_id, effect, lower(table_name), lower(column_name))
+        if (error.code === '23505') {
+          throw new Error('Access policy already exists');
+        }
+        console.error('Error creating access policy:', error.message);
+        throw new Error(`Failed to create access policy: ${error.message}`);
+      }
+
+      console.log(`✅ Created ${effect} policy for ${column ? `${table}.${column}` : table} in workspace: ${workspaceId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error creating access policy for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an access policy
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} policyId - Policy ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deletePolicy(workspaceId, policyId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_access_policies')
+        .delete()
+        .eq('id', policyId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting access policy:', error.message);
+        throw new Error(`Failed to delete access policy: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        console.log(`⚠️  Access policy ${policyId} not found for user ${userId}`);
+        return false;
+      }
+
+      console.log(`✅ Deleted access policy: ${policyId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error deleting access policy ${policyId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the access policy enforced for a workspace from its policies
+   * @param {Array<Object>} policies - Policy records
+   * @param {Object} schema - Full schema object from databaseService.getSchema
+   * @returns {Object} Combined policy (see isTableVisible, isColumnVisible and checkQuery)
+   */
+  buildPolicy(policies, schema) {
+    const policy = {
+      active: policies.length > 0,
+      allowedTables: null,
+      deniedTables: new Set(),
+      allowedColumns: new Map(),
+      deniedColumns: new Map(),
+      // Lowercase table name -> lowercase column names of the full schema
+      tables: new Map(Object.entries(schema).map(([tableName, columns]) => [
+        tableName.toLowerCase(),
+        new Set(columns.map(column => column.name.toLowerCase()))
+      ]))
+    };
+
+    const addTo = (map, table, column) => {
+      if (!map.has(table)) {
+        map.set(table, new Set());
+      }
+      map.get(table).add(column);
+    };
+
+    policies.forEach(({ effect, table_name: tableName, column_name: columnName }) => {
+      const table = tableName.toLowerCase();
+      const column = columnName ? columnName.toLowerCase() : null;
+
+      if (effect === 'deny') {
+        if (column) {
+          addTo(policy.deniedColumns, table, column);
+        } else {
+          policy.deniedTables.add(table);
+        }
+        return;
+      }
+
+      // Allowing a column also allows its table
+      policy.allowedTables = policy.allowedTables || new Set();
+      policy.allowedTables.add(table);
+
+      if (column) {
+        addTo(policy.allowedColumns, table, column);
+      }
+    });
+
+    return policy;
+  }
+
+  /**
+   * Whether a policy lets queries and prompts see a table
+   * @param {Object} policy - Policy from buildPolicy
+   * @param {string} table - Table name
+   * @returns {boolean} True if visible
+   */
+  isTableVisible(policy, table) {
+    const name = String(table).toLowerCase();
+
+    return !policy.deniedTables.has(name) && (!policy.allowedTables || policy.allowedTables.has(name));
+  }
+
+  /**
+   * Whether a policy lets queries and prompts see a column
+   * @param {Object} policy - Policy from buildPolicy
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {boolean} True if visible (its table must be visible too)
+   */
+  isColumnVisible(policy, table, column) {
+    const tableName = String(table).toLowerCase();
+    const columnName = String(column).toLowerCase();
+    const denied = policy.deniedColumns.get(tableName);
+    const allowed = policy.allowedColumns.get(tableName);
+
+    return this.isTableVisible(policy, tableName) &&
+      !(denied && denied.has(columnName)) &&
+      (!allowed || allowed.has(columnName));
+  }
+
+  /**
+   * Whether a policy lets clients and the model see an annotation's table or column
+   * @param {Object} policy - Policy from buildPolicy
+   * @param {Object} annotation - Annotation record (table_name, column_name)
+   * @returns {boolean} True if visible
+   */
+  isAnnotationVisible(policy, annotation) {
+    return annotation.column_name
+      ? this.isColumnVisible(policy, annotation.table_name, annotation.column_name)
+      : this.isTableVisible(policy, annotation.table_name);
+  }
+
+  /**
+   * Whether a table has columns the policy hides (a star or whole-row reference would read them)
+   * @param {Object} policy - Policy from buildPolicy
+   * @param {string} table - Table name
+   * @returns {boolean} True if any column of the table is hidden
+   */
+  hasHiddenColumns(policy, table) {
+    const tableName = String(table).toLowerCase();
+    const columns = policy.tables.get(tableName);
+
+    // Without the table's columns, any column policy may hide one of them
+    if (!columns) {
+      return policy.deniedColumns.has(tableName) || policy.allowedColumns.has(tableName);
+    }
+
+    return Array.from(columns).some(column => !this.isColumnVisible(policy, tableName, column));
+  }
+
+  /**
+   * Remove hidden tables and columns from a schema
+   * Foreign keys pointing at a hidden table or column are removed too
+   * @param {Object} schema - Full schema object from databaseService.getSchema (not modified)
+   * @param {Object} policy - Policy from buildPolicy
+   * @returns {Object} Schema object with visible tables and columns only
+   */
+  filterSchema(schema, policy) {
+    if (!policy.active) {
+      return schema;
+    }
+
+    return Object.entries(schema).reduce((visible, [tableName, columns]) => {
+      const visibleColumns = columns
+        .filter(column => this.isColumnVisible(policy, tableName, column.name))
+        .map(column => {
+          if (!column.references || this.isColumnVisible(policy, column.references.table, column.references.column)) {
+            return column;
+          }
+          const { references, ...rest } = column;
+          return rest;
+        });
+
+      // A table whose columns are all hidden is hidden
+      if (visibleColumns.length > 0) {
+        visible[tableName] = visibleColumns;
+      }
+
+      return visible;
+    }, {});
+  }
+
+  /**
+   * Get a workspace's policy without reading its database
+   * Enough for the visibility checks of annotations, but not for checkQuery,
+   * which needs the schema (use getVisibleSchema)
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Policy from buildPolicy
+   */
+  async getPolicy(workspaceId, userId) {
+    return this.buildPolicy(await this.getPolicies(workspaceId, userId), {});
+  }
+
+  /**
+   * Get a workspace's schema as its access policy lets clients and the model see it
+   * Unlike the glossary and annotations, policies are not optional: if they can't
+   * be loaded the request fails instead of running without them
+   * @param {Object} workspace - Workspace record (with connection_string)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with schema (visible tables and columns) and policy (for checkQuery)
+   */
+  async getVisibleSchema(workspace, userId) {
+    const [schema, policies] = await Promise.all([
+      databaseService.getSchema(workspace.id, workspace.connection_string),
+      this.getPolicies(workspace.id, userId)
+    ]);
+
+    const policy = this.buildPolicy(policies, schema);
+
+    if (!policy.active) {
+      return { schema, policy };
+    }
+
+    const visibleSchema = this.filterSchema(schema, policy);
+
+    console.log(`🔐 Access policy hides ${Object.keys(schema).length - Object.keys(visibleSchema).length} of ${Object.keys(schema).length} tables in workspace ${workspace.id}`);
+
+    return { schema: visibleSchema, policy };
+  }
+
+  /**
+   * Reject a query that reads a table or column hidden by a policy
+   * While a workspace has policies, queries may only read tables of its schema:
+   * catalog tables (pg_stats, information_schema) would describe hidden columns
+   * @param {string} sql - Validated SQL
+   * @param {string} databaseType - Database type
+   * @param {Object} policy - Policy from buildPolicy
+   * @throws {Error} 'Access denied: ...' with code ACCESS_POLICY_VIOLATION
+   */
+  checkQuery(sql, databaseType, policy) {
+    if (!policy || !policy.active) {
+      return;
+    }
+
+    const { tables, columns, derived, aliases, renamed, textQueries } = sqlValidatorService.getReferences(sql, databaseType);
+    const derivedNames = new Set(Array.from(derived).map(name => name.toLowerCase()));
+    const isRestricted = table => !this.isTableVisible(policy, table) || this.hasHiddenColumns(policy, table);
+
+    // A CTE or subquery named like a restricted table would hide references to the table itself
+    derivedNames.forEach(name => {
+      if (policy.tables.has(name) && isRestricted(name)) {
+        throw this.reject(`${name} is the name of a restricted table and can't name a CTE or subquery`);
+      }
+    });
+
+    // table_to_xml('users', ...) reads a table the references don't name
+    if (textQueries.length > 0) {
+      throw this.reject(`${textQueries[0]} reads tables named in a string, which the access policy can't check`);
+    }
+
+    const readTables = new Set();
+    tables.forEach(({ schema, name }) => {
+      const tableName = name.toLowerCase();
+
+      if (!schema && derivedNames.has(tableName)) {
+        return;
+      }
+
+      if ((schema && schema.toLowerCase() !== SCHEMA_NAME) || !policy.tables.has(tableName)) {
+        throw this.reject(`table ${schema ? `${schema}.` : ''}${name} is not part of the workspace schema`);
+      }
+
+      if (!this.isTableVisible(policy, tableName)) {
+        throw this.reject(`table ${name} is hidden by the workspace access policy`);
+      }
+
+      readTables.add(tableName);
+    });
+
+    // Columns renamed by an alias (users AS u(x, y)) can't be matched to the table's columns
+    const renamedTable = renamed.find(({ table }) => readTables.has(table.toLowerCase()));
+    if (renamedTable) {
+      throw this.reject(`${renamedTable.alias}(...) renames the columns of table ${renamedTable.table}, select them by their own names instead`);
+    }
+
+    const tableAliases = new Map(Array.from(aliases).map(([alias, table]) => [alias.toLowerCase(), table.toLowerCase()]));
+
+    columns.forEach(({ table, name }) => {
+      const tableName = table ? table.toLowerCase() : null;
+      const columnName = name.toLowerCase();
+
+      if (tableName && !readTables.has(tableName)) {
+        // Columns of CTEs and subqueries were checked where they were selected
+        return;
+      }
+
+      // Unqualified columns are checked against every table read that has them
+      const candidates = tableName ? [tableName] : Array.from(readTables);
+
+      if (columnName === '*') {
+        const restricted = candidates.find(candidate => this.hasHiddenColumns(policy, candidate));
+        if (restricted) {
+          throw this.reject(`* would read hidden columns of table ${restricted}, list the columns to return instead`);
+        }
+        return;
+      }
+
+      // A bare table name or alias (to_jsonb(u)) reads the whole row
+      const rowTable = !tableName && tableAliases.get(columnName);
+      if (rowTable && readTables.has(rowTable) && this.hasHiddenColumns(policy, rowTable)) {
+        throw this.reject(`${name} reads whole rows of table ${rowTable}, which has hidden columns`);
+      }
+
+      candidates
+        .filter(candidate => policy.tables.get(candidate).has(columnName))
+        .forEach(candidate => {
+          if (!this.isColumnVisible(policy, candidate, columnName)) {
+            throw this.reject(`column ${candidate}.${name} is hidden by the workspace access policy`);
+          }
+        });
+    });
+  }
+
+  /**
+   * Whether a policy lets a query run
+   * @param {string} sql - SQL
+   * @param {string} databaseType - Database type
+   * @param {Object} policy - Policy from buildPolicy
+   * @returns {boolean} True if checkQuery accepts it (false for SQL that doesn't parse)
+   */
+  isQueryAllowed(sql, databaseType, policy) {
+    try {
+      this.checkQuery(sql, databaseType, policy);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build the error of a query rejected by a policy
+   * @param {string} reason - What the query reads that it may not
+   * @returns {Error} Error with code ACCESS_POLICY_VIOLATION
+   */
+  reject(reason) {
+    const error = new Error(`Access denied: ${reason}`);
+    error.code = ACCESS_POLICY_VIOLATION_CODE;
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new AccessPolicyService();
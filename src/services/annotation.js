@@ -0,0 +1,351 @@
+const { getSupabaseClient } = require('../config/supabase');
+const databaseService = require('./database');
+const aiService = require('./ai');
+const pricingService = require('./pricing');
+
+/**
+ * Annotation Service
+ * Manages descriptions of a workspace's tables and columns in Supabase.
+ * Annotations come from the database's own COMMENT ON metadata, from the model
+ * (drafted from column names and sampled values) or from users. Drafts are not
+ * used in prompts until a user approves them
+ */
+
+// Columns returned for annotation records
+const ANNOTATION_COLUMNS = 'id, workspace_id, table_name, column_name, description, source, status, created_at, updated_at';
+
+// Unique target of an annotation (column_name is NULL for table descriptions)
+const ANNOTATION_TARGET = 'workspace_id,table_name,column_name';
+
+// Most tables drafted by the model in one request
+const MAX_DRAFT_TABLES = 10;
+
+// Rows sampled from each table to draft its descriptions
+const DRAFT_SAMPLE_ROWS = 5;
+
+class AnnotationService {
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Get the annotations of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.status] - Filter by status ('draft' or 'approved')
+   * @returns {Promise<Array>} Array of annotation records ordered by table, table descriptions first
+   */
+  async getAnnotations(workspaceId, userId, options = {}) {
+    try {
+      let query = this.supabase
+        .from('schema_annotations')
+        .select(ANNOTATION_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .order('table_name', { ascending: true })
+        .order('column_name', { ascending: true, nullsFirst: true });
+
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching annotations:', error.message);
+        throw new Error(`Failed to fetch annotations: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} annotations for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting annotations for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert annotations for tables and columns that have none yet
+   * Existing annotations (including reviewed ones) are never overwritten
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {Array<Object>} annotations - Array of { table, column (null for the table), description }
+   * @param {Object} origin - Origin of the annotations
+   * @param {string} origin.source - 'comment' or 'ai'
+   * @param {string} origin.status - 'draft' or 'approved'
+   * @returns {Promise<Array>} Inserted annotation records
+   */
+  async addMissingAnnotations(workspaceId, userId, annotations, { source, status }) {
+    try {
+      if (annotations.length === 0) {
+        return [];
+      }
+
+      const rows = annotations.map(annotation => ({
+        workspace_id: workspaceId,
+        user_id: userId,
+        table_name: annotation.table,
+        column_name: annotation.column || null,
+        description: annotation.description,
+        source,
+        status,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }));
+
+      const { data, error } = await this.supabase
+        .from('schema_annotations')
+        .upsert(rows, { onConflict: ANNOTATION_TARGET, ignoreDuplicates: true })
+        .select(ANNOTATION_COLUMNS);
+
+      if (error) {
+        console.error('Error saving annotations:', error.message);
+        throw new Error(`Failed to save annotations: ${error.message}`);
+      }
+
+      console.log(`✅ Added ${data?.length || 0} ${source} annotations for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error adding annotations for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a user's description of a table or column, replacing any existing annotation
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {Object} annotation - Annotation data
+   * @param {string} annotation.table - Table name
+   * @param {string} [annotation.column] - Column name (omit for a table description)
+   * @param {string} annotation.description - Description
+   * @returns {Promise<Object>} Saved annotation record (approved)
+   */
+  async saveAnnotation(workspaceId, userId, { table, column, description }) {
+    try {
+      const { data, error } = await this.supabase
+        .from('schema_annotations')
+        .upsert([{
+          workspace_id: workspaceId,
+          user_id: userId,
+          table_name: table,
+          column_name: column || null,
+          description,
+          source: 'user',
+          status: 'approved',
+          updated_at: new Date().toISOString()
+        }], { onConflict: ANNOTATION_TARGET })
+        .select(ANNOTATION_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error saving annotation:', error.message);
+        throw new Error(`Failed to save annotation: ${error.message}`);
+      }
+
+      console.log(`✅ Saved annotation for ${column ? `${table}.${column}` : table} in workspace: ${workspaceId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error saving annotation for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Review an annotation: edit its description and/or approve it
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} annotationId - Annotation ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Columns to update (description, status)
+   * @returns {Promise<Object>} Updated annotation record
+   * @throws {Error} 'Annotation not found' if it doesn't exist or doesn't belong to user
+   */
+  async updateAnnotation(workspaceId, annotationId, userId, updateData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('schema_annotations')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', annotationId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select(ANNOTATION_COLUMNS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Annotation not found');
+        }
+        console.error('Error updating annotation:', error.message);
+        throw new Error(`Failed to update annotation: ${error.message}`);
+      }
+
+      console.log(`✅ Updated annotation: ${annotationId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error updating annotation ${annotationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} annotationId - Annotation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteAnnotation(workspaceId, annotationId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('schema_annotations')
+        .delete()
+        .eq('id', annotationId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting annotation:', error.message);
+        throw new Error(`Failed to delete annotation: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        console.log(`⚠️  Annotation ${annotationId} not found for user ${userId}`);
+        return false;
+      }
+
+      console.log(`✅ Deleted annotation: ${annotationId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error deleting annotation ${annotationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Seed annotations from the database's COMMENT ON metadata
+   * Comments are written by the database's owners, so they are approved on import
+   * Comments of tables and columns missing from the schema (hidden by the access policy) are skipped
+   * @param {Object} workspace - Workspace record (with connection_string)
+   * @param {string} userId - User ID
+   * @param {Object} schema - Schema object (tables and columns the access policy leaves visible)
+   * @returns {Promise<Array>} Imported annotation records (tables and columns that had none)
+   */
+  async importComments(workspace, userId, schema) {
+    const comments = (await databaseService.getComments(workspace.id, workspace.connection_string))
+      .filter(comment => schema[comment.table] &&
+        (!comment.column || schema[comment.table].some(column => column.name === comment.column)));
+
+    return this.addMissingAnnotations(workspace.id, userId, comments.map(comment => ({
+      table: comment.table,
+      column: comment.column,
+      description: comment.comment
+    })), { source: 'comment', status: 'approved' });
+  }
+
+  /**
+   * Have the model draft descriptions for tables and columns without annotations
+   * Drafts are saved for review and are not used in prompts until approved
+   * @param {Object} workspace - Workspace record (with connection_string)
+   * @param {string} userId - User ID
+   * @param {Object} schema - Schema object (tables and columns the access policy leaves visible)
+   * @param {Array<string>} [tableNames] - Tables to draft (default: tables with unannotated columns)
+   * @returns {Promise<Object>} Object with drafted annotation records, tables drafted and combined usage
+   */
+  async draftMissingAnnotations(workspace, userId, schema, tableNames) {
+    const unknownTables = (tableNames || []).filter(tableName => !schema[tableName]);
+    if (unknownTables.length > 0) {
+      throw new Error(`Invalid tables: ${unknownTables.join(', ')} not found in the workspace schema`);
+    }
+
+    const existing = this.groupByTable(await this.getAnnotations(workspace.id, userId));
+    const isMissing = (tableName, columnName) => {
+      const table = existing[tableName];
+      return !table || (columnName ? !table.columns[columnName] : !table.description);
+    };
+
+    const candidates = (tableNames || Object.keys(schema))
+      .filter(tableName => isMissing(tableName, null) || schema[tableName].some(column => isMissing(tableName, column.name)))
+      .slice(0, MAX_DRAFT_TABLES);
+
+    const drafts = [];
+    const usages = [];
+
+    // One table at a time keeps the load on the client database and the model low
+    for (const tableName of candidates) {
+      const columns = schema[tableName];
+      // Only the schema's columns are read, so columns hidden by an access policy never reach the model
+      const sampleRows = await databaseService.getSampleRows(workspace.id, workspace.connection_string, tableName, DRAFT_SAMPLE_ROWS, columns.map(column => column.name));
+      const drafted = await aiService.draftAnnotations(tableName, columns, sampleRows, aiService.getWorkspaceModelOptions(workspace));
+
+      usages.push(drafted.usage);
+
+      if (drafted.table && isMissing(tableName, null)) {
+        drafts.push({ table: tableName, column: null, description: drafted.table });
+      }
+
+      Object.entries(drafted.columns)
+        .filter(([columnName]) => isMissing(tableName, columnName))
+        .forEach(([columnName, description]) => {
+          drafts.push({ table: tableName, column: columnName, description });
+        });
+    }
+
+    const saved = await this.addMissingAnnotations(workspace.id, userId, drafts, { source: 'ai', status: 'draft' });
+
+    return {
+      annotations: saved,
+      tables: candidates,
+      usage: pricingService.combineUsage(usages)
+    };
+  }
+
+  /**
+   * Group annotation records by table for formatSchema
+   * @param {Array<Object>} annotations - Annotation records
+   * @returns {Object} Map of table name -> { description, columns: { column name -> description } }
+   */
+  groupByTable(annotations) {
+    return annotations.reduce((grouped, annotation) => {
+      const table = grouped[annotation.table_name] || { description: null, columns: {} };
+
+      if (annotation.column_name) {
+        table.columns[annotation.column_name] = annotation.description;
+      } else {
+        table.description = annotation.description;
+      }
+
+      grouped[annotation.table_name] = table;
+      return grouped;
+    }, {});
+  }
+
+  /**
+   * Get the approved annotations of a workspace, grouped for formatSchema
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Map of table name -> { description, columns } (empty if unavailable)
+   */
+  async getPromptAnnotations(workspaceId, userId) {
+    // Annotations only improve the prompt, so generation continues without them
+    try {
+      const annotations = await this.getAnnotations(workspaceId, userId, { status: 'approved' });
+      return this.groupByTable(annotations);
+    } catch (error) {
+      console.warn(`⚠️  Schema annotations skipped, store unavailable:`, error.message);
+      return {};
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new AnnotationService();
@@ -0,0 +1,616 @@
+const config = require('../config/env');
+const { getSupabaseClient } = require('../config/supabase');
+const databaseService = require('./database');
+const aiService = require('./ai');
+const schemaSelectorService = require('./schemaSelector');
+const fewShotService = require('./fewShot');
+const glossaryService = require('./glossary');
+const annotationService = require('./annotation');
+const pricingService = require('./pricing');
+const accessPolicyService = require('./accessPolicy');
+const sqlValidatorService = require('./sqlValidator');
+
+/**
+ * Benchmark Service
+ * Measures SQL generation accuracy against a workspace's golden set: questions
+ * with the result their SQL must return (stored rows, or rows returned by a
+ * reference query). Each run generates SQL the way the execute route does
+ * (schema selection, few-shot examples, glossary and annotations, bypassing the
+ * generation cache and without correction retries), executes it and scores
+ * execution match. Reports are kept in Supabase so runs can be compared after
+ * a prompt or model change.
+ */
+
+// Columns returned for golden set cases
+const CASE_COLUMNS = 'id, workspace_id, question, expected_sql, expected_rows, ordered, created_at, updated_at';
+
+// Columns returned when listing runs (without per-case results)
+const RUN_SUMMARY_COLUMNS = 'id, workspace_id, label, model, total, passed, accuracy, usage, created_at';
+
+// Columns returned for a single run
+const RUN_COLUMNS = `${RUN_SUMMARY_COLUMNS}, results`;
+
+// Decimal places kept when comparing numbers (numeric columns come back as strings with varying scale)
+const NUMBER_PRECISION = 6;
+
+class BenchmarkService {
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Get the golden set of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of case records, oldest first
+   */
+  async getCases(workspaceId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_cases')
+        .select(CASE_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching benchmark cases:', error.message);
+        throw new Error(`Failed to fetch benchmark cases: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} benchmark cases for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting benchmark cases for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check reference SQL before it is saved
+   * It runs on the client database like generated SQL, so it must be a single
+   * read-only SELECT that reads only what the workspace access policy leaves visible
+   * @param {Object} workspace - Workspace record (with connection_string and database_provider)
+   * @param {string} userId - User ID
+   * @param {string} sql - Reference SQL
+   * @returns {Promise<void>}
+   * @throws {Error} 'Invalid expectedSql: ...' with the code (UNSAFE_SQL or ACCESS_POLICY_VIOLATION) and node of the rejection
+   */
+  async checkExpectedSQL(workspace, userId, sql) {
+    if (!workspace.connection_string) {
+      throw new Error('Invalid workspace configuration');
+    }
+
+    const { policy } = await accessPolicyService.getVisibleSchema(workspace, userId);
+
+    try {
+      sqlValidatorService.validate(sql, workspace.database_provider);
+      accessPolicyService.checkQuery(sql, workspace.database_provider, policy);
+    } catch (error) {
+      const rejection = new Error(`Invalid expectedSql: ${error.message}`);
+      rejection.code = error.code;
+      rejection.node = error.node;
+      throw rejection;
+    }
+  }
+
+  /**
+   * Add a question to a workspace's golden set
+   * @param {Object} workspace - Workspace record (ownership is checked by the caller)
+   * @param {string} userId - User ID
+   * @param {Object} caseData - Case data
+   * @param {string} caseData.question - Natural language question
+   * @param {string} [caseData.expectedSql] - Reference SQL whose result is expected
+   * @param {Array} [caseData.expectedRows] - Expected rows (arrays of values or objects), instead of expectedSql
+   * @param {boolean} [caseData.ordered] - Whether row order must match (default: false)
+   * @returns {Promise<Object>} Created case record
+   * @throws {Error} 'Invalid expectedSql: ...' if the reference SQL is rejected (see checkExpectedSQL)
+   */
+  async createCase(workspace, userId, { question, expectedSql, expectedRows, ordered }) {
+    const workspaceId = workspace.id;
+
+    try {
+      if (expectedSql) {
+        await this.checkExpectedSQL(workspace, userId, expectedSql);
+      }
+
+      const { data, error } = await this.supabase
+        .from('benchmark_cases')
+        .insert([{
+          workspace_id: workspaceId,
+          user_id: userId,
+          question,
+          expected_sql: expectedSql || null,
+          expected_rows: expectedRows || null,
+          ordered: ordered === true,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select(CASE_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error creating benchmark case:', error.message);
+        throw new Error(`Failed to create benchmark case: ${error.message}`);
+      }
+
+      console.log(`✅ Added benchmark case "${question}" to workspace: ${workspaceId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error creating benchmark case for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a golden set case
+   * Setting expectedSql clears expectedRows and vice versa
+   * @param {Object} workspace - Workspace record (ownership is checked by the caller)
+   * @param {string} caseId - Case ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Fields to update (question, expectedSql, expectedRows, ordered)
+   * @returns {Promise<Object>} Updated case record
+   * @throws {Error} 'Benchmark case not found' if it doesn't exist or doesn't belong to user, 'Invalid expectedSql: ...' if the reference SQL is rejected
+   */
+  async updateCase(workspace, caseId, userId, { question, expectedSql, expectedRows, ordered }) {
+    const workspaceId = workspace.id;
+
+    try {
+      if (expectedSql) {
+        await this.checkExpectedSQL(workspace, userId, expectedSql);
+      }
+
+      const update = { updated_at: new Date().toISOString() };
+
+      if (question !== undefined) {
+        update.question = question;
+      }
+      if (expectedSql !== undefined) {
+        update.expected_sql = expectedSql;
+        update.expected_rows = null;
+      }
+      if (expectedRows !== undefined) {
+        update.expected_rows = expectedRows;
+        update.expected_sql = null;
+      }
+      if (ordered !== undefined) {
+        update.ordered = ordered;
+      }
+
+      const { data, error } = await this.supabase
+        .from('benchmark_cases')
+        .update(update)
+        .eq('id', caseId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select(CASE_COLUMNS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Benchmark case not found');
+        }
+        console.error('Error updating benchmark case:', error.message);
+        throw new Error(`Failed to update benchmark case: ${error.message}`);
+      }
+
+      console.log(`✅ Updated benchmark case: ${caseId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error updating benchmark case ${caseId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a golden set case (reports of earlier runs keep its results)
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} caseId - Case ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteCase(workspaceId, caseId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_cases')
+        .delete()
+        .eq('id', caseId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting benchmark case:', error.message);
+        throw new Error(`Failed to delete benchmark case: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        console.log(`⚠️  Benchmark case ${caseId} not found for user ${userId}`);
+        return false;
+      }
+
+      console.log(`✅ Deleted benchmark case: ${caseId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error deleting benchmark case ${caseId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a result value for comparison
+   * @param {*} value - Value from a query result or expected row
+   * @returns {*} null, boolean, number (rounded), or string (dates as ISO, JSON serialized)
+   */
+  normalizeValue(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    // Bigint and numeric columns come back as strings
+    if (typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value.trim()))) {
+      const number = Number(value);
+      return Number.isFinite(number) ? Number(number.toFixed(NUMBER_PRECISION)) : String(value);
+    }
+
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Turn rows into comparable keys
+   * Column names and column order are ignored: generated SQL may alias or order columns differently
+   * @param {Array<Object|Array>} rows - Rows (objects from a query, or arrays of values)
+   * @returns {Array<string>} One key per row
+   */
+  getRowKeys(rows) {
+    return rows.map(row => {
+      const values = (Array.isArray(row) ? row : Object.values(row))
+        .map(value => JSON.stringify(this.normalizeValue(value)))
+        .sort();
+
+      return values.join('|');
+    });
+  }
+
+  /**
+   * Whether a query result matches the expected rows
+   * @param {Array} expectedRows - Expected rows
+   * @param {Array} actualRows - Rows returned by the generated SQL
+   * @param {boolean} ordered - Whether row order must match
+   * @returns {boolean} True on an execution match
+   */
+  resultsMatch(expectedRows, actualRows, ordered) {
+    if (expectedRows.length !== actualRows.length) {
+      return false;
+    }
+
+    const expected = this.getRowKeys(expectedRows);
+    const actual = this.getRowKeys(actualRows);
+
+    if (!ordered) {
+      expected.sort();
+      actual.sort();
+    }
+
+    return expected.every((key, index) => key === actual[index]);
+  }
+
+  /**
+   * Run one golden set case
+   * @param {Object} workspace - Workspace record (with connection_string and database_provider)
+   * @param {string} userId - User ID
+   * @param {Object} benchmarkCase - Case record
+   * @param {Object} schema - Schema object (tables and columns the access policy leaves visible)
+   * @param {Object} workspaceContext - Glossary, custom instructions and annotations
+   * @param {Object} policy - Workspace access policy the reference and generated SQL are checked against
+   * @returns {Promise<Object>} Case result ({ caseId, question, sql, passed, error, expectedRowCount, rowCount, usage })
+   */
+  async runCase(workspace, userId, benchmarkCase, schema, workspaceContext, policy) {
+    const result = {
+      caseId: benchmarkCase.id,
+      question: benchmarkCase.question,
+      sql: null,
+      passed: false,
+      error: null,
+      expectedRowCount: null,
+      rowCount: null,
+      usage: null
+    };
+
+    let expectedRows = benchmarkCase.expected_rows;
+
+    if (benchmarkCase.expected_sql) {
+      try {
+        // Checked again in case it was saved before validation or the policy changed since
+        sqlValidatorService.validate(benchmarkCase.expected_sql, workspace.database_provider);
+        accessPolicyService.checkQuery(benchmarkCase.expected_sql, workspace.database_provider, policy);
+
+        const expected = await databaseService.executeQuery(workspace.id, workspace.connection_string, benchmarkCase.expected_sql, { maxRows: config.DB_MAX_ROWS });
+        expectedRows = expected.rows;
+      } catch (error) {
+        result.error = `Expected SQL failed: ${error.message}`;
+        return result;
+      }
+    }
+
+    result.expectedRowCount = expectedRows.length;
+
+    try {
+      const schemaSelection = await schemaSelectorService.selectSchema(benchmarkCase.question, schema, {
+        workspaceId: workspace.id,
+        userId
+      });
+      const examples = await fewShotService.selectExamples(benchmarkCase.question, { workspace, userId, policy });
+
+      const generated = await aiService.generateSQL(
+        benchmarkCase.question,
+        schemaSelection.schema,
+        workspace.database_provider,
+        {
+          ...aiService.getWorkspaceModelOptions(workspace),
+          schemaSelection,
+          examples,
+          workspaceContext
+        }
+      );
+
+      result.usage = generated.usage;
+      result.sql = generated.sql;
+
+      accessPolicyService.checkQuery(generated.sql, workspace.database_provider, policy);
+
+      const queryResult = await databaseService.executeQuery(workspace.id, workspace.connection_string, generated.sql, { maxRows: config.DB_MAX_ROWS });
+
+      result.rowCount = queryResult.rowCount;
+      result.passed = this.resultsMatch(expectedRows, queryResult.rows, benchmarkCase.ordered);
+
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run a workspace's golden set against the current generator and save the report
+   * Cases run one at a time to keep the load on the client database and the model low
+   * @param {Object} workspace - Workspace record (with connection_string and database_provider)
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Run options
+   * @param {string} [options.label] - Label of the run (e.g., the prompt change being tested)
+   * @param {Array<string>} [options.caseIds] - Cases to run (default: the whole golden set)
+   * @returns {Promise<Object>} Saved run record with per-case results
+   * @throws {Error} 'Invalid cases: ...' for unknown case IDs, 'Invalid benchmark: ...' for an empty golden set
+   */
+  async runBenchmark(workspace, userId, { label, caseIds } = {}) {
+    const allCases = await this.getCases(workspace.id, userId);
+
+    const unknownCases = (caseIds || []).filter(caseId => !allCases.some(benchmarkCase => benchmarkCase.id === caseId));
+    if (unknownCases.length > 0) {
+      throw new Error(`Invalid cases: ${unknownCases.join(', ')} not found in the workspace golden set`);
+    }
+
+    const cases = caseIds ? allCases.filter(benchmarkCase => caseIds.includes(benchmarkCase.id)) : allCases;
+    if (cases.length === 0) {
+      throw new Error('Invalid benchmark: the workspace golden set has no cases');
+    }
+
+    const provider = aiService.getProvider(aiService.getWorkspaceModelOptions(workspace));
+    const model = `${provider.name}/${provider.model}`;
+
+    console.log(`🎯 Running ${cases.length} benchmark cases for workspace ${workspace.id} with ${model}`);
+
+    const { schema, policy } = await accessPolicyService.getVisibleSchema(workspace, userId);
+    const [glossaryContext, annotations] = await Promise.all([
+      glossaryService.getPromptContext(workspace, userId),
+      annotationService.getPromptAnnotations(workspace.id, userId)
+    ]);
+    const workspaceContext = { ...glossaryContext, annotations };
+
+    const results = [];
+    for (const benchmarkCase of cases) {
+      results.push(await this.runCase(workspace, userId, benchmarkCase, schema, workspaceContext, policy));
+    }
+
+    const passed = results.filter(result => result.passed).length;
+
+    console.log(`🎯 Benchmark passed ${passed} of ${results.length} cases for workspace ${workspace.id}`);
+
+    return this.saveRun(workspace.id, userId, {
+      label: label || null,
+      model,
+      total: results.length,
+      passed,
+      accuracy: Number((passed / results.length).toFixed(4)),
+      results,
+      usage: pricingService.combineUsage(results.map(result => result.usage))
+    });
+  }
+
+  /**
+   * Save a benchmark report
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {Object} runData - Report (label, model, total, passed, accuracy, results, usage)
+   * @returns {Promise<Object>} Saved run record
+   */
+  async saveRun(workspaceId, userId, runData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_runs')
+        .insert([{
+          workspace_id: workspaceId,
+          user_id: userId,
+          ...runData,
+          created_at: new Date().toISOString()
+        }])
+        .select(RUN_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error saving benchmark run:', error.message);
+        throw new Error(`Failed to save benchmark run: ${error.message}`);
+      }
+
+      console.log(`✅ Saved benchmark run: ${data.id}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error saving benchmark run for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the benchmark runs of a workspace (without per-case results)
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Maximum number of runs (default: 20)
+   * @returns {Promise<Array>} Array of run summaries, newest first
+   */
+  async getRuns(workspaceId, userId, { limit = 20 } = {}) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_runs')
+        .select(RUN_SUMMARY_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching benchmark runs:', error.message);
+        throw new Error(`Failed to fetch benchmark runs: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} benchmark runs for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting benchmark runs for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a benchmark run with its per-case results
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} runId - Run ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Run record
+   * @throws {Error} 'Benchmark run not found' if it doesn't exist or doesn't belong to user
+   */
+  async getRun(workspaceId, runId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_runs')
+        .select(RUN_COLUMNS)
+        .eq('id', runId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Benchmark run not found');
+        }
+        console.error('Error fetching benchmark run:', error.message);
+        throw new Error(`Failed to fetch benchmark run: ${error.message}`);
+      }
+
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error getting benchmark run ${runId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the run made before another one
+   * @param {Object} run - Run record
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Previous run record with results, or null for the first run
+   */
+  async getPreviousRun(run, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('benchmark_runs')
+        .select(RUN_COLUMNS)
+        .eq('workspace_id', run.workspace_id)
+        .eq('user_id', userId)
+        .lt('created_at', run.created_at)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) {
+        console.error('Error fetching previous benchmark run:', error.message);
+        throw new Error(`Failed to fetch previous benchmark run: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+
+    } catch (error) {
+      console.error(`❌ Error getting the run before ${run.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two runs case by case
+   * @param {Object} baseRun - Earlier run record (with results)
+   * @param {Object} run - Later run record (with results)
+   * @returns {Object} Object with baseRunId, runId, accuracyChange, fixed and regressed cases, unchanged counts, and added and removed cases
+   */
+  compareRuns(baseRun, run) {
+    const baseResults = new Map(baseRun.results.map(result => [result.caseId, result]));
+    const runCaseIds = new Set(run.results.map(result => result.caseId));
+    const describe = result => ({ caseId: result.caseId, question: result.question });
+
+    const diff = {
+      baseRunId: baseRun.id,
+      runId: run.id,
+      accuracyChange: Number((Number(run.accuracy) - Number(baseRun.accuracy)).toFixed(4)),
+      fixed: [],
+      regressed: [],
+      stillPassing: 0,
+      stillFailing: 0,
+      added: [],
+      removed: baseRun.results.filter(result => !runCaseIds.has(result.caseId)).map(describe)
+    };
+
+    run.results.forEach(result => {
+      const baseResult = baseResults.get(result.caseId);
+
+      if (!baseResult) {
+        diff.added.push(describe(result));
+      } else if (result.passed && !baseResult.passed) {
+        diff.fixed.push(describe(result));
+      } else if (!result.passed && baseResult.passed) {
+        diff.regressed.push({ ...describe(result), sql: result.sql, error: result.error });
+      } else if (result.passed) {
+        diff.stillPassing++;
+      } else {
+        diff.stillFailing++;
+      }
+    });
+
+    return diff;
+  }
+}
+
+// Export singleton instance
+module.exports = new BenchmarkService();
@@ -0,0 +1,153 @@
+const config = require('../config/env');
+const databaseService = require('./database');
+const aiService = require('./ai');
+const pricingService = require('./pricing');
+const promptGuardService = require('./promptGuard');
+const accessPolicyService = require('./accessPolicy');
+
+/**
+ * Candidate Ranker Service
+ * Generates several SQL candidates for one question and picks the most likely
+ * correct one. Candidates that fail validation, read tables or columns hidden by
+ * the workspace access policy, fail to plan (EXPLAIN) or fail to execute are rejected. The rest are ranked by how many candidates produced
+ * a result of the same shape (column count and row count): independent
+ * generations that agree are more likely to be right than an outlier.
+ */
+
+// Most candidates generated for one question
+const MAX_CANDIDATES = 5;
+
+// Sampling temperature for candidates, higher than a single generation so they differ
+const CANDIDATE_TEMPERATURE = 0.7;
+
+class CandidateRankerService {
+  /**
+   * Describe the shape of a query result
+   * @param {Object} queryResult - Result from databaseService.executeQuery
+   * @returns {string} Shape signature (column count and row count)
+   */
+  getResultShape(queryResult) {
+    return `${queryResult.columns.length}x${queryResult.rowCount}`;
+  }
+
+  /**
+   * Check and run one generated candidate
+   * @param {Object} workspace - Workspace record (with connection_string)
+   * @param {Object} generated - Result of aiService.generateSQL
+   * @param {Object} [policy] - Workspace access policy (see accessPolicyService.checkQuery)
+   * @returns {Promise<Object>} Object with queryResult, or error when the candidate was rejected
+   */
+  async checkCandidate(workspace, generated, policy) {
+    try {
+      accessPolicyService.checkQuery(generated.sql, workspace.database_provider, policy);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    try {
+      await databaseService.explainQuery(workspace.id, workspace.connection_string, generated.sql);
+    } catch (error) {
+      return { error: `EXPLAIN failed: ${error.message}` };
+    }
+
+    try {
+      const queryResult = await databaseService.executeQuery(workspace.id, workspace.connection_string, generated.sql, { maxRows: config.DB_MAX_ROWS });
+      return { queryResult };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Generate candidates for a question and rank the ones that run
+   * @param {Object} workspace - Workspace record (with connection_string and database_provider)
+   * @param {string} question - Natural language question
+   * @param {Object} schemaSelection - Schema selection from schemaSelector
+   * @param {Object} options - Generation options (see aiService.generateSQL)
+   * @param {number} count - Number of candidates to generate (2 to MAX_CANDIDATES)
+   * @param {Object} [policy] - Workspace access policy candidates are checked against
+   * @returns {Promise<Object>} Object with ranked (best first: { candidate, sql, explanation, schemaSelection, queryResult, shape, agreement }), rejected ({ candidate, sql, error }), clarification (first one asked, if any) and combined usage
+   */
+  async rankCandidates(workspace, question, schemaSelection, options, count, policy) {
+    const candidateCount = Math.min(Math.max(count, 2), MAX_CANDIDATES);
+
+    console.log(`🎲 Generating ${candidateCount} SQL candidates for question: "${question}"`);
+
+    // Candidates are generated independently, so one failure doesn't sink the others
+    const generations = await Promise.allSettled(Array.from({ length: candidateCount }, () => aiService.generateSQL(
+      question,
+      schemaSelection.schema,
+      workspace.database_provider,
+      {
+        ...options,
+        schemaSelection,
+        temperature: CANDIDATE_TEMPERATURE
+      }
+    )));
+
+    // An injection in the question or schema fails every candidate the same way
+    const injection = generations.find(generation => generation.status === 'rejected' && promptGuardService.isInjectionError(generation.reason));
+    if (injection) {
+      throw injection.reason;
+    }
+
+    const accepted = [];
+    const rejected = [];
+    let clarification = null;
+
+    // Checked one at a time to keep the load on the client database low
+    for (const [index, generation] of generations.entries()) {
+      const candidate = index + 1;
+
+      if (generation.status === 'rejected') {
+        rejected.push({ candidate, sql: null, error: generation.reason.message });
+        continue;
+      }
+
+      const generated = generation.value;
+
+      if (generated.clarification) {
+        clarification = clarification || generated.clarification;
+        continue;
+      }
+
+      const { queryResult, error } = await this.checkCandidate(workspace, generated, policy);
+
+      if (error) {
+        rejected.push({ candidate, sql: generated.sql, explanation: generated.explanation, schemaSelection: generated.schemaSelection || schemaSelection, error });
+        continue;
+      }
+
+      accepted.push({
+        candidate,
+        sql: generated.sql,
+        explanation: generated.explanation,
+        schemaSelection: generated.schemaSelection || schemaSelection,
+        queryResult,
+        shape: this.getResultShape(queryResult)
+      });
+    }
+
+    const ranked = accepted
+      .map(entry => ({
+        ...entry,
+        agreement: accepted.filter(other => other.shape === entry.shape).length
+      }))
+      // Most agreement first, earlier candidates first on ties
+      .sort((a, b) => b.agreement - a.agreement || a.candidate - b.candidate);
+
+    console.log(`🎲 ${ranked.length} of ${candidateCount} candidates ran, ${rejected.length} rejected${ranked.length > 0 ? `, best agrees with ${ranked[0].agreement}` : ''}`);
+
+    return {
+      ranked,
+      rejected,
+      clarification,
+      usage: pricingService.combineUsage(generations
+        .filter(generation => generation.status === 'fulfilled')
+        .map(generation => generation.value.usage))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CandidateRankerService();
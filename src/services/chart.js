@@ -0,0 +1,180 @@
+/**
+ * Chart Service
+ * Recommends how to visualize query results from the shape of the data
+ * (column types and cardinality) and builds a Vega-Lite spec for it.
+ * Specs reference the rows as the named dataset "results", so the client
+ * supplies the data array and the same spec re-renders saved history.
+ */
+
+const VEGA_LITE_SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+
+// Most categories shown as pie slices before a bar chart reads better
+const MAX_PIE_CATEGORIES = 6;
+
+// Most categories shown as bars before a table reads better
+const MAX_BAR_CATEGORIES = 50;
+
+// Most series drawn as separate colored lines
+const MAX_LINE_SERIES = 10;
+
+// ISO dates and timestamps as returned for date/time columns serialized as text
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?)?$/;
+
+class ChartService {
+  /**
+   * Classify a result column from its values
+   * Postgres returns bigint and numeric as strings, so numeric strings count as numbers
+   * @param {Array} values - Non-null values of the column
+   * @returns {string} 'quantitative', 'temporal' or 'nominal'
+   */
+  classifyColumn(values) {
+    if (values.length === 0) {
+      return 'nominal';
+    }
+
+    if (values.every(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))))) {
+      return 'quantitative';
+    }
+
+    if (values.every(value => value instanceof Date || (typeof value === 'string' && ISO_DATE_PATTERN.test(value)))) {
+      return 'temporal';
+    }
+
+    return 'nominal';
+  }
+
+  /**
+   * Describe each result column
+   * @param {Object} queryResult - Result from databaseService.executeQuery
+   * @returns {Array<Object>} Array of { name, type, cardinality, stringEncoded }
+   */
+  describeColumns(queryResult) {
+    const columns = queryResult.columns || Object.keys(queryResult.rows[0] || {});
+
+    return columns.map(name => {
+      const values = queryResult.rows
+        .map(row => row[name])
+        .filter(value => value !== null && value !== undefined);
+
+      return {
+        name,
+        type: this.classifyColumn(values),
+        cardinality: new Set(values.map(value => (value instanceof Date ? value.getTime() : value))).size,
+        stringEncoded: values.some(value => typeof value === 'string')
+      };
+    });
+  }
+
+  /**
+   * Build a Vega-Lite spec over the named "results" dataset
+   * @param {Array<Object>} columns - Columns used by the chart (from describeColumns)
+   * @param {Object} mark - Vega-Lite mark
+   * @param {Object} encoding - Vega-Lite encoding
+   * @returns {Object} Vega-Lite spec
+   */
+  buildSpec(columns, mark, encoding) {
+    // Tell Vega-Lite to parse numbers and dates that arrive as strings
+    const parse = {};
+    columns.forEach(column => {
+      if (column.stringEncoded && column.type !== 'nominal') {
+        parse[column.name] = column.type === 'quantitative' ? 'number' : 'date';
+      }
+    });
+
+    return {
+      $schema: VEGA_LITE_SCHEMA,
+      data: Object.keys(parse).length > 0
+        ? { name: 'results', format: { parse } }
+        : { name: 'results' },
+      mark,
+      encoding
+    };
+  }
+
+  /**
+   * Recommend a visualization for query results
+   * @param {Object} queryResult - Result from databaseService.executeQuery
+   * @returns {Object} Object with type ('number', 'line', 'bar', 'pie' or 'table') and spec (Vega-Lite, null for tables)
+   */
+  recommend(queryResult) {
+    const table = { type: 'table', spec: null };
+
+    if (!queryResult.rows || queryResult.rows.length === 0) {
+      return table;
+    }
+
+    const columns = this.describeColumns(queryResult);
+    const byType = type => columns.filter(column => column.type === type);
+    const quantitative = byType('quantitative');
+    const temporal = byType('temporal');
+    const nominal = byType('nominal');
+
+    // A single value, e.g. SELECT COUNT(*)
+    if (queryResult.rows.length === 1 && columns.length === 1 && quantitative.length === 1) {
+      const [value] = quantitative;
+      return {
+        type: 'number',
+        spec: this.buildSpec([value], { type: 'text', fontSize: 48 }, {
+          text: { field: value.name, type: 'quantitative' }
+        })
+      };
+    }
+
+    // A measure over time, optionally split into a few series
+    if (temporal.length >= 1 && quantitative.length >= 1) {
+      const [time] = temporal;
+      const [measure] = quantitative;
+      const series = nominal.find(column => column.cardinality <= MAX_LINE_SERIES);
+      const encoding = {
+        x: { field: time.name, type: 'temporal' },
+        y: { field: measure.name, type: 'quantitative' }
+      };
+
+      if (series) {
+        encoding.color = { field: series.name, type: 'nominal' };
+      }
+
+      return {
+        type: 'line',
+        spec: this.buildSpec(series ? [time, measure, series] : [time, measure], { type: 'line', point: true }, encoding)
+      };
+    }
+
+    // A measure per category
+    if (nominal.length === 1 && quantitative.length >= 1) {
+      const [category] = nominal;
+      const [measure] = quantitative;
+      const nonNegative = queryResult.rows.every(row => !(Number(row[measure.name]) < 0));
+
+      // Categories must be unique per row for slices or bars to mean anything
+      if (category.cardinality !== queryResult.rows.length) {
+        return table;
+      }
+
+      if (quantitative.length === 1 && nonNegative && category.cardinality <= MAX_PIE_CATEGORIES) {
+        return {
+          type: 'pie',
+          spec: this.buildSpec([category, measure], { type: 'arc' }, {
+            theta: { field: measure.name, type: 'quantitative' },
+            color: { field: category.name, type: 'nominal' }
+          })
+        };
+      }
+
+      if (category.cardinality <= MAX_BAR_CATEGORIES) {
+        return {
+          type: 'bar',
+          spec: this.buildSpec([category, measure], { type: 'bar' }, {
+            x: { field: category.name, type: 'nominal', sort: '-y' },
+            y: { field: measure.name, type: 'quantitative' }
+          })
+        };
+      }
+    }
+
+    return table;
+  }
+}
+
+// Export singleton instance
+module.exports = new ChartService();
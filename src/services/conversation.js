@@ -0,0 +1,304 @@
+const { getSupabaseClient } = require('../config/supabase');
+
+/**
+ * Conversation Service
+ * Manages server-side chat sessions in Supabase
+ * Stores each question with its SQL and result shape so follow-up
+ * questions can be sent to the model as multi-turn context
+ */
+
+// Number of prior successful turns sent to the model as context
+const MAX_CONTEXT_TURNS = 5;
+
+// Maximum length of a conversation title derived from its first question
+const MAX_TITLE_LENGTH = 100;
+
+class ConversationService {
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Create a new conversation
+   * @param {string} userId - User ID
+   * @param {Object} conversationData - Conversation data
+   * @param {string} conversationData.workspaceId - Workspace ID
+   * @param {string} [conversationData.title] - Optional title (defaults to the first question)
+   * @returns {Promise<Object>} Created conversation record
+   */
+  async createConversation(userId, { workspaceId, title }) {
+    try {
+      const conversationData = {
+        user_id: userId,
+        workspace_id: workspaceId,
+        title: title || null,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+
+      const { data, error } = await this.supabase
+        .from('conversations')
+        .insert([conversationData])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Error creating conversation:', error.message);
+        throw new Error(`Failed to create conversation: ${error.message}`);
+      }
+
+      console.log(`✅ Created conversation: ${data.id} for user: ${userId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error creating conversation for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get conversations for a user
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} [options.workspaceId] - Filter by workspace ID
+   * @param {number} [options.limit] - Limit number of results (default: 50)
+   * @param {number} [options.offset] - Offset for pagination (default: 0)
+   * @returns {Promise<Array>} Array of conversation records, most recently active first
+   */
+  async getUserConversations(userId, options = {}) {
+    try {
+      const { workspaceId, limit = 50, offset = 0 } = options;
+
+      let query = this.supabase
+        .from('conversations')
+        .select('id, workspace_id, title, created_at, updated_at')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (workspaceId) {
+        query = query.eq('workspace_id', workspaceId);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error('Error fetching conversations:', error.message);
+        throw new Error(`Failed to fetch conversations: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} conversations for user: ${userId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting conversations for user ${userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a conversation by ID and user ID
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Conversation record
+   * @throws {Error} 'Conversation not found' if it doesn't exist or doesn't belong to user
+   */
+  async getConversation(conversationId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('conversations')
+        .select('id, workspace_id, title, created_at, updated_at')
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Conversation not found');
+        }
+        console.error('Error fetching conversation:', error.message);
+        throw new Error(`Failed to fetch conversation: ${error.message}`);
+      }
+
+      if (!data) {
+        throw new Error('Conversation not found');
+      }
+
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error getting conversation ${conversationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the turns of a conversation in chronological order
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of turn records
+   */
+  async getTurns(conversationId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('conversation_turns')
+        .select('id, question, sql_query, explanation, result_columns, row_count, success, error_message, created_at')
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching conversation turns:', error.message);
+        throw new Error(`Failed to fetch conversation turns: ${error.message}`);
+      }
+
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting turns for conversation ${conversationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the prior turns to send to the model as context
+   * Only successful turns are included, limited to the most recent MAX_CONTEXT_TURNS
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of { question, sql, explanation, columns, rowCount }, oldest first
+   */
+  async getContextTurns(conversationId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('conversation_turns')
+        .select('question, sql_query, explanation, result_columns, row_count')
+        .eq('conversation_id', conversationId)
+        .eq('user_id', userId)
+        .eq('success', true)
+        .order('created_at', { ascending: false })
+        .limit(MAX_CONTEXT_TURNS);
+
+      if (error) {
+        console.error('Error fetching conversation context:', error.message);
+        throw new Error(`Failed to fetch conversation context: ${error.message}`);
+      }
+
+      return (data || []).reverse().map(turn => ({
+        question: turn.question,
+        sql: turn.sql_query,
+        explanation: turn.explanation,
+        columns: turn.result_columns || [],
+        rowCount: turn.row_count
+      }));
+
+    } catch (error) {
+      console.error(`❌ Error getting context for conversation ${conversationId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a turn to a conversation
+   * Also bumps the conversation's updated_at and titles untitled conversations
+   * @param {Object} conversation - Conversation record
+   * @param {string} userId - User ID
+   * @param {Object} turnData - Turn data
+   * @param {string} turnData.question - Natural language question
+   * @param {string} [turnData.sql] - Executed SQL query
+   * @param {string} [turnData.explanation] - Query explanation
+   * @param {Array<string>} [turnData.columns] - Result column names
+   * @param {number} [turnData.rowCount] - Number of rows returned
+   * @param {boolean} turnData.success - Whether the query was successful
+   * @param {string} [turnData.errorMessage] - Error message if query failed
+   * @returns {Promise<Object>} Saved turn record
+   */
+  async addTurn(conversation, userId, turnData) {
+    try {
+      const turnRecord = {
+        conversation_id: conversation.id,
+        user_id: userId,
+        question: turnData.question,
+        sql_query: turnData.sql || null,
+        explanation: turnData.explanation || null,
+        result_columns: turnData.columns || [],
+        row_count: turnData.rowCount || 0,
+        success: turnData.success,
+        error_message: turnData.errorMessage || null,
+        created_at: new Date().toISOString()
+      };
+
+      const { data, error } = await this.supabase
+        .from('conversation_turns')
+        .insert([turnRecord])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Failed to save conversation turn:', error.message);
+        throw new Error(`Failed to save conversation turn: ${error.message}`);
+      }
+
+      const conversationUpdate = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (!conversation.title) {
+        conversationUpdate.title = turnData.question.substring(0, MAX_TITLE_LENGTH);
+      }
+
+      const { error: updateError } = await this.supabase
+        .from('conversations')
+        .update(conversationUpdate)
+        .eq('id', conversation.id)
+        .eq('user_id', userId);
+
+      if (updateError) {
+        console.warn(`⚠️  Failed to update conversation ${conversation.id}:`, updateError.message);
+      }
+
+      console.log(`✅ Saved turn ${data.id} to conversation: ${conversation.id}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error saving turn for conversation ${conversation.id}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a conversation and its turns
+   * @param {string} conversationId - Conversation ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteConversation(conversationId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('conversations')
+        .delete()
+        .eq('id', conversationId)
+        .eq('user_id', userId)
+        .select();
+
+      if (error) {
+        console.error('Error deleting conversation:', error.message);
+        throw new Error(`Failed to delete conversation: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        console.log(`⚠️  Conversation ${conversationId} not found for user ${userId}`);
+        return false;
+      }
+
+      console.log(`✅ Deleted conversation: ${conversationId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error deleting conversation ${conversationId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ConversationService();
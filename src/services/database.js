@@ -1,11 +1,17 @@
 const { Pool } = require('pg');
+const config = require('../config/env');
 
 /**
  * External Database Service
  * Manages connection pools to external client databases (NOT Supabase)
  * Each workspace connects to a different client database
+ * Queries run in a READ ONLY transaction with statement and lock timeouts,
+ * which is always rolled back, so writes fail in the database itself
  */
 
+// Error code of queries rejected for writing in the read-only transaction (Postgres 25006)
+const READ_ONLY_VIOLATION_CODE = 'READ_ONLY_VIOLATION';
+
 class DatabaseService {
   constructor() {
     // Map of workspace_id -> Pool
@@ -16,7 +22,7 @@ class DatabaseService {
       max: 10,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 5000,
-      statement_timeout: 10000
+      statement_timeout: config.DB_STATEMENT_TIMEOUT_MS
     };
   }
 
@@ -91,12 +97,20 @@ class DatabaseService {
 
   /**
    * Execute a SQL query on a workspace's database
+   * The query runs alone (extended protocol, so one statement) in a READ ONLY
+   * transaction with DB_STATEMENT_TIMEOUT_MS and DB_LOCK_TIMEOUT_MS, which is
+   * rolled back afterwards whether the query succeeded or not
+   * With maxRows, the query is read through a cursor that fetches one row past
+   * the cap, so larger results are cut off without being read in full
    * @param {string} workspaceId - The workspace ID
    * @param {string} connectionString - PostgreSQL connection string
    * @param {string} sql - SQL query to execute
-   * @returns {Promise<Object>} Query result with rows, rowCount, and executionTime
+   * @param {Object} [options] - Execution options
+   * @param {number} [options.maxRows] - Row cap for generated SQL (e.g., DB_MAX_ROWS), a positive integer; introspection queries are not capped
+   * @returns {Promise<Object>} Query result with rows, rowCount, columns, executionTime, truncated (whether rows were cut off at the cap) and rowLimit (the cap, or null)
+   * @throws {Error} Descriptive error with the Postgres error code, or READ_ONLY_VIOLATION when the query tried to write
    */
-  async executeQuery(workspaceId, connectionString, sql) {
+  async executeQuery(workspaceId, connectionString, sql, { maxRows = null } = {}) {
     const startTime = Date.now();
     let client;
 
@@ -106,30 +120,46 @@ class DatabaseService {
         throw new Error('SQL query must be a non-empty string');
       }
 
+      // A cap of 0 or less would silently return every row
+      if (maxRows !== null && !(Number.isInteger(maxRows) && maxRows > 0)) {
+        throw new Error('maxRows must be a positive integer');
+      }
+
       // Get or create pool
       const pool = this.getPool(workspaceId, connectionString);
       
       // Acquire client from pool
       client = await pool.connect();
+
+      // Timeouts are local to the transaction, so pooled sessions keep their defaults
+      await client.query(`BEGIN READ ONLY; SET LOCAL statement_timeout = ${config.DB_STATEMENT_TIMEOUT_MS}; SET LOCAL lock_timeout = ${config.DB_LOCK_TIMEOUT_MS}`);
       
-      // Execute query
-      const result = await client.query(sql);
-      
-      // Check result size limit (10,000 rows max)
-      const MAX_ROWS = 10000;
-      if (result.rowCount > MAX_ROWS) {
-        throw new Error(`Query result exceeds maximum allowed rows (${MAX_ROWS}). Please add LIMIT clause or use pagination to reduce result set size.`);
+      // Execute query (the extended protocol refuses several statements, such as a COMMIT followed by a write)
+      let result;
+      if (maxRows !== null) {
+        // The cursor lives in the transaction, so the rollback closes it
+        await client.query({ text: `DECLARE capped_query NO SCROLL CURSOR FOR ${sql}`, queryMode: 'extended' });
+        result = await client.query(`FETCH ${maxRows + 1} FROM capped_query`);
+      } else {
+        result = await client.query({ text: sql, queryMode: 'extended' });
       }
+
+      // The extra row only tells that the result went past the cap
+      const truncated = maxRows !== null && result.rows.length > maxRows;
+      const rows = truncated ? result.rows.slice(0, maxRows) : result.rows;
       
       // Calculate execution time
       const executionTime = Date.now() - startTime;
       
-      console.log(`✅ Query executed for workspace ${workspaceId} in ${executionTime}ms (${result.rowCount} rows)`);
+      console.log(`✅ Query executed for workspace ${workspaceId} in ${executionTime}ms (${rows.length} rows${truncated ? `, truncated at ${maxRows}` : ''})`);
       
       return {
-        rows: result.rows,
-        rowCount: result.rowCount,
-        executionTime
+        rows,
+        rowCount: rows.length,
+        columns: (result.fields || []).map(field => field.name),
+        executionTime,
+        truncated,
+        rowLimit: maxRows
       };
 
     } catch (error) {
@@ -143,10 +173,7 @@ class DatabaseService {
       // Provide descriptive error messages
       let errorMessage = 'Database query failed';
       
-      if (error.message.includes('exceeds maximum allowed rows')) {
-        // This is our custom error for row limits
-        throw error;
-      } else if (error.code === 'ECONNREFUSED') {
+      if (error.code === 'ECONNREFUSED') {
         errorMessage = 'Database connection refused - check if database is running';
       } else if (error.code === 'ENOTFOUND') {
         errorMessage = 'Database host not found - check connection string';
@@ -158,6 +185,10 @@ class DatabaseService {
         errorMessage = 'Table does not exist - check table name';
       } else if (error.code === '42601') {
         errorMessage = 'SQL syntax error - check query syntax';
+      } else if (error.code === '25006') {
+        errorMessage = 'Write rejected - queries run in a read-only transaction';
+      } else if (error.code === '55P03') {
+        errorMessage = 'Lock timeout - a table is locked by another transaction';
       } else if (error.code === '23505') {
         errorMessage = 'Duplicate key violation - unique constraint failed';
       } else if (error.code === '23503') {
@@ -168,18 +199,31 @@ class DatabaseService {
         errorMessage = `Database error: ${error.message}`;
       }
       
-      throw new Error(`${errorMessage} (${error.code || 'UNKNOWN'})`);
+      // Keep the Postgres error code and original message so callers can
+      // tell query mistakes apart from connection problems
+      const queryError = new Error(`${errorMessage} (${error.code || 'UNKNOWN'})`);
+      queryError.code = error.code === '25006' ? READ_ONLY_VIOLATION_CODE : error.code;
+      queryError.detail = error.message;
+      throw queryError;
       
     } finally {
-      // Release client back to pool
+      // Roll back and release client back to pool
       if (client) {
-        client.release();
+        try {
+          await client.query('ROLLBACK');
+          client.release();
+        } catch (rollbackError) {
+          // Never return a client to the pool with its transaction still open
+          console.error(`❌ Rollback failed for workspace ${workspaceId}:`, rollbackError.message);
+          client.release(rollbackError);
+        }
       }
     }
   }
 
   /**
    * Get database schema for a workspace
+   * Foreign key columns include a references property pointing at the referenced table and column
    * @param {string} workspaceId - The workspace ID
    * @param {string} connectionString - PostgreSQL connection string
    * @returns {Promise<Object>} Schema object with tables and columns
@@ -197,7 +241,36 @@ class DatabaseService {
         ORDER BY table_name, ordinal_position
       `;
 
-      const result = await this.executeQuery(workspaceId, connectionString, sql);
+      const foreignKeySql = `
+        SELECT
+          kcu.table_name,
+          kcu.column_name,
+          ccu.table_name AS foreign_table_name,
+          ccu.column_name AS foreign_column_name
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+          ON tc.constraint_name = kcu.constraint_name
+          AND tc.table_schema = kcu.table_schema
+        JOIN information_schema.constraint_column_usage ccu
+          ON ccu.constraint_name = tc.constraint_name
+          AND ccu.table_schema = tc.table_schema
+        WHERE tc.constraint_type = 'FOREIGN KEY'
+          AND tc.table_schema = 'public'
+      `;
+
+      const [result, foreignKeyResult] = await Promise.all([
+        this.executeQuery(workspaceId, connectionString, sql),
+        this.executeQuery(workspaceId, connectionString, foreignKeySql)
+      ]);
+
+      // Map of "table.column" -> referenced table and column
+      const foreignKeys = new Map();
+      foreignKeyResult.rows.forEach(row => {
+        foreignKeys.set(`${row.table_name}.${row.column_name}`, {
+          table: row.foreign_table_name,
+          column: row.foreign_column_name
+        });
+      });
       
       // Transform results into object format
       const schema = {};
@@ -210,6 +283,11 @@ class DatabaseService {
           nullable: row.is_nullable === 'YES'
         };
 
+        const reference = foreignKeys.get(`${tableName}.${row.column_name}`);
+        if (reference) {
+          column.references = reference;
+        }
+
         if (!schema[tableName]) {
           schema[tableName] = [];
         }
@@ -226,6 +304,83 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get COMMENT ON descriptions of a workspace's tables and columns
+   * @param {string} workspaceId - The workspace ID
+   * @param {string} connectionString - PostgreSQL connection string
+   * @returns {Promise<Array<Object>>} Array of { table, column (null for table comments), comment }
+   */
+  async getComments(workspaceId, connectionString) {
+    try {
+      const sql = `
+        SELECT
+          c.relname AS table_name,
+          NULL AS column_name,
+          obj_description(c.oid, 'pg_class') AS comment
+        FROM pg_catalog.pg_class c
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public'
+          AND c.relkind IN ('r', 'v', 'm', 'p', 'f')
+          AND obj_description(c.oid, 'pg_class') IS NOT NULL
+        UNION ALL
+        SELECT
+          c.relname AS table_name,
+          a.attname AS column_name,
+          col_description(c.oid, a.attnum) AS comment
+        FROM pg_catalog.pg_class c
+        JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_catalog.pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+        WHERE n.nspname = 'public'
+          AND c.relkind IN ('r', 'v', 'm', 'p', 'f')
+          AND col_description(c.oid, a.attnum) IS NOT NULL
+      `;
+
+      const result = await this.executeQuery(workspaceId, connectionString, sql);
+
+      console.log(`📋 Retrieved ${result.rowCount} table/column comments for workspace ${workspaceId}`);
+
+      return result.rows.map(row => ({
+        table: row.table_name,
+        column: row.column_name,
+        comment: row.comment
+      }));
+
+    } catch (error) {
+      console.error(`❌ Failed to get comments for workspace ${workspaceId}:`, error.message);
+      throw new Error(`Comment retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the first rows of a table
+   * @param {string} workspaceId - The workspace ID
+   * @param {string} connectionString - PostgreSQL connection string
+   * @param {string} tableName - Table in the public schema (must come from getSchema)
+   * @param {number} limit - Maximum number of rows
+   * @param {Array<string>} [columnNames] - Columns to read (default: all)
+   * @returns {Promise<Object>} Query result (see executeQuery)
+   */
+  async getSampleRows(workspaceId, connectionString, tableName, limit, columnNames) {
+    // Quote identifiers so table and column names are never interpreted as SQL
+    const quote = identifier => `"${String(identifier).replace(/"/g, '""')}"`;
+    const rowLimit = Math.max(1, Math.floor(Number(limit) || 1));
+    const columnList = columnNames ? columnNames.map(quote).join(', ') : '*';
+
+    return this.executeQuery(workspaceId, connectionString, `SELECT ${columnList} FROM public.${quote(tableName)} LIMIT ${rowLimit}`);
+  }
+
+  /**
+   * Check that a query plans without running it
+   * EXPLAIN (without ANALYZE) resolves every table, column and function and type-checks the query
+   * @param {string} workspaceId - The workspace ID
+   * @param {string} connectionString - PostgreSQL connection string
+   * @param {string} sql - SELECT query (already validated)
+   * @returns {Promise<Object>} Query result with one row per plan line (see executeQuery)
+   */
+  async explainQuery(workspaceId, connectionString, sql) {
+    return this.executeQuery(workspaceId, connectionString, `EXPLAIN ${sql}`);
+  }
+
   /**
    * Test a database connection
    * @param {string} connectionString - PostgreSQL connection string
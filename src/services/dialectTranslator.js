@@ -0,0 +1,1427 @@
+/**
+ * Dialect Translator Service
+ * Translates a SQL statement between PostgreSQL and MySQL without a model call.
+ * The statement is tokenized (strings, quoted identifiers and comments are kept
+ * intact), nested into parenthesized groups, and rewritten construct by
+ * construct: identifier quoting, string escapes, concatenation, casts, date
+ * functions, intervals, date arithmetic, aggregate filters, LIMIT/OFFSET and
+ * pattern matching. Anything that has no
+ * exact equivalent is translated as closely as possible and reported as a warning.
+ */
+
+const DIALECTS = ['postgresql', 'mysql'];
+
+// Multi-character operators, longest first
+const OPERATORS = ['!~*', '->>', '<=>', '::', '||', '&&', '->', '<=', '>=', '<>', '!=', '~*', '!~', ':='];
+
+// MySQL has no way to say "no limit" with OFFSET, so its documentation uses the largest row count
+const MYSQL_NO_LIMIT = '18446744073709551615';
+
+// Interval units (singular, uppercase) shared by both dialects
+const INTERVAL_UNITS = ['MICROSECOND', 'MILLISECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR'];
+
+// PostgreSQL to_char patterns -> MySQL DATE_FORMAT specifiers, longest first
+const PG_DATE_PATTERNS = [
+  ['FMMonth', '%M'], ['FMDay', '%W'], ['FMMM', '%c'], ['FMDD', '%e'], ['HH24', '%H'], ['HH12', '%h'],
+  ['YYYY', '%Y'], ['Month', '%M'], ['Day', '%W'], ['Mon', '%b'], ['DDD', '%j'], ['Dy', '%a'],
+  ['YY', '%y'], ['MM', '%m'], ['DD', '%d'], ['HH', '%h'], ['MI', '%i'], ['SS', '%s'],
+  ['US', '%f'], ['IW', '%v'], ['AM', '%p'], ['PM', '%p']
+];
+
+// MySQL DATE_FORMAT specifiers -> PostgreSQL to_char patterns
+const MYSQL_DATE_SPECIFIERS = {
+  Y: 'YYYY', y: 'YY', m: 'MM', c: 'FMMM', d: 'DD', e: 'FMDD', H: 'HH24', h: 'HH12', I: 'HH12',
+  i: 'MI', s: 'SS', S: 'SS', p: 'AM', b: 'Mon', M: 'FMMonth', a: 'Dy', W: 'FMDay', j: 'DDD',
+  f: 'US', v: 'IW', T: 'HH24:MI:SS', '%': '%'
+};
+
+// date_trunc units -> MySQL expression builders
+const MYSQL_DATE_TRUNC = {
+  second: value => `DATE_FORMAT(${value}, '%Y-%m-%d %H:%i:%s')`,
+  minute: value => `DATE_FORMAT(${value}, '%Y-%m-%d %H:%i:00')`,
+  hour: value => `DATE_FORMAT(${value}, '%Y-%m-%d %H:00:00')`,
+  day: value => `DATE(${value})`,
+  week: value => `DATE_SUB(DATE(${value}), INTERVAL WEEKDAY(${value}) DAY)`,
+  month: value => `DATE_FORMAT(${value}, '%Y-%m-01')`,
+  quarter: value => `MAKEDATE(YEAR(${value}), 1) + INTERVAL (QUARTER(${value}) - 1) QUARTER`,
+  year: value => `DATE_FORMAT(${value}, '%Y-01-01')`
+};
+
+// EXTRACT fields without a MySQL EXTRACT equivalent -> MySQL expression builders
+const MYSQL_EXTRACT = {
+  dow: value => `(DAYOFWEEK(${value}) - 1)`,
+  isodow: value => `(WEEKDAY(${value}) + 1)`,
+  doy: value => `DAYOFYEAR(${value})`,
+  epoch: value => `UNIX_TIMESTAMP(${value})`,
+  week: value => `WEEK(${value}, 3)`
+};
+
+// MySQL date part functions -> PostgreSQL expression builders
+const PG_DATE_PARTS = {
+  year: value => `EXTRACT(YEAR FROM ${value})`,
+  month: value => `EXTRACT(MONTH FROM ${value})`,
+  day: value => `EXTRACT(DAY FROM ${value})`,
+  dayofmonth: value => `EXTRACT(DAY FROM ${value})`,
+  hour: value => `EXTRACT(HOUR FROM ${value})`,
+  minute: value => `EXTRACT(MINUTE FROM ${value})`,
+  second: value => `EXTRACT(SECOND FROM ${value})`,
+  quarter: value => `EXTRACT(QUARTER FROM ${value})`,
+  dayofweek: value => `(EXTRACT(DOW FROM ${value}) + 1)`,
+  weekday: value => `(EXTRACT(ISODOW FROM ${value}) - 1)`,
+  dayofyear: value => `EXTRACT(DOY FROM ${value})`
+};
+
+// PostgreSQL functions without a MySQL equivalent
+const PG_ONLY_FUNCTIONS = ['generate_series', 'array_agg', 'unnest', 'age', 'regexp_split_to_table', 'regexp_matches', 'jsonb_agg', 'json_agg'];
+
+// MySQL functions without a PostgreSQL equivalent
+const MYSQL_ONLY_FUNCTIONS = ['find_in_set', 'field', 'elt', 'str_to_date', 'timestampdiff', 'period_diff'];
+
+// Aggregates whose FILTER (WHERE ...) clause MySQL can express as a CASE argument
+const FILTER_AGGREGATES = ['count', 'sum', 'avg', 'min', 'max'];
+
+class DialectTranslatorService {
+  /**
+   * Split SQL into tokens
+   * @param {string} sql - SQL statement
+   * @param {string} dialect - Dialect the SQL is written in
+   * @returns {Array<Object>} Tokens ({ type, text, value }): space, comment, string, ident, number, param, op, open, close, comma, semicolon
+   * @throws {Error} 'Invalid SQL: ...' for unterminated strings, identifiers or comments
+   */
+  tokenize(sql, dialect) {
+    const tokens = [];
+    let position = 0;
+
+    const readQuoted = (quote, backslashEscapes) => {
+      let value = '';
+      let index = position + 1;
+
+      while (index < sql.length) {
+        const char = sql[index];
+
+        if (backslashEscapes && char === '\\' && index + 1 < sql.length) {
+          value += this.unescapeBackslash(sql[index + 1]);
+          index += 2;
+        } else if (char === quote && sql[index + 1] === quote) {
+          value += quote;
+          index += 2;
+        } else if (char === quote) {
+          const text = sql.slice(position, index + 1);
+          position = index + 1;
+          return { text, value };
+        } else {
+          value += char;
+          index++;
+        }
+      }
+
+      throw new Error(`Invalid SQL: unterminated ${quote} quote`);
+    };
+
+    while (position < sql.length) {
+      const rest = sql.slice(position);
+      let match;
+
+      if ((match = rest.match(/^\s+/))) {
+        tokens.push({ type: 'space', text: match[0] });
+        position += match[0].length;
+      } else if (rest.startsWith('--') || (dialect === 'mysql' && rest.startsWith('#'))) {
+        const end = rest.indexOf('\n');
+        const text = end === -1 ? rest : rest.slice(0, end);
+        tokens.push({ type: 'comment', text, value: text.replace(/^(--|#)/, '') });
+        position += text.length;
+      } else if (rest.startsWith('/*')) {
+        const end = rest.indexOf('*/', 2);
+        if (end === -1) {
+          throw new Error('Invalid SQL: unterminated comment');
+        }
+        tokens.push({ type: 'comment', text: rest.slice(0, end + 2), block: true });
+        position += end + 2;
+      } else if (dialect === 'postgresql' && /^[eE]'/.test(rest)) {
+        // Escape string constant (E'...') interprets backslashes
+        position++;
+        const { text, value } = readQuoted("'", true);
+        tokens.push({ type: 'string', text: `E${text}`, value });
+      } else if (rest[0] === "'") {
+        const { text, value } = readQuoted("'", dialect === 'mysql');
+        tokens.push({ type: 'string', text, value });
+      } else if (rest[0] === '"') {
+        // Double quotes delimit identifiers in PostgreSQL and strings in MySQL (without ANSI_QUOTES)
+        const { text, value } = readQuoted('"', dialect === 'mysql');
+        tokens.push(dialect === 'mysql'
+          ? { type: 'string', text, value }
+          : { type: 'ident', text, value, quoted: true });
+      } else if (rest[0] === '`' && dialect === 'mysql') {
+        const { text, value } = readQuoted('`', false);
+        tokens.push({ type: 'ident', text, value, quoted: true });
+      } else if ((match = rest.match(/^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/))) {
+        tokens.push({ type: 'number', text: match[0] });
+        position += match[0].length;
+      } else if ((match = rest.match(/^\$\d+/))) {
+        tokens.push({ type: 'param', text: match[0] });
+        position += match[0].length;
+      } else if ((match = rest.match(/^[A-Za-z_][A-Za-z0-9_$]*/))) {
+        tokens.push({ type: 'ident', text: match[0], value: match[0] });
+        position += match[0].length;
+      } else {
+        const operator = OPERATORS.find(candidate => rest.startsWith(candidate)) || rest[0];
+        const type = { '(': 'open', ')': 'close', ',': 'comma', ';': 'semicolon', '?': 'param' }[operator] || 'op';
+        tokens.push({ type, text: operator });
+        position += operator.length;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Decode a backslash escape sequence (MySQL strings and PostgreSQL E'' strings)
+   * @param {string} char - Character after the backslash
+   * @returns {string} Decoded text (LIKE wildcards keep their backslash)
+   */
+  unescapeBackslash(char) {
+    const escapes = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a', '%': '\\%', _: '\\_' };
+    return escapes[char] !== undefined ? escapes[char] : char;
+  }
+
+  /**
+   * Nest tokens into parenthesized groups
+   * @param {Array<Object>} tokens - Tokens from tokenize
+   * @returns {Array<Object>} Nodes: tokens, and groups ({ type: 'group', children })
+   * @throws {Error} 'Invalid SQL: unbalanced parentheses'
+   */
+  nest(tokens) {
+    const root = [];
+    const stack = [root];
+
+    tokens.forEach(token => {
+      if (token.type === 'open') {
+        const group = { type: 'group', children: [] };
+        stack[stack.length - 1].push(group);
+        stack.push(group.children);
+      } else if (token.type === 'close') {
+        if (stack.length === 1) {
+          throw new Error('Invalid SQL: unbalanced parentheses');
+        }
+        stack.pop();
+      } else {
+        stack[stack.length - 1].push(token);
+      }
+    });
+
+    if (stack.length !== 1) {
+      throw new Error('Invalid SQL: unbalanced parentheses');
+    }
+
+    return root;
+  }
+
+  /**
+   * Translate a SQL statement to another dialect
+   * @param {string} sql - SQL statement
+   * @param {string} from - Source dialect ('postgresql' or 'mysql')
+   * @param {string} to - Target dialect ('postgresql' or 'mysql')
+   * @returns {Object} Object with sql (translated) and warnings ({ construct, message }) for constructs without an exact equivalent
+   * @throws {Error} If a dialect is unsupported or the SQL can't be tokenized
+   */
+  translate(sql, from, to) {
+    if (!DIALECTS.includes(from) || !DIALECTS.includes(to)) {
+      throw new Error(`Invalid dialect: supported dialects are ${DIALECTS.join(', ')}`);
+    }
+
+    const context = { from, to, warnings: [] };
+
+    if (from === to) {
+      return { sql, warnings: [] };
+    }
+
+    const translated = this.translateNodes(this.nest(this.tokenize(sql, from)), context);
+
+    console.log(`🔀 Translated SQL from ${from} to ${to} with ${context.warnings.length} warning(s)`);
+
+    return {
+      sql: translated,
+      warnings: context.warnings
+    };
+  }
+
+  /**
+   * Record a construct that could not be translated exactly
+   * @param {Object} context - Translation context
+   * @param {string} construct - Construct as written in the source SQL
+   * @param {string} message - What the reader should check
+   */
+  warn(context, construct, message) {
+    if (!context.warnings.some(warning => warning.construct === construct && warning.message === message)) {
+      context.warnings.push({ construct, message });
+    }
+  }
+
+  /**
+   * Whether a node is the given keyword
+   * @param {Object} node - Node from nest
+   * @param {...string} keywords - Keywords (case-insensitive)
+   * @returns {boolean} True if the node is an unquoted identifier matching one of the keywords
+   */
+  isKeyword(node, ...keywords) {
+    return Boolean(node) && node.type === 'ident' && !node.quoted && keywords.includes(node.text.toUpperCase());
+  }
+
+  /**
+   * Split a group's children on top-level commas
+   * @param {Array<Object>} nodes - Group children
+   * @returns {Array<Array<Object>>} Argument node lists (empty for a group without arguments)
+   */
+  splitArguments(nodes) {
+    const args = [[]];
+
+    nodes.forEach(node => {
+      if (node.type === 'comma') {
+        args.push([]);
+      } else {
+        args[args.length - 1].push(node);
+      }
+    });
+
+    return args.length === 1 && args[0].every(node => node.type === 'space' || node.type === 'comment') ? [] : args;
+  }
+
+  /**
+   * Trim leading and trailing whitespace nodes
+   * @param {Array<Object>} nodes - Nodes
+   * @returns {Array<Object>} Nodes without surrounding whitespace
+   */
+  trimNodes(nodes) {
+    let start = 0;
+    let end = nodes.length;
+
+    while (start < end && nodes[start].type === 'space') {
+      start++;
+    }
+    while (end > start && nodes[end - 1].type === 'space') {
+      end--;
+    }
+
+    return nodes.slice(start, end);
+  }
+
+  /**
+   * Render a string literal for a dialect
+   * @param {string} value - Decoded string value
+   * @param {string} dialect - Target dialect
+   * @returns {string} Quoted string literal
+   */
+  renderString(value, dialect) {
+    if (dialect === 'mysql') {
+      const escaped = value
+        .replace(/\\(?![%_])/g, '\\\\')
+        .replace(/'/g, "''")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/\0/g, '\\0');
+      return `'${escaped}'`;
+    }
+
+    // Standard strings keep backslashes literally; control characters need an escape string
+    if (/[\0\b\n\r\t\x1a]/.test(value)) {
+      const escaped = value
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')
+        .replace(/\x08/g, '\\b');
+      return `E'${escaped}'`;
+    }
+
+    return `'${value.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Render a single token for the target dialect
+   * @param {Object} token - Token from tokenize
+   * @param {Object} context - Translation context
+   * @returns {string} Translated token text
+   */
+  renderToken(token, context) {
+    switch (token.type) {
+      case 'string':
+        return this.renderString(token.value, context.to);
+      case 'ident':
+        if (token.quoted) {
+          return context.to === 'mysql'
+            ? `\`${token.value.replace(/`/g, '``')}\``
+            : `"${token.value.replace(/"/g, '""')}"`;
+        }
+        return token.text;
+      case 'comment':
+        if (token.block) {
+          return token.text;
+        }
+        // PostgreSQL has no # comments, and MySQL requires whitespace after --
+        return context.to === 'mysql' && token.value && !/^\s/.test(token.value)
+          ? `-- ${token.value}`
+          : `--${token.value}`;
+      case 'param':
+        if (token.text !== '?' && context.to === 'mysql') {
+          this.warn(context, token.text, 'Numbered parameters are not supported by MySQL; use ? placeholders in order');
+        }
+        return token.text;
+      default:
+        return token.text;
+    }
+  }
+
+  /**
+   * Group nodes into operands: function calls, parenthesized groups, dotted names and single tokens
+   * @param {Array<Object>} nodes - Nodes from nest
+   * @returns {Array<Object>} Items ({ kind: 'call'|'group'|'name'|'token', ... })
+   */
+  buildItems(nodes) {
+    const items = [];
+
+    for (let index = 0; index < nodes.length; index++) {
+      const node = nodes[index];
+
+      if (node.type === 'group') {
+        items.push({ kind: 'group', group: node });
+        continue;
+      }
+
+      if (node.type === 'ident' && !node.quoted && nodes[index + 1]?.type === 'group') {
+        items.push({ kind: 'call', name: node.text, group: nodes[index + 1] });
+        index++;
+        continue;
+      }
+
+      if (node.type === 'ident') {
+        // schema.table.column (and table.*) is one operand
+        const parts = [node];
+        while (nodes[index + 1]?.text === '.' && (nodes[index + 2]?.type === 'ident' || nodes[index + 2]?.text === '*')) {
+          parts.push(nodes[index + 1], nodes[index + 2]);
+          index += 2;
+        }
+
+        items.push(parts.length > 1 ? { kind: 'name', parts } : { kind: 'token', token: node });
+        continue;
+      }
+
+      items.push({ kind: 'token', token: node });
+    }
+
+    return items;
+  }
+
+  /**
+   * Translate a list of nodes (a statement or the inside of a group)
+   * @param {Array<Object>} nodes - Nodes from nest
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  translateNodes(nodes, context) {
+    const items = this.buildItems(nodes);
+    const pieces = [];
+
+    // Index of the next non-space item after an index
+    const nextIndex = index => {
+      let next = index + 1;
+      while (items[next] && items[next].kind === 'token' && ['space', 'comment'].includes(items[next].token.type)) {
+        next++;
+      }
+      return next;
+    };
+
+    // Last rendered operand (skipping whitespace), removed from the output
+    const popOperand = () => {
+      const trailing = [];
+      while (pieces.length > 0 && pieces[pieces.length - 1].space) {
+        trailing.unshift(pieces.pop());
+      }
+      const operand = pieces.pop();
+      return { operand, trailing };
+    };
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const token = item.kind === 'token' ? item.token : null;
+
+      // LIMIT / OFFSET / FETCH clauses are rebuilt as a whole
+      if (token && this.isKeyword(token, 'LIMIT', 'OFFSET', 'FETCH')) {
+        const clause = this.readLimitClause(items, index, context);
+        if (clause) {
+          pieces.push({ text: clause.text });
+          index = clause.end;
+          continue;
+        }
+      }
+
+      // INTERVAL literals
+      if (token && this.isKeyword(token, 'INTERVAL')) {
+        const interval = this.readInterval(items, index, context);
+        if (interval) {
+          pieces.push({ text: interval.text, operand: true });
+          index = interval.end;
+          continue;
+        }
+      }
+
+      // PostgreSQL casts: value::type
+      if (token && token.text === '::') {
+        const { operand } = popOperand();
+        const type = this.readTypeName(items, nextIndex(index));
+        const date = /^date$/i.test(type.text.trim());
+        pieces.push({ text: this.renderCast(operand ? operand.text : '', type.text, context), operand: true, date });
+        index = type.end;
+        continue;
+      }
+
+      // PostgreSQL aggregate filters: COUNT(*) FILTER (WHERE ...)
+      if (item.kind === 'call' && context.from === 'postgresql') {
+        const filter = this.readAggregateFilter(items, index, context);
+        if (filter) {
+          pieces.push({ text: filter.text, operand: true });
+          index = filter.end;
+          continue;
+        }
+      }
+
+      // PostgreSQL date arithmetic: date + integer adds days
+      if (token && ['+', '-'].includes(token.text) && context.from === 'postgresql' && pieces.filter(piece => !piece.space).pop()?.date) {
+        const right = items[nextIndex(index)];
+
+        if (right?.kind === 'token' && right.token.type === 'number' && /^\d+$/.test(right.token.text)) {
+          pieces.push({ text: token.text });
+          items.slice(index + 1, nextIndex(index)).forEach(space => pieces.push({ text: this.renderItem(space, context), space: true }));
+          pieces.push({ text: `INTERVAL ${right.token.text} DAY`, operand: true });
+          index = nextIndex(index);
+          continue;
+        }
+
+        if (!(right?.kind === 'token' && this.isKeyword(right.token, 'INTERVAL'))) {
+          this.warn(context, `date ${token.text} ...`, 'PostgreSQL date + integer adds days and date - date returns days; only integer literals were translated (use INTERVAL n DAY or DATEDIFF for other operands)');
+        }
+      }
+
+      if (token && token.text === '||') {
+        if (context.from === 'postgresql') {
+          // String concatenation: collect the chain into CONCAT(...)
+          const { operand } = popOperand();
+          const right = items[nextIndex(index)];
+          const rightText = right ? this.renderItem(right, context) : '';
+          const operands = operand && operand.concat ? [...operand.concat, rightText] : [operand ? operand.text : '', rightText];
+
+          if (this.isArithmetic(items[nextIndex(nextIndex(index))])) {
+            this.warn(context, '||', 'Concatenation next to arithmetic operators: check the CONCAT arguments');
+          }
+
+          pieces.push({ text: `CONCAT(${operands.join(', ')})`, concat: operands, operand: true });
+          index = nextIndex(index);
+          continue;
+        }
+
+        // MySQL || is logical OR (unless PIPES_AS_CONCAT is set)
+        this.warn(context, '||', 'MySQL || was translated as logical OR; use CONCAT() if the server runs with PIPES_AS_CONCAT');
+        pieces.push({ text: 'OR' });
+        continue;
+      }
+
+      if (token && token.text === '&&' && context.from === 'mysql') {
+        pieces.push({ text: 'AND' });
+        continue;
+      }
+
+      if (token && ['~', '~*', '!~', '!~*'].includes(token.text) && context.from === 'postgresql') {
+        const negated = token.text.startsWith('!');
+        if (!token.text.endsWith('*')) {
+          this.warn(context, token.text, 'MySQL REGEXP is case-insensitive for non-binary strings, unlike PostgreSQL ~; use REGEXP_LIKE(value, pattern, \'c\') for case-sensitive matching');
+        }
+        pieces.push({ text: negated ? 'NOT REGEXP' : 'REGEXP' });
+        continue;
+      }
+
+      if (token && this.isKeyword(token, 'ILIKE') && context.to === 'mysql') {
+        this.warn(context, 'ILIKE', 'ILIKE was translated as LIKE, which is case-insensitive only with a case-insensitive collation (the MySQL default)');
+        pieces.push({ text: 'LIKE' });
+        continue;
+      }
+
+      if (token && this.isKeyword(token, 'LIKE') && context.from === 'mysql') {
+        this.warn(context, 'LIKE', 'MySQL LIKE is case-insensitive with the default collation; translated as ILIKE');
+        pieces.push({ text: 'ILIKE' });
+        continue;
+      }
+
+      if (token && this.isKeyword(token, 'REGEXP', 'RLIKE') && context.from === 'mysql') {
+        const negated = pieces.length > 0 && this.popNot(pieces);
+        pieces.push({ text: negated ? '!~*' : '~*' });
+        continue;
+      }
+
+      if (token && this.isKeyword(token, 'CURRENT_DATE', 'CURRENT_TIMESTAMP', 'CURRENT_TIME')) {
+        pieces.push({ text: token.text.toUpperCase(), operand: true, date: this.isKeyword(token, 'CURRENT_DATE') });
+        continue;
+      }
+
+      if (token && this.isKeyword(token, 'DISTINCT') && this.isKeyword(items[nextIndex(index)]?.token, 'ON') && context.to === 'mysql') {
+        this.warn(context, 'DISTINCT ON', 'MySQL has no DISTINCT ON; rewrite it with ROW_NUMBER() OVER (PARTITION BY ...) in a subquery');
+      }
+
+      const text = this.renderItem(item, context);
+      const space = Boolean(token && ['space', 'comment'].includes(token.type));
+      pieces.push({ text, space, operand: !space && !(token && token.type === 'op') });
+    }
+
+    return pieces.map(piece => piece.text).join('');
+  }
+
+  /**
+   * Remove a trailing NOT (and its whitespace) from the output
+   * @param {Array<Object>} pieces - Rendered pieces
+   * @returns {boolean} True if a NOT was removed
+   */
+  popNot(pieces) {
+    let index = pieces.length - 1;
+    while (index >= 0 && pieces[index].space) {
+      index--;
+    }
+
+    if (index >= 0 && /^not$/i.test(pieces[index].text)) {
+      pieces.splice(index);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether an item is an arithmetic operator
+   * @param {Object} item - Item from buildItems
+   * @returns {boolean} True for + - * / %
+   */
+  isArithmetic(item) {
+    return Boolean(item) && item.kind === 'token' && ['+', '-', '*', '/', '%'].includes(item.token.text);
+  }
+
+  /**
+   * Render an item (call, group, dotted name or token)
+   * @param {Object} item - Item from buildItems
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  renderItem(item, context) {
+    switch (item.kind) {
+      case 'call':
+        return this.translateCall(item.name, item.group.children, context);
+      case 'group':
+        return `(${this.translateNodes(item.group.children, context)})`;
+      case 'name':
+        return item.parts.map(part => this.renderToken(part, context)).join('');
+      default:
+        return this.renderToken(item.token, context);
+    }
+  }
+
+  /**
+   * Read a type name after :: or AS (e.g., numeric(10, 2), timestamp with time zone, text[])
+   * @param {Array<Object>} items - Items from buildItems
+   * @param {number} start - Index of the first item of the type
+   * @returns {Object} Object with text (type as written) and end (index of its last item)
+   */
+  readTypeName(items, start) {
+    const words = [];
+    let end = start;
+    let index = start;
+
+    while (items[index]) {
+      const item = items[index];
+
+      if (item.kind === 'call' && words.length === 0) {
+        // numeric(10, 2), varchar(255)
+        words.push(`${item.name}(${item.group.children.map(node => node.text || '').join('')})`);
+        end = index;
+        index++;
+        continue;
+      }
+
+      if (item.kind === 'token' && item.token.type === 'ident' && (words.length === 0 || /^(varying|precision|with|without|time|zone)$/i.test(item.token.text))) {
+        words.push(item.token.text);
+        end = index;
+        index++;
+
+        // Skip the space before a multi-word continuation
+        if (items[index]?.kind === 'token' && items[index].token.type === 'space' && items[index + 1]?.kind === 'token' && /^(varying|precision|with|without|time|zone)$/i.test(items[index + 1].token.text || '')) {
+          index++;
+        }
+        continue;
+      }
+
+      if (item.kind === 'token' && item.token.text === '[' && items[index + 1]?.token?.text === ']') {
+        words[words.length - 1] += '[]';
+        end = index + 1;
+        index += 2;
+        continue;
+      }
+
+      break;
+    }
+
+    return { text: words.join(' '), end };
+  }
+
+  /**
+   * Map a type name to the target dialect's CAST type
+   * @param {string} type - Type as written in the source SQL
+   * @param {Object} context - Translation context
+   * @returns {string|null} CAST type, or null for booleans cast to MySQL (no boolean CAST type)
+   */
+  mapType(type, context) {
+    const normalized = type.toLowerCase().replace(/\s+/g, ' ').trim();
+    const base = normalized.replace(/\(.*\)$/, '');
+    const args = (normalized.match(/\(.*\)$/) || [''])[0].replace(/\s+/g, '');
+
+    if (context.to === 'mysql') {
+      if (['text', 'varchar', 'character varying', 'char', 'character', 'bpchar', 'name'].includes(base)) {
+        return base.startsWith('char') && args ? `CHAR${args}` : 'CHAR';
+      }
+      if (['int', 'integer', 'int2', 'int4', 'int8', 'bigint', 'smallint'].includes(base)) {
+        return 'SIGNED';
+      }
+      if (['numeric', 'decimal'].includes(base)) {
+        return `DECIMAL${args}`;
+      }
+      if (['real', 'float', 'float4', 'float8', 'double precision'].includes(base)) {
+        return 'DOUBLE';
+      }
+      if (base === 'date' || base === 'time') {
+        return base.toUpperCase();
+      }
+      if (base.startsWith('timestamp')) {
+        if (base.includes('with time zone') || base === 'timestamptz') {
+          this.warn(context, type, 'MySQL DATETIME has no time zone; the value is converted in the session time zone');
+        }
+        return 'DATETIME';
+      }
+      if (['json', 'jsonb'].includes(base)) {
+        return 'JSON';
+      }
+      if (base === 'uuid') {
+        return 'CHAR(36)';
+      }
+      if (['bool', 'boolean'].includes(base)) {
+        return null;
+      }
+    } else {
+      if (base === 'char' || base === 'nchar') {
+        return args ? `VARCHAR${args}` : 'TEXT';
+      }
+      if (['signed', 'signed integer', 'unsigned', 'unsigned integer'].includes(base)) {
+        if (base.startsWith('unsigned')) {
+          this.warn(context, type, 'PostgreSQL has no unsigned integers; cast to BIGINT');
+        }
+        return 'BIGINT';
+      }
+      if (base === 'decimal') {
+        return `NUMERIC${args}`;
+      }
+      if (base === 'double' || base === 'float') {
+        return 'DOUBLE PRECISION';
+      }
+      if (base === 'datetime') {
+        return 'TIMESTAMP';
+      }
+      if (base === 'date' || base === 'time' || base === 'json') {
+        return base.toUpperCase();
+      }
+      if (base === 'binary') {
+        return 'BYTEA';
+      }
+    }
+
+    this.warn(context, type, `No exact ${context.to === 'mysql' ? 'MySQL' : 'PostgreSQL'} equivalent for type ${type}; kept as written`);
+    return type;
+  }
+
+  /**
+   * Render a cast in the target dialect
+   * @param {string} value - Translated operand
+   * @param {string} type - Type as written in the source SQL
+   * @param {Object} context - Translation context
+   * @returns {string} CAST expression
+   */
+  renderCast(value, type, context) {
+    const mapped = this.mapType(type, context);
+
+    if (mapped === null) {
+      // MySQL booleans are TINYINT(1): literals become TRUE/FALSE, anything else a comparison
+      const literal = value.replace(/^'|'$/g, '').toLowerCase();
+      if (/^'.*'$/.test(value) && ['t', 'true', 'y', 'yes', 'on', '1'].includes(literal)) {
+        return 'TRUE';
+      }
+      if (/^'.*'$/.test(value) && ['f', 'false', 'n', 'no', 'off', '0'].includes(literal)) {
+        return 'FALSE';
+      }
+      this.warn(context, type, 'MySQL has no boolean CAST type; translated as a comparison with 0');
+      return `(${value} <> 0)`;
+    }
+
+    return `CAST(${value} AS ${mapped})`;
+  }
+
+  /**
+   * Read and translate an INTERVAL literal
+   * PostgreSQL: INTERVAL '7 days'; MySQL: INTERVAL 7 DAY (the value may be any expression)
+   * @param {Array<Object>} items - Items from buildItems
+   * @param {number} index - Index of the INTERVAL keyword
+   * @param {Object} context - Translation context
+   * @returns {Object|null} Object with text and end, or null to leave the keyword as is
+   */
+  readInterval(items, index, context) {
+    const skip = from => {
+      let next = from;
+      while (items[next]?.kind === 'token' && items[next].token.type === 'space') {
+        next++;
+      }
+      return next;
+    };
+
+    const valueIndex = skip(index + 1);
+    const value = items[valueIndex];
+    if (!value) {
+      return null;
+    }
+
+    if (context.from === 'postgresql') {
+      if (value.kind !== 'token' || value.token.type !== 'string') {
+        return null;
+      }
+
+      // SQL standard form INTERVAL '1' DAY works in both
+      const unitIndex = skip(valueIndex + 1);
+      const unitItem = items[unitIndex];
+      if (unitItem?.kind === 'token' && this.isKeyword(unitItem.token, ...INTERVAL_UNITS, ...INTERVAL_UNITS.map(unit => `${unit}S`))) {
+        return { text: `INTERVAL ${this.renderString(value.token.value, context.to)} ${unitItem.token.text.toUpperCase().replace(/S$/, '')}`, end: unitIndex };
+      }
+
+      const parts = value.token.value.trim().match(/^(-?\d+(?:\.\d+)?)\s*([a-z]+)$/i);
+      const unit = parts && this.normalizeIntervalUnit(parts[2]);
+
+      if (!unit) {
+        this.warn(context, `INTERVAL '${value.token.value}'`, 'Only single-unit intervals map to MySQL; combine several INTERVAL terms for mixed units');
+        return { text: `INTERVAL ${this.renderString(value.token.value, context.to)}`, end: valueIndex };
+      }
+
+      return { text: `INTERVAL ${parts[1]} ${unit}`, end: valueIndex };
+    }
+
+    // MySQL: INTERVAL expr UNIT
+    const unitIndex = skip(valueIndex + 1);
+    const unitItem = items[unitIndex];
+    const unit = unitItem?.kind === 'token' && unitItem.token.type === 'ident'
+      ? this.normalizeIntervalUnit(unitItem.token.text)
+      : null;
+
+    if (!unit) {
+      if (unitItem?.kind === 'token' && unitItem.token.type === 'ident' && /_/.test(unitItem.token.text)) {
+        this.warn(context, `INTERVAL ... ${unitItem.token.text}`, 'Compound MySQL interval units have no direct PostgreSQL form; write the interval as \'1 day 2 hours\'');
+      }
+      return null;
+    }
+
+    const pgUnit = unit === 'QUARTER' ? 'months' : `${unit.toLowerCase()}s`;
+
+    if (value.kind === 'token' && value.token.type === 'number') {
+      const amount = unit === 'QUARTER' ? String(Number(value.token.text) * 3) : value.token.text;
+      return { text: `INTERVAL '${amount} ${pgUnit}'`, end: unitIndex };
+    }
+
+    if (value.kind === 'token' && value.token.type === 'string' && /^-?\d+(\.\d+)?$/.test(value.token.value.trim())) {
+      const amount = unit === 'QUARTER' ? String(Number(value.token.value) * 3) : value.token.value.trim();
+      return { text: `INTERVAL '${amount} ${pgUnit}'`, end: unitIndex };
+    }
+
+    // Computed amounts multiply a unit interval
+    const multiplier = unit === 'QUARTER' ? "INTERVAL '3 months'" : `INTERVAL '1 ${unit.toLowerCase()}'`;
+    return { text: `(${this.renderItem(value, context)}) * ${multiplier}`, end: unitIndex };
+  }
+
+  /**
+   * Read an aggregate call with a FILTER (WHERE ...) clause and move the condition into its argument
+   * MySQL has no FILTER: COUNT(*) FILTER (WHERE c) becomes COUNT(CASE WHEN c THEN 1 END)
+   * @param {Array<Object>} items - Items from buildItems
+   * @param {number} index - Index of the aggregate call
+   * @param {Object} context - Translation context
+   * @returns {Object|null} Object with text and end (index of the FILTER group), or null if the call has no filter
+   */
+  readAggregateFilter(items, index, context) {
+    let next = index + 1;
+    while (items[next]?.kind === 'token' && items[next].token.type === 'space') {
+      next++;
+    }
+
+    // FILTER (WHERE ...) or FILTER(WHERE ...), which buildItems reads as a call
+    let filterGroup = null;
+    let end = next;
+    if (items[next]?.kind === 'call' && /^filter$/i.test(items[next].name)) {
+      filterGroup = items[next].group;
+    } else if (items[next]?.kind === 'token' && this.isKeyword(items[next].token, 'FILTER')) {
+      end = next + 1;
+      while (items[end]?.kind === 'token' && items[end].token.type === 'space') {
+        end++;
+      }
+      filterGroup = items[end]?.kind === 'group' ? items[end].group : null;
+    }
+
+    const filterNodes = filterGroup ? this.trimNodes(filterGroup.children) : [];
+    if (!this.isKeyword(filterNodes[0], 'WHERE')) {
+      return null;
+    }
+
+    const item = items[index];
+    const args = this.splitArguments(item.group.children);
+    if (!FILTER_AGGREGATES.includes(item.name.toLowerCase()) || args.length !== 1) {
+      this.warn(context, `${item.name}(...) FILTER`, 'MySQL has no aggregate FILTER; only COUNT, SUM, AVG, MIN and MAX of one argument are rewritten with CASE, so this one was kept as written');
+      return null;
+    }
+
+    let argument = this.trimNodes(args[0]);
+    const distinct = this.isKeyword(argument[0], 'DISTINCT');
+    if (distinct) {
+      argument = this.trimNodes(argument.slice(1));
+    }
+
+    // COUNT(*) counts the rows that match, so any non-null value will do
+    const value = argument.length === 1 && argument[0].text === '*' ? '1' : this.translateNodes(argument, context);
+    const condition = this.translateNodes(this.trimNodes(filterNodes.slice(1)), context);
+
+    return {
+      text: `${item.name}(${distinct ? 'DISTINCT ' : ''}CASE WHEN ${condition} THEN ${value} END)`,
+      end
+    };
+  }
+
+  /**
+   * Normalize an interval unit name
+   * @param {string} unit - Unit as written ('days', 'mon', 'DAY')
+   * @returns {string|null} Uppercase singular unit, or null if unknown
+   */
+  normalizeIntervalUnit(unit) {
+    const aliases = { mon: 'MONTH', mons: 'MONTH', min: 'MINUTE', mins: 'MINUTE', sec: 'SECOND', secs: 'SECOND', hr: 'HOUR', hrs: 'HOUR', yr: 'YEAR', yrs: 'YEAR', ms: 'MILLISECOND', us: 'MICROSECOND' };
+    const lower = unit.toLowerCase();
+    const singular = aliases[lower] || lower.toUpperCase().replace(/S$/, '');
+
+    if (singular === 'MILLISECOND') {
+      return null;
+    }
+
+    return INTERVAL_UNITS.includes(singular) ? singular : null;
+  }
+
+  /**
+   * Read a LIMIT / OFFSET / FETCH clause and rebuild it for the target dialect
+   * PostgreSQL: LIMIT n|ALL, OFFSET m [ROWS], FETCH FIRST|NEXT n ROWS ONLY, in any order
+   * MySQL: LIMIT n [OFFSET m] or LIMIT m, n
+   * @param {Array<Object>} items - Items from buildItems
+   * @param {number} start - Index of the first keyword
+   * @param {Object} context - Translation context
+   * @returns {Object|null} Object with text and end (index of the last item consumed), or null if not a clause
+   */
+  readLimitClause(items, start, context) {
+    let limit = null;
+    let offset = null;
+    let index = start;
+    let end = start;
+
+    const skip = from => {
+      let next = from;
+      while (items[next]?.kind === 'token' && ['space', 'comment'].includes(items[next].token.type)) {
+        next++;
+      }
+      return next;
+    };
+    const isValue = item => Boolean(item) && (item.kind !== 'token' || ['number', 'param', 'ident'].includes(item.token.type));
+
+    while (items[index]?.kind === 'token') {
+      const token = items[index].token;
+
+      if (this.isKeyword(token, 'LIMIT')) {
+        const valueIndex = skip(index + 1);
+        const value = items[valueIndex];
+
+        if (value?.kind === 'token' && this.isKeyword(value.token, 'ALL')) {
+          end = valueIndex;
+        } else if (isValue(value)) {
+          const commaIndex = skip(valueIndex + 1);
+
+          if (items[commaIndex]?.kind === 'token' && items[commaIndex].token.type === 'comma') {
+            // MySQL LIMIT offset, count
+            const countIndex = skip(commaIndex + 1);
+            offset = this.renderItem(value, context);
+            limit = this.renderItem(items[countIndex], context);
+            end = countIndex;
+          } else {
+            limit = this.renderItem(value, context);
+            end = valueIndex;
+          }
+        } else {
+          return null;
+        }
+      } else if (this.isKeyword(token, 'OFFSET')) {
+        const valueIndex = skip(index + 1);
+        if (!isValue(items[valueIndex])) {
+          return null;
+        }
+        offset = this.renderItem(items[valueIndex], context);
+        end = valueIndex;
+
+        const rowsIndex = skip(valueIndex + 1);
+        if (items[rowsIndex]?.kind === 'token' && this.isKeyword(items[rowsIndex].token, 'ROW', 'ROWS')) {
+          end = rowsIndex;
+        }
+      } else if (this.isKeyword(token, 'FETCH')) {
+        // FETCH FIRST|NEXT [n] ROW|ROWS ONLY|WITH TIES
+        let fetchIndex = skip(index + 1);
+        if (!(items[fetchIndex]?.kind === 'token' && this.isKeyword(items[fetchIndex].token, 'FIRST', 'NEXT'))) {
+          return null;
+        }
+
+        fetchIndex = skip(fetchIndex + 1);
+        let count = '1';
+        if (isValue(items[fetchIndex]) && !(items[fetchIndex].kind === 'token' && this.isKeyword(items[fetchIndex].token, 'ROW', 'ROWS'))) {
+          count = this.renderItem(items[fetchIndex], context);
+          fetchIndex = skip(fetchIndex + 1);
+        }
+
+        if (!(items[fetchIndex]?.kind === 'token' && this.isKeyword(items[fetchIndex].token, 'ROW', 'ROWS'))) {
+          return null;
+        }
+
+        fetchIndex = skip(fetchIndex + 1);
+        if (items[fetchIndex]?.kind === 'token' && this.isKeyword(items[fetchIndex].token, 'ONLY')) {
+          end = fetchIndex;
+        } else if (items[fetchIndex]?.kind === 'token' && this.isKeyword(items[fetchIndex].token, 'WITH') && this.isKeyword(items[skip(fetchIndex + 1)]?.token, 'TIES')) {
+          end = skip(fetchIndex + 1);
+          if (context.to === 'mysql') {
+            this.warn(context, 'FETCH ... WITH TIES', 'MySQL has no WITH TIES; rows tied with the last one are dropped');
+          }
+        } else {
+          return null;
+        }
+
+        limit = count;
+      } else {
+        break;
+      }
+
+      // Continue with the next keyword of the clause, if any
+      const nextIndex = skip(end + 1);
+      if (!(items[nextIndex]?.kind === 'token' && this.isKeyword(items[nextIndex].token, 'LIMIT', 'OFFSET', 'FETCH'))) {
+        break;
+      }
+      index = nextIndex;
+    }
+
+    const parts = [];
+
+    if (limit !== null) {
+      parts.push(`LIMIT ${limit}`);
+    } else if (offset !== null && context.to === 'mysql') {
+      parts.push(`LIMIT ${MYSQL_NO_LIMIT}`);
+    }
+
+    if (offset !== null) {
+      parts.push(`OFFSET ${offset}`);
+    }
+
+    // LIMIT ALL on its own means no limit
+    return { text: parts.join(' '), end };
+  }
+
+  /**
+   * Read a string literal argument
+   * @param {Array<Object>} nodes - Argument nodes
+   * @returns {string|null} Decoded value, or null if the argument isn't a single string literal
+   */
+  readStringArgument(nodes) {
+    const trimmed = this.trimNodes(nodes);
+    return trimmed.length === 1 && trimmed[0].type === 'string' ? trimmed[0].value : null;
+  }
+
+  /**
+   * Translate a function call
+   * @param {string} name - Function name as written
+   * @param {Array<Object>} nodes - Nodes inside the parentheses
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  translateCall(name, nodes, context) {
+    const lower = name.toLowerCase();
+    const args = this.splitArguments(nodes);
+    const render = argNodes => this.translateNodes(this.trimNodes(argNodes), context);
+    const keep = () => `${name}(${this.translateNodes(nodes, context)})`;
+
+    if (lower === 'cast') {
+      return this.translateCastCall(nodes, context) || keep();
+    }
+
+    if (lower === 'extract') {
+      return this.translateExtract(nodes, context) || keep();
+    }
+
+    return context.to === 'mysql'
+      ? this.translateCallToMySQL(name, lower, args, render, keep, context)
+      : this.translateCallToPostgres(name, lower, args, render, keep, context);
+  }
+
+  /**
+   * Translate CAST(value AS type)
+   * @param {Array<Object>} nodes - Nodes inside the parentheses
+   * @param {Object} context - Translation context
+   * @returns {string|null} Translated SQL, or null if the call isn't a CAST ... AS ...
+   */
+  translateCastCall(nodes, context) {
+    const asIndex = nodes.map((node, index) => (this.isKeyword(node, 'AS') ? index : -1)).filter(index => index >= 0).pop();
+    if (asIndex === undefined) {
+      return null;
+    }
+
+    const value = this.translateNodes(this.trimNodes(nodes.slice(0, asIndex)), context);
+    const typeItems = this.buildItems(this.trimNodes(nodes.slice(asIndex + 1)));
+    const type = this.readTypeName(typeItems, 0);
+
+    return this.renderCast(value, type.text, context);
+  }
+
+  /**
+   * Translate EXTRACT(field FROM value)
+   * @param {Array<Object>} nodes - Nodes inside the parentheses
+   * @param {Object} context - Translation context
+   * @returns {string|null} Translated SQL, or null if the call isn't EXTRACT ... FROM ...
+   */
+  translateExtract(nodes, context) {
+    const trimmed = this.trimNodes(nodes);
+    const fromIndex = trimmed.findIndex(node => this.isKeyword(node, 'FROM'));
+    if (fromIndex < 1) {
+      return null;
+    }
+
+    const fieldNodes = this.trimNodes(trimmed.slice(0, fromIndex));
+    const field = (fieldNodes[0].type === 'string' ? fieldNodes[0].value : fieldNodes[0].text).toLowerCase();
+    const value = this.translateNodes(this.trimNodes(trimmed.slice(fromIndex + 1)), context);
+
+    if (context.to === 'mysql' && MYSQL_EXTRACT[field]) {
+      return MYSQL_EXTRACT[field](value);
+    }
+
+    if (context.to === 'mysql' && ['century', 'decade', 'millennium', 'julian', 'timezone', 'isoyear'].includes(field)) {
+      this.warn(context, `EXTRACT(${field.toUpperCase()} ...)`, `MySQL EXTRACT has no ${field.toUpperCase()} field`);
+    }
+
+    return `EXTRACT(${field.toUpperCase()} FROM ${value})`;
+  }
+
+  /**
+   * Translate a PostgreSQL function call to MySQL
+   * @param {string} name - Function name as written
+   * @param {string} lower - Lowercase function name
+   * @param {Array<Array<Object>>} args - Argument nodes
+   * @param {Function} render - Translates argument nodes
+   * @param {Function} keep - Renders the call unchanged (arguments translated)
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  translateCallToMySQL(name, lower, args, render, keep, context) {
+    switch (lower) {
+      case 'date_trunc': {
+        const unit = args.length === 2 ? this.readStringArgument(args[0]) : null;
+        const build = unit && MYSQL_DATE_TRUNC[unit.toLowerCase()];
+        if (!build) {
+          this.warn(context, 'date_trunc', 'date_trunc needs a literal unit (second to year) to translate; kept as written');
+          return keep();
+        }
+        if (!['day', 'week'].includes(unit.toLowerCase())) {
+          this.warn(context, `date_trunc('${unit}', ...)`, 'MySQL has no date_trunc; translated with DATE_FORMAT, which returns a string rather than a timestamp');
+        }
+        return build(render(args[1]));
+      }
+
+      case 'date_part': {
+        const field = args.length === 2 ? this.readStringArgument(args[0]) : null;
+        if (!field) {
+          return keep();
+        }
+        const value = render(args[1]);
+        return MYSQL_EXTRACT[field.toLowerCase()]
+          ? MYSQL_EXTRACT[field.toLowerCase()](value)
+          : `EXTRACT(${field.toUpperCase()} FROM ${value})`;
+      }
+
+      case 'to_char': {
+        const format = args.length === 2 ? this.readStringArgument(args[1]) : null;
+        if (format === null) {
+          return keep();
+        }
+        return `DATE_FORMAT(${render(args[0])}, ${this.renderString(this.convertPostgresDateFormat(format, context), 'mysql')})`;
+      }
+
+      case 'to_timestamp':
+        if (args.length === 1) {
+          return `FROM_UNIXTIME(${render(args[0])})`;
+        }
+        this.warn(context, 'to_timestamp', 'to_timestamp(text, format) has no exact MySQL equivalent; use STR_TO_DATE with a MySQL format');
+        return keep();
+
+      case 'string_agg': {
+        if (args.length !== 2) {
+          return keep();
+        }
+        // The ORDER BY of an ordered aggregate trails the separator argument
+        const separatorNodes = this.trimNodes(args[1]);
+        const orderIndex = separatorNodes.findIndex(node => this.isKeyword(node, 'ORDER'));
+        const separator = orderIndex >= 0 ? separatorNodes.slice(0, orderIndex) : separatorNodes;
+        const orderBy = orderIndex >= 0 ? ` ${render(separatorNodes.slice(orderIndex))}` : '';
+        return `GROUP_CONCAT(${render(args[0])}${orderBy} SEPARATOR ${render(separator)})`;
+      }
+
+      case 'length':
+      case 'char_length':
+      case 'character_length':
+        // PostgreSQL counts characters; MySQL LENGTH counts bytes
+        return `CHAR_LENGTH(${args.map(render).join(', ')})`;
+
+      case 'random':
+        return 'RAND()';
+
+      case 'now':
+        return 'NOW()';
+
+      default:
+        if (PG_ONLY_FUNCTIONS.includes(lower)) {
+          this.warn(context, `${name}()`, `MySQL has no ${lower} function; kept as written`);
+        }
+        return keep();
+    }
+  }
+
+  /**
+   * Translate a MySQL function call to PostgreSQL
+   * @param {string} name - Function name as written
+   * @param {string} lower - Lowercase function name
+   * @param {Array<Array<Object>>} args - Argument nodes
+   * @param {Function} render - Translates argument nodes
+   * @param {Function} keep - Renders the call unchanged (arguments translated)
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  translateCallToPostgres(name, lower, args, render, keep, context) {
+    if (PG_DATE_PARTS[lower] && args.length === 1) {
+      return PG_DATE_PARTS[lower](render(args[0]));
+    }
+
+    switch (lower) {
+      case 'concat':
+        // Both return NULL when any argument is NULL
+        return args.length > 0 ? `(${args.map(render).join(' || ')})` : keep();
+
+      case 'date_format': {
+        const format = args.length === 2 ? this.readStringArgument(args[1]) : null;
+        if (format === null) {
+          return keep();
+        }
+        return `TO_CHAR(${render(args[0])}, ${this.renderString(this.convertMySQLDateFormat(format, context), 'postgresql')})`;
+      }
+
+      case 'date_add':
+      case 'adddate':
+      case 'date_sub':
+      case 'subdate': {
+        if (args.length !== 2) {
+          return keep();
+        }
+        const operator = lower.endsWith('add') || lower === 'adddate' ? '+' : '-';
+        const amount = this.trimNodes(args[1]);
+        const interval = this.isKeyword(amount[0], 'INTERVAL')
+          ? render(args[1])
+          : `(${render(args[1])}) * INTERVAL '1 day'`;
+        return `(${render(args[0])} ${operator} ${interval})`;
+      }
+
+      case 'datediff':
+        return args.length === 2
+          ? `(CAST(${render(args[0])} AS DATE) - CAST(${render(args[1])} AS DATE))`
+          : keep();
+
+      case 'curdate':
+      case 'current_date':
+        return 'CURRENT_DATE';
+
+      case 'curtime':
+      case 'current_time':
+        return 'CURRENT_TIME';
+
+      case 'now':
+      case 'current_timestamp':
+        return 'NOW()';
+
+      case 'date':
+        return args.length === 1 ? `CAST(${render(args[0])} AS DATE)` : keep();
+
+      case 'week':
+        this.warn(context, 'WEEK()', 'MySQL WEEK() depends on its mode argument; translated as the ISO week number');
+        return args.length >= 1 ? `EXTRACT(WEEK FROM ${render(args[0])})` : keep();
+
+      case 'unix_timestamp':
+        return args.length === 0 ? 'EXTRACT(EPOCH FROM NOW())' : `EXTRACT(EPOCH FROM ${render(args[0])})`;
+
+      case 'from_unixtime':
+        if (args.length === 2) {
+          this.warn(context, 'FROM_UNIXTIME(value, format)', 'Formatted FROM_UNIXTIME was translated without its format; wrap it in TO_CHAR');
+        }
+        return args.length >= 1 ? `TO_TIMESTAMP(${render(args[0])})` : keep();
+
+      case 'ifnull':
+        return args.length === 2 ? `COALESCE(${args.map(render).join(', ')})` : keep();
+
+      case 'if':
+        return args.length === 3
+          ? `CASE WHEN ${render(args[0])} THEN ${render(args[1])} ELSE ${render(args[2])} END`
+          : keep();
+
+      case 'group_concat':
+        return this.translateGroupConcat(args, render, keep, context);
+
+      case 'length':
+        // MySQL LENGTH counts bytes
+        return args.length === 1 ? `OCTET_LENGTH(${render(args[0])})` : keep();
+
+      case 'rand':
+        if (args.length > 0) {
+          this.warn(context, 'RAND(seed)', 'Seeded RAND() has no PostgreSQL equivalent; use SETSEED() before the query');
+        }
+        return 'RANDOM()';
+
+      default:
+        if (MYSQL_ONLY_FUNCTIONS.includes(lower)) {
+          this.warn(context, `${name}()`, `PostgreSQL has no ${lower} function; kept as written`);
+        }
+        return keep();
+    }
+  }
+
+  /**
+   * Translate GROUP_CONCAT([DISTINCT] value [ORDER BY ...] [SEPARATOR 'x']) to STRING_AGG
+   * @param {Array<Array<Object>>} args - Argument nodes
+   * @param {Function} render - Translates argument nodes
+   * @param {Function} keep - Renders the call unchanged
+   * @param {Object} context - Translation context
+   * @returns {string} Translated SQL
+   */
+  translateGroupConcat(args, render, keep, context) {
+    if (args.length !== 1) {
+      this.warn(context, 'GROUP_CONCAT()', 'GROUP_CONCAT over several expressions has no direct STRING_AGG form; concatenate them first');
+      return keep();
+    }
+
+    let nodes = this.trimNodes(args[0]);
+    let separator = "','";
+
+    const separatorIndex = nodes.findIndex(node => this.isKeyword(node, 'SEPARATOR'));
+    if (separatorIndex >= 0) {
+      separator = render(nodes.slice(separatorIndex + 1));
+      nodes = this.trimNodes(nodes.slice(0, separatorIndex));
+    }
+
+    const orderIndex = nodes.findIndex(node => this.isKeyword(node, 'ORDER'));
+    const orderBy = orderIndex >= 0 ? ` ${render(nodes.slice(orderIndex))}` : '';
+    const valueNodes = this.trimNodes(orderIndex >= 0 ? nodes.slice(0, orderIndex) : nodes);
+
+    const distinct = this.isKeyword(valueNodes[0], 'DISTINCT');
+    const value = render(distinct ? valueNodes.slice(1) : valueNodes);
+
+    return `STRING_AGG(${distinct ? 'DISTINCT ' : ''}CAST(${value} AS TEXT), ${separator}${orderBy})`;
+  }
+
+  /**
+   * Convert a PostgreSQL to_char format to a MySQL DATE_FORMAT format
+   * @param {string} format - to_char format
+   * @param {Object} context - Translation context
+   * @returns {string} DATE_FORMAT format
+   */
+  convertPostgresDateFormat(format, context) {
+    let converted = '';
+    let index = 0;
+
+    while (index < format.length) {
+      // Double-quoted text is literal
+      if (format[index] === '"') {
+        const end = format.indexOf('"', index + 1);
+        const literal = end === -1 ? format.slice(index + 1) : format.slice(index + 1, end);
+        converted += literal.replace(/%/g, '%%');
+        index = end === -1 ? format.length : end + 1;
+        continue;
+      }
+
+      const pattern = PG_DATE_PATTERNS.find(([pg]) => format.startsWith(pg, index));
+      if (pattern) {
+        converted += pattern[1];
+        index += pattern[0].length;
+        continue;
+      }
+
+      if (/^(Q|D|W|MON|MONTH|DAY|DY|TZ|OF|CC|J)/.test(format.slice(index))) {
+        this.warn(context, `to_char format ${format}`, 'Some to_char patterns (quarter, day of week number, upper-case names, time zone) have no DATE_FORMAT equivalent and were kept as text');
+      }
+
+      converted += format[index] === '%' ? '%%' : format[index];
+      index++;
+    }
+
+    return converted;
+  }
+
+  /**
+   * Convert a MySQL DATE_FORMAT format to a PostgreSQL to_char format
+   * @param {string} format - DATE_FORMAT format
+   * @param {Object} context - Translation context
+   * @returns {string} to_char format
+   */
+  convertMySQLDateFormat(format, context) {
+    let converted = '';
+    let literal = '';
+
+    // Letters outside patterns must be quoted so to_char keeps them as text
+    const flushLiteral = () => {
+      converted += /[A-Za-z]/.test(literal) ? `"${literal}"` : literal;
+      literal = '';
+    };
+
+    for (let index = 0; index < format.length; index++) {
+      if (format[index] === '%' && index + 1 < format.length) {
+        const specifier = format[index + 1];
+        index++;
+
+        if (specifier === '%') {
+          literal += '%';
+          continue;
+        }
+
+        flushLiteral();
+
+        if (MYSQL_DATE_SPECIFIERS[specifier]) {
+          converted += MYSQL_DATE_SPECIFIERS[specifier];
+        } else {
+          this.warn(context, `DATE_FORMAT specifier %${specifier}`, `DATE_FORMAT specifier %${specifier} has no to_char equivalent and was dropped`);
+        }
+        continue;
+      }
+
+      literal += format[index];
+    }
+
+    flushLiteral();
+    return converted;
+  }
+}
+
+// Export singleton instance
+module.exports = new DialectTranslatorService();
@@ -0,0 +1,105 @@
+const config = require('../config/env');
+const queryHistoryService = require('./queryHistory');
+const schemaSelectorService = require('./schemaSelector');
+const accessPolicyService = require('./accessPolicy');
+
+/**
+ * Few-Shot Example Service
+ * Picks past question/SQL pairs from a workspace's query history that resemble
+ * a new question, so the model sees how this team's schema is usually queried.
+ * Favorited queries are preferred over merely successful ones. Queries that read
+ * tables or columns hidden by the workspace access policy are never used
+ */
+
+// Number of recent successful queries considered as candidates
+const CANDIDATE_LIMIT = 200;
+
+// Minimum keyword overlap (Jaccard) for a past question to count as similar
+const MIN_SIMILARITY = 0.2;
+
+// Added to the similarity of favorited queries
+const FAVORITE_BOOST = 0.25;
+
+class FewShotService {
+  /**
+   * Keyword overlap between two questions
+   * @param {Set<string>} a - Keywords of the first question
+   * @param {Set<string>} b - Keywords of the second question
+   * @returns {number} Jaccard similarity between 0 and 1
+   */
+  similarity(a, b) {
+    if (a.size === 0 || b.size === 0) {
+      return 0;
+    }
+
+    const shared = Array.from(a).filter(token => b.has(token)).length;
+    return shared / (a.size + b.size - shared);
+  }
+
+  /**
+   * Select the past queries most similar to a question
+   * @param {string} question - Natural language question
+   * @param {Object} context - Workspace context
+   * @param {Object} context.workspace - Workspace record (few_shot_enabled turns examples off)
+   * @param {string} context.userId - User ID
+   * @param {Object} [context.policy] - Workspace access policy (see accessPolicyService.checkQuery)
+   * @returns {Promise<Array<Object>>} Array of { question, sql }, most similar first (empty if disabled)
+   */
+  async selectExamples(question, { workspace, userId, policy }) {
+    const limit = config.AI_FEW_SHOT_EXAMPLES;
+
+    if (limit <= 0 || workspace.few_shot_enabled === false) {
+      return [];
+    }
+
+    // Examples only improve the prompt, so generation continues without them
+    let history;
+    try {
+      history = await queryHistoryService.getSuccessfulWorkspaceQueries(workspace.id, userId, {
+        limit: CANDIDATE_LIMIT
+      });
+    } catch (error) {
+      console.warn(`⚠️  Few-shot examples skipped, query history unavailable:`, error.message);
+      return [];
+    }
+
+    const questionKeywords = schemaSelectorService.keywords(question);
+    const seenQuestions = new Set();
+
+    const examples = history
+      .map(entry => {
+        const similarity = this.similarity(questionKeywords, schemaSelectorService.keywords(entry.question));
+
+        return {
+          question: entry.question,
+          sql: entry.sql_query,
+          similarity,
+          score: similarity + (entry.is_favorite ? FAVORITE_BOOST : 0)
+        };
+      })
+      .filter(entry => entry.similarity >= MIN_SIMILARITY)
+      .sort((a, b) => b.score - a.score)
+      .filter(entry => {
+        // The same question is often asked repeatedly; keep its best-ranked pair only
+        const key = entry.question.trim().toLowerCase();
+        if (seenQuestions.has(key)) {
+          return false;
+        }
+        seenQuestions.add(key);
+        return true;
+      })
+      // Past SQL may read columns hidden since it ran
+      .filter(entry => accessPolicyService.isQueryAllowed(entry.sql, workspace.database_provider, policy))
+      .slice(0, limit)
+      .map(({ question: exampleQuestion, sql }) => ({ question: exampleQuestion, sql }));
+
+    if (examples.length > 0) {
+      console.log(`📚 Using ${examples.length} past quer${examples.length === 1 ? 'y' : 'ies'} as examples for question: "${question}"`);
+    }
+
+    return examples;
+  }
+}
+
+// Export singleton instance
+module.exports = new FewShotService();
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const config = require('../config/env');
+
+/**
+ * Generation Cache Service
+ * Reuses generated SQL when a workspace asks the same question again, skipping
+ * the model call. Entries are keyed on the normalized question, workspace,
+ * schema fingerprint, workspace prompt context (glossary, instructions and
+ * annotations) and model, expire after AI_CACHE_TTL_SECONDS and are kept in
+ * memory (least recently used evicted beyond AI_CACHE_MAX_ENTRIES).
+ * When a workspace's schema fingerprint changes, its older entries are dropped.
+ * Other generations that only depend on the schema (e.g., suggested questions)
+ * share the cache under their own scope.
+ */
+
+class GenerationCacheService {
+  constructor() {
+    // Map of cache key -> { value, workspaceId, expiresAt }, least recently used first
+    this.entries = new Map();
+
+    // Map of workspace ID -> latest schema fingerprint seen
+    this.fingerprints = new Map();
+  }
+
+  /**
+   * Whether caching is turned on
+   * @returns {boolean} True unless AI_CACHE_TTL_SECONDS or AI_CACHE_MAX_ENTRIES is 0
+   */
+  isEnabled() {
+    return config.AI_CACHE_TTL_SECONDS > 0 && config.AI_CACHE_MAX_ENTRIES > 0;
+  }
+
+  /**
+   * Normalize a question so trivial differences hit the same entry
+   * @param {string} question - Natural language question
+   * @returns {string} Lowercase question with collapsed whitespace and no trailing punctuation
+   */
+  normalizeQuestion(question) {
+    return String(question)
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s?.!]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Hash a JSON-serializable value
+   * @param {*} value - Value to hash
+   * @returns {string} SHA-256 hex digest
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+
+  /**
+   * Fingerprint a schema: any added, removed or changed table, column, type or foreign key changes it
+   * @param {Object} schema - Full schema object from databaseService.getSchema
+   * @returns {string} Schema fingerprint
+   */
+  getSchemaFingerprint(schema) {
+    const tables = Object.keys(schema)
+      .sort()
+      .map(tableName => [
+        tableName,
+        schema[tableName].map(column => [
+          column.name,
+          column.type,
+          column.nullable,
+          column.references ? `${column.references.table}.${column.references.column}` : null
+        ])
+      ]);
+
+    return this.hash(tables);
+  }
+
+  /**
+   * Build the cache key of a generation
+   * Also records the workspace's current schema fingerprint, dropping entries made for an older schema
+   * @param {Object} params - Generation inputs
+   * @param {string} params.workspaceId - Workspace ID
+   * @param {string} params.question - Natural language question
+   * @param {Object} params.schema - Full schema object
+   * @param {string} params.model - Provider and model (e.g., 'openai/gpt-4o-mini')
+   * @param {Object} [params.workspaceContext] - Glossary, instructions and annotations added to the prompt
+   * @param {string} [params.scope] - Kind of generation cached (default: 'sql')
+   * @returns {string|null} Cache key, or null when caching is disabled
+   */
+  buildKey({ workspaceId, question, schema, model, workspaceContext, scope = 'sql' }) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const fingerprint = this.getSchemaFingerprint(schema);
+    this.trackFingerprint(workspaceId, fingerprint);
+
+    return this.hash([
+      scope,
+      workspaceId,
+      fingerprint,
+      model,
+      this.normalizeQuestion(question),
+      workspaceContext || null
+    ]);
+  }
+
+  /**
+   * Record a workspace's schema fingerprint, invalidating its entries when it changed
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} fingerprint - Current schema fingerprint
+   */
+  trackFingerprint(workspaceId, fingerprint) {
+    const previous = this.fingerprints.get(workspaceId);
+    this.fingerprints.set(workspaceId, fingerprint);
+
+    if (previous && previous !== fingerprint) {
+      const removed = this.invalidateWorkspace(workspaceId);
+      console.log(`🗄️  Schema changed for workspace ${workspaceId}, dropped ${removed} cached generation(s)`);
+    }
+  }
+
+  /**
+   * Get a cached generation
+   * @param {string|null} key - Cache key from buildKey
+   * @returns {Object|null} Cached value (e.g., { sql, explanation }), or null on a miss
+   */
+  get(key) {
+    if (!key || !this.entries.has(key)) {
+      return null;
+    }
+
+    const entry = this.entries.get(key);
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a generation (for SQL, only once it executed successfully)
+   * @param {string|null} key - Cache key from buildKey
+   * @param {string} workspaceId - Workspace ID
+   * @param {Object} value - Generated value (e.g., { sql, explanation })
+   */
+  set(key, workspaceId, value) {
+    if (!key) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      workspaceId,
+      expiresAt: Date.now() + config.AI_CACHE_TTL_SECONDS * 1000
+    });
+
+    // Evict least recently used entries beyond the limit
+    while (this.entries.size > config.AI_CACHE_MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every cached generation of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @returns {number} Number of entries removed
+   */
+  invalidateWorkspace(workspaceId) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.workspaceId === workspaceId) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+// Export singleton instance
+module.exports = new GenerationCacheService();
@@ -0,0 +1,201 @@
+const { getSupabaseClient } = require('../config/supabase');
+
+/**
+ * Glossary Service
+ * Manages a workspace's business glossary in Supabase: terms ("active user")
+ * and metric definitions ("revenue") the model cannot infer from column names.
+ * Entries are added to SQL generation prompts together with the workspace's
+ * custom instructions (workspaces.custom_instructions)
+ */
+
+// Columns returned for glossary entries
+const ENTRY_COLUMNS = 'id, workspace_id, kind, name, definition, created_at, updated_at';
+
+class GlossaryService {
+  constructor() {
+    this.supabase = getSupabaseClient();
+  }
+
+  /**
+   * Get the glossary entries of a workspace
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of entry records, terms before metrics, alphabetical by name
+   */
+  async getEntries(workspaceId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_glossary')
+        .select(ENTRY_COLUMNS)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .order('kind', { ascending: false })
+        .order('name', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching glossary:', error.message);
+        throw new Error(`Failed to fetch glossary: ${error.message}`);
+      }
+
+      console.log(`✅ Retrieved ${data?.length || 0} glossary entries for workspace: ${workspaceId}`);
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting glossary for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a glossary entry
+   * @param {string} workspaceId - Workspace ID (ownership is checked by the caller)
+   * @param {string} userId - User ID
+   * @param {Object} entryData - Entry data
+   * @param {string} entryData.kind - 'term' or 'metric'
+   * @param {string} entryData.name - Term or metric name
+   * @param {string} entryData.definition - What it means, usually in terms of tables and columns
+   * @returns {Promise<Object>} Created entry record
+   * @throws {Error} 'Glossary entry already exists' if the workspace already defines the name
+   */
+  async createEntry(workspaceId, userId, { kind, name, definition }) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_glossary')
+        .insert([{
+          workspace_id: workspaceId,
+          user_id: userId,
+          kind,
+          name,
+          definition,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select(ENTRY_COLUMNS)
+        .single();
+
+      if (error) {
+        // Unique violation on (workspace_id, kind, lower(name))
+        if (error.code === '23505') {
+          throw new Error('Glossary entry already exists');
+        }
+        console.error('Error creating glossary entry:', error.message);
+        throw new Error(`Failed to create glossary entry: ${error.message}`);
+      }
+
+      console.log(`✅ Created glossary ${kind} "${name}" for workspace: ${workspaceId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error creating glossary entry for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a glossary entry
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} entryId - Entry ID
+   * @param {string} userId - User ID
+   * @param {Object} updateData - Columns to update (kind, name, definition)
+   * @returns {Promise<Object>} Updated entry record
+   * @throws {Error} 'Glossary entry not found' if it doesn't exist or doesn't belong to user
+   */
+  async updateEntry(workspaceId, entryId, userId, updateData) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_glossary')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', entryId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select(ENTRY_COLUMNS)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          throw new Error('Glossary entry not found');
+        }
+        if (error.code === '23505') {
+          throw new Error('Glossary entry already exists');
+        }
+        console.error('Error updating glossary entry:', error.message);
+        throw new Error(`Failed to update glossary entry: ${error.message}`);
+      }
+
+      console.log(`✅ Updated glossary entry: ${entryId}`);
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error updating glossary entry ${entryId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a glossary entry
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} entryId - Entry ID
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteEntry(workspaceId, entryId, userId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('workspace_glossary')
+        .delete()
+        .eq('id', entryId)
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .select('id');
+
+      if (error) {
+        console.error('Error deleting glossary entry:', error.message);
+        throw new Error(`Failed to delete glossary entry: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        console.log(`⚠️  Glossary entry ${entryId} not found for user ${userId}`);
+        return false;
+      }
+
+      console.log(`✅ Deleted glossary entry: ${entryId}`);
+      return true;
+
+    } catch (error) {
+      console.error(`❌ Error deleting glossary entry ${entryId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the business context added to SQL generation prompts
+   * @param {Object} workspace - Workspace record (custom_instructions)
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with instructions (string or null), terms and metrics ({ name, definition })
+   */
+  async getPromptContext(workspace, userId) {
+    // The glossary only improves the prompt, so generation continues without it
+    let entries = [];
+    try {
+      entries = await this.getEntries(workspace.id, userId);
+    } catch (error) {
+      console.warn(`⚠️  Glossary skipped, entries unavailable:`, error.message);
+    }
+
+    const pick = kind => entries
+      .filter(entry => entry.kind === kind)
+      .map(entry => ({ name: entry.name, definition: entry.definition }));
+
+    return {
+      instructions: workspace.custom_instructions || null,
+      terms: pick('term'),
+      metrics: pick('metric')
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GlossaryService();
@@ -0,0 +1,194 @@
+/**
+ * Incremental JSON Stream Parser
+ * Reads a JSON object as it streams from a model and emits the characters of
+ * its top-level string fields as they arrive, so the SQL and explanation can be
+ * shown before the response is complete. Non-string fields (arrays, numbers,
+ * nested objects) are skipped; parse the full text once the stream ends to
+ * read them.
+ *
+ * Text before the opening brace (such as a markdown code fence) is ignored.
+ */
+
+// Characters produced by single-character JSON escapes
+const ESCAPES = {
+  '"': '"',
+  '\\': '\\',
+  '/': '/',
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+class JSONStreamParser {
+  constructor() {
+    // One of: 'preamble', 'beforeKey', 'key', 'afterKey', 'beforeValue',
+    // 'stringValue', 'otherValue', 'afterValue', 'done'
+    this.state = 'preamble';
+    this.key = '';
+    this.escape = null; // Pending escape sequence ('\\' or partial '\\uXXXX')
+    this.depth = 0; // Nesting depth inside a skipped non-string value
+    this.inNestedString = false;
+  }
+
+  /**
+   * Feed a chunk of streamed text
+   * @param {string} chunk - Next piece of model output
+   * @returns {Array<Object>} Deltas ({ key, delta }) for top-level string fields, in order
+   */
+  write(chunk) {
+    const deltas = [];
+    let pending = '';
+
+    const flush = () => {
+      if (pending) {
+        deltas.push({ key: this.key, delta: pending });
+        pending = '';
+      }
+    };
+
+    for (const char of chunk) {
+      switch (this.state) {
+        case 'preamble':
+          if (char === '{') {
+            this.state = 'beforeKey';
+          }
+          break;
+
+        case 'beforeKey':
+          if (char === '"') {
+            this.state = 'key';
+            this.key = '';
+          } else if (char === '}') {
+            this.state = 'done';
+          }
+          break;
+
+        case 'key':
+          if (this.escape) {
+            this.key += this.readEscape(char);
+          } else if (char === '\\') {
+            this.escape = '\\';
+          } else if (char === '"') {
+            this.state = 'afterKey';
+          } else {
+            this.key += char;
+          }
+          break;
+
+        case 'afterKey':
+          if (char === ':') {
+            this.state = 'beforeValue';
+          }
+          break;
+
+        case 'beforeValue':
+          if (char === '"') {
+            this.state = 'stringValue';
+          } else if (!/\s/.test(char)) {
+            this.state = 'otherValue';
+            this.depth = 0;
+            this.inNestedString = false;
+            this.skipValueChar(char);
+          }
+          break;
+
+        case 'stringValue':
+          if (this.escape) {
+            pending += this.readEscape(char);
+          } else if (char === '\\') {
+            this.escape = '\\';
+          } else if (char === '"') {
+            flush();
+            this.state = 'afterValue';
+          } else {
+            pending += char;
+          }
+          break;
+
+        case 'otherValue':
+          this.skipValueChar(char);
+          break;
+
+        case 'afterValue':
+          if (char === ',') {
+            this.state = 'beforeKey';
+          } else if (char === '}') {
+            this.state = 'done';
+          }
+          break;
+
+        default:
+          // 'done': ignore anything after the closing brace
+          break;
+      }
+    }
+
+    if (this.state === 'stringValue') {
+      flush();
+    }
+
+    return deltas;
+  }
+
+  /**
+   * Consume one character of an escape sequence inside a string
+   * @param {string} char - Next character
+   * @returns {string} Decoded text ('' while the sequence is incomplete)
+   */
+  readEscape(char) {
+    this.escape += char;
+
+    if (this.escape.length === 2 && char !== 'u') {
+      this.escape = null;
+      return ESCAPES[char] !== undefined ? ESCAPES[char] : char;
+    }
+
+    // \uXXXX: wait for all four hex digits
+    if (this.escape.length === 6) {
+      const code = parseInt(this.escape.slice(2), 16);
+      this.escape = null;
+      return Number.isNaN(code) ? '' : String.fromCharCode(code);
+    }
+
+    return '';
+  }
+
+  /**
+   * Consume one character of a skipped non-string value
+   * @param {string} char - Next character
+   */
+  skipValueChar(char) {
+    if (this.inNestedString) {
+      if (this.escape) {
+        this.escape = null;
+      } else if (char === '\\') {
+        this.escape = '\\';
+      } else if (char === '"') {
+        this.inNestedString = false;
+      }
+      return;
+    }
+
+    if (char === '"') {
+      this.inNestedString = true;
+    } else if (char === '[' || char === '{') {
+      this.depth++;
+    } else if (char === ']' || char === '}') {
+      if (this.depth === 0) {
+        // Closing brace of the top-level object ends a scalar value
+        this.state = 'done';
+        return;
+      }
+      this.depth--;
+      if (this.depth === 0) {
+        this.state = 'afterValue';
+      }
+    } else if (char === ',' && this.depth === 0) {
+      this.state = 'beforeKey';
+    }
+  }
+}
+
+module.exports = JSONStreamParser;
@@ -0,0 +1,130 @@
+const config = require('../config/env');
+
+/**
+ * Pricing Service
+ * Estimates what a model call cost from its token usage
+ * Prices are USD per million tokens and matched by model name prefix, so dated
+ * snapshots (e.g., gpt-4o-mini-2024-07-18) use their family's price.
+ * AI_MODEL_PRICING can add or override entries:
+ *   {"my-model": {"input": 1.0, "output": 2.0}}
+ */
+
+// USD per million input/output tokens
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+  fixture: { input: 0, output: 0 }
+};
+
+class PricingService {
+  constructor() {
+    this.pricing = {
+      ...DEFAULT_MODEL_PRICING,
+      ...this.parseCustomPricing(config.AI_MODEL_PRICING)
+    };
+
+    // Longest prefix first so gpt-4o-mini wins over gpt-4o
+    this.prefixes = Object.keys(this.pricing).sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Parse AI_MODEL_PRICING
+   * @param {string} [value] - JSON object of model prefix -> { input, output }
+   * @returns {Object} Custom pricing entries
+   */
+  parseCustomPricing(value) {
+    if (!value) {
+      return {};
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Environment variable AI_MODEL_PRICING must be valid JSON: ${error.message}`);
+    }
+
+    for (const [model, price] of Object.entries(parsed)) {
+      if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+        throw new Error(`Environment variable AI_MODEL_PRICING: ${model} must have numeric input and output prices`);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Find the price of a model
+   * @param {string} model - Model identifier reported by the provider
+   * @returns {Object|null} Object with input and output USD per million tokens, or null if unknown
+   */
+  getModelPricing(model) {
+    if (!model) {
+      return null;
+    }
+
+    const prefix = this.prefixes.find(candidate => model.startsWith(candidate));
+    return prefix ? this.pricing[prefix] : null;
+  }
+
+  /**
+   * Build the usage record of a model call
+   * @param {string} model - Model identifier
+   * @param {Object} [tokens] - Provider usage ({ promptTokens, completionTokens })
+   * @returns {Object|null} Object with model, promptTokens, completionTokens and cost (null if the model is unpriced)
+   */
+  buildUsage(model, tokens) {
+    if (!tokens) {
+      return null;
+    }
+
+    const price = this.getModelPricing(model);
+    const cost = price
+      ? (tokens.promptTokens * price.input + tokens.completionTokens * price.output) / 1000000
+      : null;
+
+    return {
+      model,
+      promptTokens: tokens.promptTokens,
+      completionTokens: tokens.completionTokens,
+      cost: cost === null ? null : Number(cost.toFixed(6))
+    };
+  }
+
+  /**
+   * Add up the usage of several model calls for the same request
+   * @param {Array<Object|null>} usages - Usage records from buildUsage
+   * @returns {Object|null} Combined usage (model of the last call), or null if none were recorded
+   */
+  combineUsage(usages) {
+    const recorded = usages.filter(Boolean);
+
+    if (recorded.length === 0) {
+      return null;
+    }
+
+    const costs = recorded.map(usage => usage.cost);
+
+    return {
+      model: recorded[recorded.length - 1].model,
+      promptTokens: recorded.reduce((sum, usage) => sum + usage.promptTokens, 0),
+      completionTokens: recorded.reduce((sum, usage) => sum + usage.completionTokens, 0),
+      cost: costs.includes(null)
+        ? null
+        : Number(costs.reduce((sum, cost) => sum + cost, 0).toFixed(6))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new PricingService();
@@ -0,0 +1,130 @@
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./base');
+
+/**
+ * Anthropic Provider
+ * Messages API backend (e.g., Claude Haiku / Sonnet)
+ */
+
+// The Messages API requires max_tokens on every request
+const DEFAULT_MAX_TOKENS = 2000;
+
+// The Messages API has no JSON mode, so JSON responses are enforced
+// by prefilling the assistant turn with an opening brace
+const JSON_PREFILL = '{';
+
+class AnthropicProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Anthropic API key
+   * @param {string} options.model - Model identifier
+   */
+  constructor({ apiKey, model }) {
+    super('anthropic', model);
+
+    if (!apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is required but not configured');
+    }
+
+    this.client = new Anthropic({ apiKey });
+  }
+
+  /**
+   * Build Messages API parameters from a provider request
+   * @param {Object} request - Provider request
+   * @returns {Object} Messages API parameters
+   */
+  buildParams({ system, messages = [], temperature = 0.3, maxTokens = DEFAULT_MAX_TOKENS, json = false }) {
+    const params = {
+      model: this.model,
+      system,
+      messages: [...messages],
+      temperature,
+      max_tokens: maxTokens
+    };
+
+    if (json) {
+      params.messages.push({
+        role: 'assistant',
+        content: JSON_PREFILL
+      });
+    }
+
+    return params;
+  }
+
+  async complete(request) {
+    const response = await this.client.messages.create(this.buildParams(request));
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text) {
+      throw new Error('No response content received from Anthropic');
+    }
+
+    return {
+      content: request.json ? JSON_PREFILL + text : text,
+      model: response.model || this.model,
+      usage: response.usage
+        ? {
+          promptTokens: response.usage.input_tokens || 0,
+          completionTokens: response.usage.output_tokens || 0
+        }
+        : null
+    };
+  }
+
+  async stream(request) {
+    const response = await this.client.messages.create({
+      ...this.buildParams(request),
+      stream: true
+    });
+
+    const stream = (async function* () {
+      if (request.json) {
+        yield JSON_PREFILL;
+      }
+
+      for await (const event of response) {
+        // Input tokens are reported when the message starts, output tokens as it ends
+        if (event.type === 'message_start') {
+          stream.model = event.message.model || stream.model;
+          stream.usage = {
+            promptTokens: event.message.usage?.input_tokens || 0,
+            completionTokens: event.message.usage?.output_tokens || 0
+          };
+        } else if (event.type === 'message_delta' && event.usage && stream.usage) {
+          stream.usage.completionTokens = event.usage.output_tokens || stream.usage.completionTokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield event.delta.text;
+        }
+      }
+    })();
+
+    stream.model = this.model;
+    stream.usage = null;
+
+    return stream;
+  }
+
+  describeError(error) {
+    if (error.status === 401) {
+      return 'Invalid Anthropic API key - check your configuration';
+    } else if (error.status === 429) {
+      return 'Anthropic API rate limit exceeded - please try again later';
+    } else if (error.status === 529) {
+      return 'Anthropic API is overloaded - please try again later';
+    } else if (error.status === 400 && /credit balance/i.test(error.message || '')) {
+      return 'Anthropic API credit balance is too low - check your billing';
+    } else if (error.message && error.message.includes('timeout')) {
+      return 'Anthropic API request timed out - please try again';
+    }
+
+    return null;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,58 @@
+/**
+ * Base LLM Provider
+ * Defines the interface every model backend implements so that
+ * AIService can generate SQL without knowing which vendor is behind it
+ *
+ * A request object has the shape:
+ * {
+ *   system: string,                                   // System prompt
+ *   messages: Array<{ role: 'user'|'assistant', content: string }>,
+ *   temperature?: number,
+ *   maxTokens?: number,
+ *   json?: boolean                                    // Ask for a JSON object response
+ * }
+ */
+
+class LLMProvider {
+  /**
+   * @param {string} name - Provider name (e.g., 'openai')
+   * @param {string} model - Model identifier used for requests
+   */
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Object} request - Provider request (see above)
+   * @returns {Promise<Object>} Object with content, model and usage ({ promptTokens, completionTokens }, or null if not reported)
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Generate a streaming response
+   * The request is sent before this resolves so that connection and
+   * authentication errors surface to the caller immediately. Once fully
+   * consumed, the iterable's model and usage properties hold the values
+   * reported by the vendor (usage stays null if none was reported)
+   * @param {Object} request - Provider request (see above)
+   * @returns {Promise<AsyncIterable<string>>} Async iterable of text deltas
+   */
+  async stream(request) {
+    throw new Error(`${this.name} provider does not implement stream()`);
+  }
+
+  /**
+   * Translate a vendor error into a user-facing message
+   * @param {Error} error - Error thrown by the vendor SDK
+   * @returns {string|null} Descriptive message, or null if the error is not recognised
+   */
+  describeError(error) {
+    return null;
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const LLMProvider = require('./base');
+
+/**
+ * Fixture Provider
+ * Deterministic offline backend for local development and tests
+ * Answers from a JSON file mapping question patterns to canned responses,
+ * so the full query pipeline can run without network access or an API key
+ *
+ * Fixture file format:
+ * {
+ *   "fixtures": [
+ *     {
+ *       "match": "how many users",                  // Case-insensitive regex tested against the last user message
+ *       "response": { "sql": "...", "explanation": "..." },
+ *       "chunks": ["{\"sql\": \"SELECT", " COUNT(*) ..."]  // Optional recorded streaming chunks replayed verbatim
+ *     }
+ *   ],
+ *   "fallback": { "response": { ... } }             // Optional response when nothing matches
+ * }
+ */
+
+class FixtureProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.fixturePath - Path to the fixture file (relative to the working directory)
+   */
+  constructor({ fixturePath }) {
+    super('fixture', 'fixture');
+
+    this.fixturePath = path.resolve(process.cwd(), fixturePath);
+    this.fixtures = this.loadFixtures();
+  }
+
+  /**
+   * Load and compile the fixture file
+   * @returns {Object} Object with compiled fixtures and optional fallback
+   */
+  loadFixtures() {
+    let parsed;
+
+    try {
+      parsed = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load AI fixture file ${this.fixturePath}: ${error.message}`);
+    }
+
+    if (!Array.isArray(parsed.fixtures)) {
+      throw new Error(`Invalid AI fixture file ${this.fixturePath}: "fixtures" must be an array`);
+    }
+
+    const fixtures = parsed.fixtures.map((fixture, index) => {
+      if (!fixture.match || fixture.response === undefined) {
+        throw new Error(`Invalid AI fixture at index ${index}: "match" and "response" are required`);
+      }
+
+      return {
+        ...fixture,
+        pattern: new RegExp(fixture.match, 'i')
+      };
+    });
+
+    console.log(`🧪 Loaded ${fixtures.length} AI fixtures from ${this.fixturePath}`);
+
+    return {
+      fixtures,
+      fallback: parsed.fallback || null
+    };
+  }
+
+  /**
+   * Find the fixture for a request
+   * Matches against the last user message, which carries the question
+   * @param {Object} request - Provider request
+   * @returns {Object} Matching fixture
+   */
+  findFixture({ messages = [] }) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const prompt = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+
+    const fixture = this.fixtures.fixtures.find(candidate => candidate.pattern.test(prompt));
+
+    if (fixture) {
+      return fixture;
+    }
+
+    if (this.fixtures.fallback) {
+      return this.fixtures.fallback;
+    }
+
+    throw new Error(`No AI fixture matches prompt: "${prompt}"`);
+  }
+
+  /**
+   * Render a fixture response as model output
+   * Objects become JSON in JSON mode, or "Key: value" lines otherwise
+   * @param {string|Object} response - Fixture response
+   * @param {boolean} json - Whether a JSON object was requested
+   * @returns {string} Response text
+   */
+  renderResponse(response, json) {
+    if (typeof response === 'string') {
+      return response;
+    }
+
+    if (json) {
+      return JSON.stringify(response);
+    }
+
+    return Object.entries(response)
+      .map(([key, value]) => `${key.charAt(0).toUpperCase()}${key.slice(1)}: ${value}`)
+      .join('\n');
+  }
+
+  /**
+   * Estimate token usage so usage accounting can be exercised offline
+   * Uses the common approximation of four characters per token
+   * @param {Object} request - Provider request
+   * @param {string} content - Response text
+   * @returns {Object} Object with promptTokens and completionTokens
+   */
+  estimateUsage(request, content) {
+    const promptText = [request.system || '', ...(request.messages || []).map(message => message.content)].join('\n');
+
+    return {
+      promptTokens: Math.ceil(promptText.length / 4),
+      completionTokens: Math.ceil(content.length / 4)
+    };
+  }
+
+  async complete(request) {
+    const fixture = this.findFixture(request);
+    const content = this.renderResponse(fixture.response, request.json);
+
+    return {
+      content,
+      model: this.model,
+      usage: this.estimateUsage(request, content)
+    };
+  }
+
+  async stream(request) {
+    const fixture = this.findFixture(request);
+
+    // Replay recorded chunks when present, otherwise split the rendered response into words
+    const chunks = Array.isArray(fixture.chunks)
+      ? fixture.chunks
+      : this.renderResponse(fixture.response, request.json).match(/\S+\s*|\s+/g) || [];
+
+    const stream = (async function* () {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    })();
+
+    stream.model = this.model;
+    stream.usage = this.estimateUsage(request, chunks.join(''));
+
+    return stream;
+  }
+}
+
+module.exports = FixtureProvider;
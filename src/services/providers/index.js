@@ -0,0 +1,62 @@
+const config = require('../../config/env');
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+const FixtureProvider = require('./fixture');
+
+/**
+ * LLM Provider Registry
+ * Resolves the provider and model for a request, falling back from
+ * workspace settings to the deployment defaults in config/env.js
+ * The fixture provider is deployment-only (AI_PROVIDER=fixture)
+ */
+
+const providerFactories = {
+  openai: model => new OpenAIProvider({
+    apiKey: config.OPENAI_API_KEY,
+    model: model || config.OPENAI_MODEL
+  }),
+  anthropic: model => new AnthropicProvider({
+    apiKey: config.ANTHROPIC_API_KEY,
+    model: model || config.ANTHROPIC_MODEL
+  }),
+  fixture: () => new FixtureProvider({
+    fixturePath: config.AI_FIXTURE_PATH
+  })
+};
+
+const SUPPORTED_PROVIDERS = Object.keys(providerFactories);
+
+// Map of "provider:model" -> provider instance
+const providerCache = new Map();
+
+/**
+ * Get a provider instance
+ * @param {Object} [options] - Provider selection
+ * @param {string} [options.provider] - Provider name (defaults to AI_PROVIDER)
+ * @param {string} [options.model] - Model identifier (defaults to the provider's configured model)
+ * @returns {LLMProvider} Provider instance
+ */
+function getProvider({ provider, model } = {}) {
+  // A fixture deployment stays offline even for workspaces that pick a real provider
+  const providerName = config.AI_PROVIDER === 'fixture'
+    ? 'fixture'
+    : provider || config.AI_PROVIDER;
+  const factory = providerFactories[providerName];
+
+  if (!factory) {
+    throw new Error(`Invalid AI provider: ${providerName}. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+
+  const cacheKey = `${providerName}:${model || 'default'}`;
+
+  if (!providerCache.has(cacheKey)) {
+    providerCache.set(cacheKey, factory(model));
+  }
+
+  return providerCache.get(cacheKey);
+}
+
+module.exports = {
+  getProvider,
+  SUPPORTED_PROVIDERS
+};
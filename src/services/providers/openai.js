@@ -0,0 +1,131 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./base');
+
+/**
+ * OpenAI Provider
+ * Chat Completions backend (e.g., gpt-4o-mini)
+ */
+
+class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.model - Model identifier
+   */
+  constructor({ apiKey, model }) {
+    super('openai', model);
+
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required but not configured');
+    }
+
+    this.client = new OpenAI({ apiKey });
+  }
+
+  /**
+   * Build Chat Completions parameters from a provider request
+   * @param {Object} request - Provider request
+   * @returns {Object} Chat Completions parameters
+   */
+  buildParams({ system, messages = [], temperature = 0.3, maxTokens, json = false }) {
+    const params = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: system
+        },
+        ...messages
+      ],
+      temperature
+    };
+
+    if (maxTokens) {
+      params.max_tokens = maxTokens;
+    }
+
+    if (json) {
+      params.response_format = { type: 'json_object' };
+    }
+
+    return params;
+  }
+
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildParams(request));
+
+    const content = response.choices[0]?.message?.content;
+    if (!content) {
+      throw new Error('No response content received from OpenAI');
+    }
+
+    return {
+      content,
+      model: response.model || this.model,
+      usage: this.readUsage(response.usage)
+    };
+  }
+
+  /**
+   * Convert Chat Completions usage into provider usage
+   * @param {Object} [usage] - Usage reported by OpenAI
+   * @returns {Object|null} Object with promptTokens and completionTokens
+   */
+  readUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    };
+  }
+
+  async stream(request) {
+    const response = await this.client.chat.completions.create({
+      ...this.buildParams(request),
+      stream: true,
+      // Usage arrives in a final chunk with no choices
+      stream_options: { include_usage: true }
+    });
+
+    const provider = this;
+    const stream = (async function* () {
+      for await (const chunk of response) {
+        if (chunk.model) {
+          stream.model = chunk.model;
+        }
+        if (chunk.usage) {
+          stream.usage = provider.readUsage(chunk.usage);
+        }
+
+        const content = chunk.choices[0]?.delta?.content;
+        if (content) {
+          yield content;
+        }
+      }
+    })();
+
+    stream.model = this.model;
+    stream.usage = null;
+
+    return stream;
+  }
+
+  describeError(error) {
+    if (error.code === 'insufficient_quota') {
+      return 'OpenAI API quota exceeded - check your billing';
+    } else if (error.code === 'invalid_api_key') {
+      return 'Invalid OpenAI API key - check your configuration';
+    } else if (error.code === 'rate_limit_exceeded') {
+      return 'OpenAI API rate limit exceeded - please try again later';
+    } else if (error.message && error.message.includes('timeout')) {
+      return 'OpenAI API request timed out - please try again';
+    }
+
+    return null;
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -24,6 +24,12 @@ class QueryHistoryService {
    * @param {number} queryData.rowCount - Number of rows returned
    * @param {boolean} queryData.success - Whether query was successful
    * @param {string} [queryData.errorMessage] - Error message if query failed
+   * @param {string} [queryData.runId] - Groups the attempts made for one request
+   * @param {number} [queryData.attemptNumber] - Attempt number within the run (default: 1)
+   * @param {boolean} [queryData.cacheHit] - Whether the SQL came from the generation cache
+   * @param {string} [queryData.answer] - Plain-language answer generated from the results
+   * @param {Object} [queryData.chart] - Recommended visualization ({ type, spec })
+   * @param {Object} [queryData.usage] - Token usage of the generation ({ model, promptTokens, completionTokens, cost })
    * @returns {Promise<Object>} Saved query history record
    */
   async saveQuery(queryData) {
@@ -39,6 +45,16 @@ class QueryHistoryService {
         row_count: queryData.rowCount,
         success: queryData.success,
         error_message: queryData.errorMessage || null,
+        answer: queryData.answer || null,
+        chart_type: queryData.chart?.type || null,
+        chart_spec: queryData.chart?.spec || null,
+        run_id: queryData.runId || null,
+        attempt_number: queryData.attemptNumber || 1,
+        cache_hit: queryData.cacheHit === true,
+        model: queryData.usage?.model || null,
+        prompt_tokens: queryData.usage?.promptTokens ?? null,
+        completion_tokens: queryData.usage?.completionTokens ?? null,
+        estimated_cost: queryData.usage?.cost ?? null,
         is_favorite: false,
         created_at: new Date().toISOString()
       };
@@ -63,6 +79,64 @@ class QueryHistoryService {
     }
   }
 
+  /**
+   * Save the token usage of a model call that has no query history row
+   * (clarifying questions, suggestions, explanations, annotation drafts, benchmark runs)
+   * @param {Object} usageData - Usage data to save
+   * @param {string} usageData.userId - User ID
+   * @param {string} usageData.workspaceId - Workspace ID
+   * @param {string} usageData.operation - What the model was called for (e.g. 'clarification', 'explain')
+   * @param {Object|null} usageData.usage - Token usage ({ model, promptTokens, completionTokens, cost })
+   * @returns {Promise<Object|null>} Saved usage record, or null when no model was called
+   */
+  async saveUsage(usageData) {
+    if (!usageData.usage?.model) {
+      return null;
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('ai_usage')
+        .insert([{
+          user_id: usageData.userId,
+          workspace_id: usageData.workspaceId,
+          operation: usageData.operation,
+          model: usageData.usage.model,
+          prompt_tokens: usageData.usage.promptTokens ?? null,
+          completion_tokens: usageData.usage.completionTokens ?? null,
+          estimated_cost: usageData.usage.cost ?? null,
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        console.error('Failed to save AI usage:', error.message);
+        throw new Error(`Failed to save AI usage: ${error.message}`);
+      }
+
+      return data;
+
+    } catch (error) {
+      console.error(`❌ Error saving ${usageData.operation} usage for user ${usageData.userId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the token usage of a model call that has no query history row, without waiting for it
+   * @param {string} userId - User ID
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} operation - What the model was called for (e.g. 'clarification', 'suggestions')
+   * @param {Object|null} usage - Token usage of the call
+   * @returns {void} Fire and forget - doesn't throw errors
+   */
+  recordUsage(userId, workspaceId, operation, usage) {
+    this.saveUsage({ userId, workspaceId, operation, usage }).catch(error => {
+      console.warn(`⚠️  Failed to record ${operation} usage:`, error.message);
+    });
+  }
+
   /**
    * Get query history for a user
    * @param {string} userId - User ID
@@ -95,6 +169,16 @@ class QueryHistoryService {
           row_count,
           success,
           error_message,
+          answer,
+          chart_type,
+          chart_spec,
+          run_id,
+          attempt_number,
+          cache_hit,
+          model,
+          prompt_tokens,
+          completion_tokens,
+          estimated_cost,
           is_favorite,
           created_at,
           workspaces(name, database_provider)
@@ -128,6 +212,42 @@ class QueryHistoryService {
     }
   }
 
+  /**
+   * Get successful queries for a workspace
+   * Used as a relevance signal for schema selection and as few-shot examples
+   * @param {string} workspaceId - Workspace ID
+   * @param {string} userId - User ID (workspace owner)
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit] - Limit number of results (default: 100)
+   * @returns {Promise<Array>} Array of { question, sql_query, is_favorite, created_at }, newest first
+   */
+  async getSuccessfulWorkspaceQueries(workspaceId, userId, options = {}) {
+    try {
+      const { limit = 100 } = options;
+
+      const { data, error } = await this.supabase
+        .from('query_history')
+        .select('question, sql_query, is_favorite, created_at')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId)
+        .eq('success', true)
+        .not('sql_query', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error('Error fetching successful workspace queries:', error.message);
+        throw new Error(`Failed to fetch successful workspace queries: ${error.message}`);
+      }
+
+      return data || [];
+
+    } catch (error) {
+      console.error(`❌ Error getting successful queries for workspace ${workspaceId}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get a specific query history record
    * @param {string} queryId - Query history ID
@@ -149,6 +269,16 @@ class QueryHistoryService {
           row_count,
           success,
           error_message,
+          answer,
+          chart_type,
+          chart_spec,
+          run_id,
+          attempt_number,
+          cache_hit,
+          model,
+          prompt_tokens,
+          completion_tokens,
+          estimated_cost,
           is_favorite,
           created_at,
           workspaces(name, database_provider)
@@ -255,6 +385,8 @@ class QueryHistoryService {
 
   /**
    * Get query statistics for a user
+   * Query counts cover the user's own queries; costStats cover every model call
+   * made in the workspaces the user owns, by any user
    * @param {string} userId - User ID
    * @param {Object} options - Query options
    * @param {string} [options.workspaceId] - Filter by workspace ID
@@ -310,6 +442,7 @@ class QueryHistoryService {
         averageExecutionTime,
         totalRowsReturned,
         providerStats,
+        costStats: this.buildCostStatistics(await this.getWorkspaceUsage(userId, workspaceId, startDateISO)),
         periodDays: days
       };
 
@@ -322,6 +455,108 @@ class QueryHistoryService {
     }
   }
 
+  /**
+   * Usage records of every model call in the workspaces a user owns
+   * Combines query history rows (operation 'query') with ai_usage rows
+   * @param {string} userId - Owner's user ID
+   * @param {string} [workspaceId] - Limit to one of the owner's workspaces
+   * @param {string} startDateISO - Earliest created_at to include
+   * @returns {Promise<Array<Object>>} Records with user_id, workspace_id, operation, model and usage columns
+   */
+  async getWorkspaceUsage(userId, workspaceId, startDateISO) {
+    const { data: workspaces, error: workspaceError } = await this.supabase
+      .from('workspaces')
+      .select('id')
+      .eq('user_id', userId);
+
+    if (workspaceError) {
+      console.error('Error fetching workspaces for usage statistics:', workspaceError.message);
+      throw new Error(`Failed to fetch query statistics: ${workspaceError.message}`);
+    }
+
+    const workspaceIds = (workspaces || [])
+      .map(workspace => workspace.id)
+      .filter(id => !workspaceId || id === workspaceId);
+
+    if (workspaceIds.length === 0) {
+      return [];
+    }
+
+    const usageColumns = 'user_id, workspace_id, model, prompt_tokens, completion_tokens, estimated_cost';
+    const [historyUsage, otherUsage] = await Promise.all([
+      this.supabase
+        .from('query_history')
+        .select(usageColumns)
+        .in('workspace_id', workspaceIds)
+        .not('model', 'is', null)
+        .gte('created_at', startDateISO),
+      this.supabase
+        .from('ai_usage')
+        .select(`${usageColumns}, operation`)
+        .in('workspace_id', workspaceIds)
+        .gte('created_at', startDateISO)
+    ]);
+
+    const error = historyUsage.error || otherUsage.error;
+
+    if (error) {
+      console.error('Error fetching usage statistics:', error.message);
+      throw new Error(`Failed to fetch query statistics: ${error.message}`);
+    }
+
+    return [
+      ...(historyUsage.data || []).map(record => ({ ...record, operation: 'query' })),
+      ...(otherUsage.data || [])
+    ];
+  }
+
+  /**
+   * Total token usage and estimated cost of usage records
+   * Only rows that called a model (model is set) are counted
+   * @param {Array<Object>} queries - Records with user_id, workspace_id, operation, model and usage columns
+   * @returns {Object} Totals plus byUser, byWorkspace, byModel and byOperation breakdowns of { queries, promptTokens, completionTokens, cost }
+   */
+  buildCostStatistics(queries) {
+    const emptyTotals = () => ({ queries: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+    const addTo = (totals, q) => {
+      totals.queries += 1;
+      totals.promptTokens += q.prompt_tokens || 0;
+      totals.completionTokens += q.completion_tokens || 0;
+      totals.cost += Number(q.estimated_cost) || 0;
+    };
+    const roundCost = totals => ({ ...totals, cost: Number(totals.cost.toFixed(6)) });
+
+    const totals = emptyTotals();
+    const breakdowns = { byUser: {}, byWorkspace: {}, byModel: {}, byOperation: {} };
+    const keys = { byUser: 'user_id', byWorkspace: 'workspace_id', byModel: 'model', byOperation: 'operation' };
+
+    queries
+      .filter(q => q.model)
+      .forEach(q => {
+        addTo(totals, q);
+
+        for (const [breakdown, column] of Object.entries(keys)) {
+          const key = q[column] || 'unknown';
+          breakdowns[breakdown][key] = breakdowns[breakdown][key] || emptyTotals();
+          addTo(breakdowns[breakdown][key], q);
+        }
+      });
+
+    const rounded = {};
+    for (const [breakdown, entries] of Object.entries(breakdowns)) {
+      rounded[breakdown] = Object.fromEntries(
+        Object.entries(entries).map(([key, value]) => [key, roundCost(value)])
+      );
+    }
+
+    return {
+      totalCost: Number(totals.cost.toFixed(6)),
+      totalPromptTokens: totals.promptTokens,
+      totalCompletionTokens: totals.completionTokens,
+      ...rounded
+    };
+  }
+
   /**
    * Test the query history service connection
    * @returns {Promise<boolean>} True if connection is successful
@@ -0,0 +1,266 @@
+const config = require('../config/env');
+const queryHistoryService = require('./queryHistory');
+
+/**
+ * Schema Selector Service
+ * Ranks tables by relevance to a question so large databases fit in the prompt
+ * Signals: table/column name matches, foreign-key neighbourhood of matching
+ * tables, and tables used by past successful queries in the workspace
+ */
+
+// Words too common in questions to say anything about which table is meant
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'for', 'to', 'by', 'with', 'and', 'or', 'from',
+  'at', 'as', 'is', 'are', 'was', 'were', 'be', 'me', 'my', 'we', 'our', 'i', 'it',
+  'show', 'list', 'give', 'get', 'find', 'what', 'which', 'who', 'how', 'many', 'much',
+  'all', 'each', 'per', 'top', 'last', 'first', 'this', 'that', 'than', 'more', 'less',
+  'number', 'count', 'total', 'average', 'sum', 'id'
+]);
+
+// Score weights for each ranking signal
+const WEIGHTS = {
+  tableNameMatch: 10,
+  tableTokenMatch: 3,
+  columnMatch: 1,
+  maxColumnScore: 4,
+  historyUse: 0.5,
+  maxHistoryScore: 5,
+  neighbourFactor: 0.5
+};
+
+// Number of ranked tables added when the model asks for more without naming any
+const EXPANSION_BATCH_SIZE = 10;
+
+class SchemaSelectorService {
+  /**
+   * Split text into lowercase singular word tokens
+   * @param {string} text - Text to tokenize (question, table or column name)
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text) {
+    return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+      .map(word => this.singularize(word));
+  }
+
+  /**
+   * Tokenize text, dropping words too common to distinguish one question from another
+   * @param {string} text - Text to tokenize
+   * @returns {Set<string>} Distinct keyword tokens
+   */
+  keywords(text) {
+    return new Set(this.tokenize(text).filter(token => !STOP_WORDS.has(token)));
+  }
+
+  /**
+   * Naive English singularization, enough to match "orders" to "order"
+   * @param {string} word - Lowercase word
+   * @returns {string} Singular form
+   */
+  singularize(word) {
+    if (word.length > 4 && word.endsWith('ies')) {
+      return `${word.slice(0, -3)}y`;
+    }
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+      return word.slice(0, -1);
+    }
+    return word;
+  }
+
+  /**
+   * Count how often each table appears in past successful SQL
+   * @param {Array<string>} tableNames - Table names in the schema
+   * @param {Array<string>} pastQueries - SQL of past successful queries
+   * @returns {Map<string, number>} Map of table name -> number of queries using it
+   */
+  countHistoryUsage(tableNames, pastQueries) {
+    const usage = new Map();
+
+    tableNames.forEach(tableName => {
+      const escaped = tableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`\\b${escaped}\\b`, 'i');
+      const count = pastQueries.filter(sql => pattern.test(sql)).length;
+
+      if (count > 0) {
+        usage.set(tableName, count);
+      }
+    });
+
+    return usage;
+  }
+
+  /**
+   * Build an undirected foreign-key adjacency map
+   * @param {Object} schema - Schema object from database.js
+   * @returns {Map<string, Set<string>>} Map of table name -> neighbouring table names
+   */
+  buildNeighbours(schema) {
+    const neighbours = new Map();
+    const link = (from, to) => {
+      if (!neighbours.has(from)) {
+        neighbours.set(from, new Set());
+      }
+      neighbours.get(from).add(to);
+    };
+
+    for (const [tableName, columns] of Object.entries(schema)) {
+      columns.forEach(column => {
+        if (column.references && schema[column.references.table] && column.references.table !== tableName) {
+          link(tableName, column.references.table);
+          link(column.references.table, tableName);
+        }
+      });
+    }
+
+    return neighbours;
+  }
+
+  /**
+   * Rank every table in the schema by relevance to the question
+   * @param {string} question - Natural language question
+   * @param {Object} schema - Schema object from database.js
+   * @param {Array<string>} [pastQueries] - SQL of past successful queries in the workspace
+   * @returns {Array<Object>} Array of { table, score }, most relevant first
+   */
+  rankTables(question, schema, pastQueries = []) {
+    const questionTokens = this.keywords(question);
+    const questionText = ` ${this.tokenize(question).join(' ')} `;
+    const tableNames = Object.keys(schema);
+    const historyUsage = this.countHistoryUsage(tableNames, pastQueries);
+
+    // Direct scores from name matching and history
+    const directScores = new Map();
+
+    tableNames.forEach(tableName => {
+      const tableTokens = this.tokenize(tableName);
+      let score = 0;
+
+      if (questionText.includes(` ${tableTokens.join(' ')} `)) {
+        score += WEIGHTS.tableNameMatch;
+      }
+
+      score += tableTokens
+        .filter(token => questionTokens.has(token))
+        .length * WEIGHTS.tableTokenMatch;
+
+      const columnScore = schema[tableName]
+        .filter(column => this.tokenize(column.name).some(token => questionTokens.has(token)))
+        .length * WEIGHTS.columnMatch;
+      score += Math.min(columnScore, WEIGHTS.maxColumnScore);
+
+      score += Math.min((historyUsage.get(tableName) || 0) * WEIGHTS.historyUse, WEIGHTS.maxHistoryScore);
+
+      directScores.set(tableName, score);
+    });
+
+    // Tables joined to relevant tables are likely needed for the join path
+    const neighbours = this.buildNeighbours(schema);
+
+    return tableNames
+      .map(tableName => {
+        const neighbourScores = Array.from(neighbours.get(tableName) || [])
+          .map(neighbour => directScores.get(neighbour));
+        const bestNeighbourScore = neighbourScores.length > 0 ? Math.max(...neighbourScores) : 0;
+
+        return {
+          table: tableName,
+          score: directScores.get(tableName) + bestNeighbourScore * WEIGHTS.neighbourFactor
+        };
+      })
+      .sort((a, b) => b.score - a.score || a.table.localeCompare(b.table));
+  }
+
+  /**
+   * Build a schema object containing only the given tables
+   * @param {Object} schema - Full schema object
+   * @param {Array<string>} tableNames - Tables to keep
+   * @returns {Object} Pruned schema object
+   */
+  pickTables(schema, tableNames) {
+    return tableNames.reduce((picked, tableName) => {
+      if (schema[tableName]) {
+        picked[tableName] = schema[tableName];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Select the tables to include in the prompt for a question
+   * Schemas with at most AI_SCHEMA_MAX_TABLES tables are returned unchanged
+   * @param {string} question - Natural language question
+   * @param {Object} schema - Full schema object from database.js
+   * @param {Object} context - Workspace context for the history signal
+   * @param {string} context.workspaceId - Workspace ID
+   * @param {string} context.userId - User ID
+   * @param {Array<Object>} [context.conversationHistory] - Prior conversation turns; their questions and SQL count towards relevance
+   * @returns {Promise<Object>} Selection with schema (pruned), fullSchema, selectedTables and omittedTables (ranked)
+   */
+  async selectSchema(question, schema, { workspaceId, userId, conversationHistory = [] }) {
+    const tableNames = Object.keys(schema);
+    const maxTables = config.AI_SCHEMA_MAX_TABLES;
+
+    if (tableNames.length <= maxTables) {
+      return {
+        schema,
+        fullSchema: schema,
+        selectedTables: tableNames,
+        omittedTables: []
+      };
+    }
+
+    // History is only a ranking signal, so selection continues without it
+    let pastQueries = [];
+    try {
+      const history = await queryHistoryService.getSuccessfulWorkspaceQueries(workspaceId, userId);
+      pastQueries = history.map(query => query.sql_query);
+    } catch (error) {
+      console.warn(`⚠️  Schema selection continuing without query history:`, error.message);
+    }
+
+    // Follow-up questions ("now break that down by month") rarely name their tables
+    const questionText = [...conversationHistory.map(turn => turn.question), question].join(' ');
+    pastQueries.push(...conversationHistory.map(turn => turn.sql));
+
+    const ranked = this.rankTables(questionText, schema, pastQueries).map(entry => entry.table);
+    const selectedTables = ranked.slice(0, maxTables);
+    const omittedTables = ranked.slice(maxTables);
+
+    console.log(`🎯 Selected ${selectedTables.length} of ${tableNames.length} tables for question: "${question}"`);
+
+    return {
+      schema: this.pickTables(schema, selectedTables),
+      fullSchema: schema,
+      selectedTables,
+      omittedTables
+    };
+  }
+
+  /**
+   * Expand a selection with tables the model asked for
+   * Unknown table names are ignored; if none are known, the next ranked batch is added
+   * @param {Object} selection - Selection from selectSchema
+   * @param {Array<string>} requestedTables - Table names requested by the model
+   * @returns {Object} Expanded selection
+   */
+  expandSelection(selection, requestedTables = []) {
+    const known = requestedTables.filter(tableName => selection.omittedTables.includes(tableName));
+    const added = known.length > 0
+      ? known
+      : selection.omittedTables.slice(0, EXPANSION_BATCH_SIZE);
+
+    const selectedTables = [...selection.selectedTables, ...added];
+
+    console.log(`🎯 Expanded schema selection with ${added.length} table(s): ${added.join(', ')}`);
+
+    return {
+      schema: this.pickTables(selection.fullSchema, selectedTables),
+      fullSchema: selection.fullSchema,
+      selectedTables,
+      omittedTables: selection.omittedTables.filter(tableName => !added.includes(tableName)),
+      addedTables: added
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SchemaSelectorService();
@@ -0,0 +1,379 @@
+const { Parser } = require('node-sql-parser');
+
+/**
+ * SQL Validator Service
+ * Checks generated SQL before it runs by parsing it into an AST and walking
+ * every node, instead of matching keywords in the text: a column named
+ * last_update is fine, while a data-modifying CTE or SELECT ... INTO is not.
+ * Only a single read-only SELECT statement is accepted. Rejections name the
+ * node that failed (its kind and path in the AST) and the reason.
+ */
+
+// Error code of rejected SQL
+const UNSAFE_SQL_CODE = 'UNSAFE_SQL';
+
+// Parser dialect of each workspace database provider
+const PARSER_DATABASES = {
+  postgresql: 'PostgresQL',
+  mysql: 'MySQL'
+};
+
+// PostgreSQL CTE materialization hints, which the parser does not read (they do not change what runs)
+const MATERIALIZED_HINT = /\bAS\s+(NOT\s+)?MATERIALIZED\s*\(/gi;
+
+// Parts of the SQL text that can't hold a keyword: string literals, quoted identifiers and comments
+const LITERALS = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|--[^\n]*|\/\*[\s\S]*?\*\//g;
+
+// Start of a CTE body: name AS [NOT] [MATERIALIZED] (
+const CTE_BODY_START = /\bAS\s*(?:NOT\s+)?(?:MATERIALIZED\s*)?\(\s*/gi;
+
+// Statements that write, at the start of a CTE body
+const WRITE_STATEMENT = /^(INSERT|UPDATE|DELETE|MERGE)\b/i;
+
+// PostgreSQL row locking clauses, which the parser does not read
+const LOCKING_CLAUSE = /\bFOR\s+(NO\s+KEY\s+UPDATE|KEY\s+SHARE|UPDATE|SHARE)\b/i;
+
+// FROM item alias with a column list, which the parser keeps in the alias: u(x, y, z)
+const ALIAS_COLUMN_LIST = /^([^(]*?)\s*\((.*)\)$/s;
+
+// AST keys that hold a statement (subqueries, CTE bodies, set operation branches)
+const STATEMENT_KEYS = new Set(['ast', 'stmt', '_next']);
+
+// Functions with side effects outside the result set: sleeping, locking, sequences,
+// server administration, file access, or running SQL on another connection
+const BLOCKED_FUNCTIONS = new Set([
+  // PostgreSQL
+  'pg_sleep', 'pg_sleep_for', 'pg_sleep_until',
+  'pg_advisory_lock', 'pg_advisory_lock_shared', 'pg_advisory_xact_lock', 'pg_advisory_xact_lock_shared',
+  'pg_try_advisory_lock', 'pg_try_advisory_lock_shared', 'pg_try_advisory_xact_lock', 'pg_try_advisory_xact_lock_shared',
+  'nextval', 'setval', 'set_config', 'pg_notify',
+  'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile',
+  'pg_switch_wal', 'pg_create_restore_point', 'pg_promote', 'pg_logical_emit_message',
+  'pg_create_physical_replication_slot', 'pg_create_logical_replication_slot', 'pg_drop_replication_slot',
+  'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file',
+  'lo_import', 'lo_export', 'lo_create', 'lo_unlink', 'lo_put', 'lo_from_bytea',
+  'dblink', 'dblink_exec', 'dblink_connect', 'dblink_send_query',
+  // MySQL
+  'sleep', 'benchmark', 'load_file', 'get_lock', 'release_lock', 'release_all_locks',
+  'master_pos_wait', 'source_pos_wait'
+]);
+
+// PostgreSQL functions that run SQL or read tables passed as a string: the tables
+// they read are not table references, so access policies could not check them
+const TEXT_QUERY_FUNCTIONS = new Set([
+  'query_to_xml', 'query_to_xml_and_xmlschema', 'query_to_xmlschema',
+  'table_to_xml', 'table_to_xml_and_xmlschema', 'table_to_xmlschema',
+  'cursor_to_xml', 'cursor_to_xmlschema',
+  'schema_to_xml', 'schema_to_xml_and_xmlschema', 'schema_to_xmlschema',
+  'database_to_xml', 'database_to_xml_and_xmlschema', 'database_to_xmlschema'
+]);
+
+class SQLValidatorService {
+  constructor() {
+    this.parser = new Parser();
+  }
+
+  /**
+   * Validate that SQL is a single read-only SELECT statement
+   * WITH queries (including RECURSIVE), set operations (UNION [ALL], INTERSECT,
+   * EXCEPT), subqueries, LATERAL joins and window functions are allowed as long
+   * as every statement in them is a SELECT
+   * @param {string} sql - SQL to validate
+   * @param {string} databaseType - Database type (default: 'postgresql')
+   * @returns {Object} Parsed statement (node-sql-parser AST)
+   * @throws {Error} 'Unsafe SQL rejected ...' with code UNSAFE_SQL and node ({ kind, path })
+   */
+  validate(sql, databaseType = 'postgresql') {
+    if (!sql || typeof sql !== 'string') {
+      throw new Error('SQL query must be a non-empty string');
+    }
+
+    const statements = this.parse(sql, databaseType);
+
+    if (statements.length !== 1) {
+      throw this.reject(
+        `${String(statements[1].type).toUpperCase()} statement`,
+        '[1]',
+        `only one statement is allowed, found ${statements.length}`
+      );
+    }
+
+    this.checkStatement(statements[0], '');
+    this.walk(statements[0], '');
+
+    return statements[0];
+  }
+
+  /**
+   * Parse SQL into its statements
+   * @param {string} sql - SQL to parse
+   * @param {string} databaseType - Database type
+   * @returns {Array<Object>} Statement ASTs
+   * @throws {Error} Rejection of the whole statement when it does not parse
+   */
+  parse(sql, databaseType) {
+    const database = PARSER_DATABASES[databaseType] || PARSER_DATABASES.postgresql;
+
+    try {
+      const ast = this.parser.astify(this.normalize(sql, databaseType), { database });
+      return Array.isArray(ast) ? ast : [ast];
+    } catch (error) {
+      throw this.rejectUnparsed(error, sql, databaseType);
+    }
+  }
+
+  /**
+   * List the tables and columns a query reads
+   * Column references are resolved to their table where the query qualifies them
+   * (aliases are replaced by the table name); unqualified ones have a null table
+   * @param {string} sql - Validated SQL
+   * @param {string} databaseType - Database type (default: 'postgresql')
+   * @returns {Object} Object with tables ({ schema, name }), columns ({ table, name }, name '*' for a star),
+   * derived (names of CTEs and FROM items that are not tables), aliases (Map of alias or table name -> table name)
+   * renamed (tables whose alias renames their columns, { alias, table, columns }) and textQueries
+   * (functions that read tables named in a string, e.g. table_to_xml)
+   * @throws {Error} Rejection of the whole statement when it does not parse
+   */
+  getReferences(sql, databaseType = 'postgresql') {
+    const database = PARSER_DATABASES[databaseType] || PARSER_DATABASES.postgresql;
+
+    let parsed;
+    try {
+      parsed = this.parser.parse(this.normalize(sql, databaseType), { database });
+    } catch (error) {
+      throw this.rejectUnparsed(error, sql, databaseType);
+    }
+
+    // Entries are '<statement type>::<schema or table>::<name>', with 'null' for a missing qualifier
+    const split = entry => {
+      const [, qualifier, name] = entry.split('::');
+      return { qualifier: qualifier === 'null' ? null : qualifier, name };
+    };
+
+    const tables = parsed.tableList.map(entry => {
+      const { qualifier, name } = split(entry);
+      return { schema: qualifier, name };
+    });
+
+    const columns = parsed.columnList.map(entry => {
+      const { qualifier, name } = split(entry);
+      return {
+        // Schema-qualified references keep the schema ('public.users')
+        table: qualifier ? qualifier.split('.').pop() : null,
+        name: name === '(.*)' ? '*' : name
+      };
+    });
+
+    const names = { derived: new Set(), aliases: new Map(), renamed: [], textQueries: [] };
+    this.collectNames(parsed.ast, names);
+
+    return { tables, columns, ...names };
+  }
+
+  /**
+   * Collect the names a query defines: CTEs, aliased subqueries and functions, and table aliases
+   * @param {*} node - AST node, list or value
+   * @param {Object} names - Receives derived (names that do not refer to a table), aliases (alias and
+   * table name -> table name), renamed (tables whose alias has a column list) and textQueries
+   */
+  collectNames(node, names) {
+    if (Array.isArray(node)) {
+      node.forEach(item => this.collectNames(item, names));
+      return;
+    }
+
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (node.type === 'function' && TEXT_QUERY_FUNCTIONS.has(this.getFunctionName(node))) {
+      names.textQueries.push(this.getFunctionName(node));
+    }
+
+    if (Array.isArray(node.with)) {
+      node.with.forEach(cte => names.derived.add(typeof cte.name === 'string' ? cte.name : cte.name.value));
+    }
+
+    if (Array.isArray(node.from)) {
+      node.from.forEach(item => {
+        const columnList = typeof item.as === 'string' ? item.as.match(ALIAS_COLUMN_LIST) : null;
+        const alias = columnList ? columnList[1] : item.as;
+
+        if (item.table) {
+          names.aliases.set(item.table, item.table);
+          if (alias) {
+            names.aliases.set(alias, item.table);
+          }
+          if (columnList) {
+            names.renamed.push({ alias, table: item.table, columns: columnList[2].split(',').map(column => column.trim()) });
+          }
+        } else if (alias) {
+          names.derived.add(alias);
+        }
+      });
+    }
+
+    Object.values(node).forEach(child => this.collectNames(child, names));
+  }
+
+  /**
+   * Prepare SQL for the parser
+   * @param {string} sql - SQL to parse
+   * @param {string} databaseType - Database type
+   * @returns {string} SQL the parser reads
+   */
+  normalize(sql, databaseType) {
+    // Trailing semicolons would parse as an empty second statement
+    const statementSQL = sql.trim().replace(/;+$/, '');
+
+    return databaseType === 'postgresql'
+      ? statementSQL.replace(MATERIALIZED_HINT, 'AS (')
+      : statementSQL;
+  }
+
+  /**
+   * Reject a statement that is not a read-only SELECT
+   * @param {Object} statement - Statement node
+   * @param {string} path - Path of the node in the AST
+   * @throws {Error} Rejection of the statement
+   */
+  checkStatement(statement, path) {
+    if (statement.type !== 'select') {
+      throw this.reject(
+        `${String(statement.type).toUpperCase()} statement`,
+        path,
+        'only SELECT statements are allowed'
+      );
+    }
+
+    // SELECT ... INTO creates a table (PostgreSQL) or writes a file or variables (MySQL)
+    if (statement.into && statement.into.position) {
+      throw this.reject('INTO clause', this.joinPath(path, 'into'), 'SELECT ... INTO writes the results instead of returning them');
+    }
+
+    // FOR UPDATE / FOR SHARE (MySQL) lock the rows read
+    if (statement.locking_read) {
+      throw this.reject(`${statement.locking_read} clause`, this.joinPath(path, 'locking_read'), 'locking rows is not allowed');
+    }
+  }
+
+  /**
+   * Check every node below a statement
+   * @param {*} node - AST node, list or value
+   * @param {string} path - Path of the node in the AST
+   * @throws {Error} Rejection of the first unsafe node found
+   */
+  walk(node, path) {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => this.walk(item, `${path}[${index}]`));
+      return;
+    }
+
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (node.type === 'function' || node.type === 'aggr_func') {
+      const name = this.getFunctionName(node);
+
+      if (BLOCKED_FUNCTIONS.has(name)) {
+        throw this.reject(`function ${name}`, path, 'it has side effects beyond reading data');
+      }
+
+      if (TEXT_QUERY_FUNCTIONS.has(name)) {
+        throw this.reject(`function ${name}`, path, 'it reads tables named in a string instead of the query');
+      }
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      // Subquery wrappers hold their statement under 'ast'; it is left out of paths
+      const childPath = key === 'ast' ? path : this.joinPath(path, key);
+
+      if (STATEMENT_KEYS.has(key) && child && typeof child === 'object' && typeof child.type === 'string') {
+        this.checkStatement(child, childPath);
+      }
+
+      this.walk(child, childPath);
+    });
+  }
+
+  /**
+   * Read the name of a function call node
+   * @param {Object} node - 'function' or 'aggr_func' node
+   * @returns {string} Lowercase function name, without its schema
+   */
+  getFunctionName(node) {
+    const parts = typeof node.name === 'string'
+      ? [node.name]
+      : ((node.name && node.name.name) || []).map(part => part.value);
+
+    return String(parts[parts.length - 1] || '').toLowerCase();
+  }
+
+  /**
+   * Append a key to an AST path
+   * @param {string} path - Parent path ('' for the statement)
+   * @param {string} key - Child key
+   * @returns {string} Child path
+   */
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  /**
+   * Build the rejection of SQL the parser could not read
+   * The parser fails on some writes and locks it has no syntax for (e.g., a
+   * PostgreSQL DELETE ... RETURNING CTE or FOR UPDATE); those are found in the
+   * text and rejected with the node they would have been
+   * @param {Error} error - Parser error
+   * @param {string} sql - SQL that failed to parse
+   * @param {string} databaseType - Database type
+   * @returns {Error} Rejection of the write or lock, or of the whole statement with the position of the parse error
+   */
+  rejectUnparsed(error, sql, databaseType) {
+    const text = sql.replace(LITERALS, ' ');
+
+    const cteBodies = [...text.matchAll(CTE_BODY_START)];
+    const writingIndex = cteBodies.findIndex(match => WRITE_STATEMENT.test(text.slice(match.index + match[0].length)));
+    if (writingIndex >= 0) {
+      const body = cteBodies[writingIndex];
+      const statement = text.slice(body.index + body[0].length).match(WRITE_STATEMENT)[1].toUpperCase();
+      return this.reject(`${statement} statement`, `with[${writingIndex}].stmt`, 'only SELECT statements are allowed');
+    }
+
+    const lock = text.match(LOCKING_CLAUSE);
+    if (lock) {
+      return this.reject(`FOR ${lock[1].replace(/\s+/g, ' ').toUpperCase()} clause`, 'locking_read', 'locking rows is not allowed');
+    }
+
+    const location = error.location ? ` at line ${error.location.start.line}, column ${error.location.start.column}` : '';
+    return this.reject('statement', '', `it could not be parsed as ${databaseType} SQL${location}`);
+  }
+
+  /**
+   * Whether an error is a rejection of unsafe SQL
+   * @param {Error} error - Error to test
+   * @returns {boolean} True if thrown by validate
+   */
+  isUnsafeError(error) {
+    return Boolean(error) && error.code === UNSAFE_SQL_CODE;
+  }
+
+  /**
+   * Build the error of a rejected node
+   * @param {string} kind - What the node is (e.g., 'DELETE statement', 'function pg_sleep')
+   * @param {string} path - Path of the node in the AST ('' for the statement)
+   * @param {string} reason - Why it was rejected
+   * @returns {Error} Error with code UNSAFE_SQL and node ({ kind, path })
+   */
+  reject(kind, path, reason) {
+    const location = path ? ` at ${path}` : '';
+    const error = new Error(`Unsafe SQL rejected: ${kind}${location} - ${reason}`);
+    error.code = UNSAFE_SQL_CODE;
+    error.node = { kind, path };
+    return error;
+  }
+}
+
+// Export singleton instance
+module.exports = new SQLValidatorService();
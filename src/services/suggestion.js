@@ -0,0 +1,126 @@
+const config = require('../config/env');
+const aiService = require('./ai');
+const schemaSelectorService = require('./schemaSelector');
+const annotationService = require('./annotation');
+const generationCacheService = require('./generationCache');
+
+/**
+ * Suggestion Service
+ * Suggests questions to ask: starter questions generated from a workspace's
+ * schema, and follow-up questions after a query ran, based on its returned
+ * columns and the conversation's earlier questions. Suggestions are cached
+ * with generated SQL (see generationCache), so they are reused until the
+ * workspace's schema fingerprint changes or they expire.
+ */
+
+class SuggestionService {
+  /**
+   * Build the cache key of a suggestion request
+   * @param {string} scope - 'starters' or 'followUps'
+   * @param {Object} workspace - Workspace record
+   * @param {Object} schema - Full schema object (fingerprinted)
+   * @param {string} question - Question followed up on ('' for starters)
+   * @param {Object} inputs - Other prompt inputs that change the suggestions
+   * @returns {string|null} Cache key, or null when caching is disabled
+   */
+  buildCacheKey(scope, workspace, schema, question, inputs) {
+    const provider = aiService.getProvider(aiService.getWorkspaceModelOptions(workspace));
+
+    return generationCacheService.buildKey({
+      scope,
+      workspaceId: workspace.id,
+      question,
+      schema,
+      model: `${provider.name}/${provider.model}`,
+      workspaceContext: { count: config.AI_SUGGESTION_COUNT, ...inputs }
+    });
+  }
+
+  /**
+   * Suggest starter questions for a workspace
+   * Large schemas are narrowed to the tables most used in past queries and most linked by foreign keys
+   * @param {Object} workspace - Workspace record (with database_provider)
+   * @param {string} userId - User ID
+   * @param {Object} schema - Full schema object from databaseService.getSchema
+   * @returns {Promise<Object>} Object with questions, cached and usage (null when cached)
+   */
+  async getStarterQuestions(workspace, userId, schema) {
+    if (config.AI_SUGGESTION_COUNT <= 0) {
+      return { questions: [], cached: false, usage: null };
+    }
+
+    const annotations = await annotationService.getPromptAnnotations(workspace.id, userId);
+    const cacheKey = this.buildCacheKey('starters', workspace, schema, '', { annotations });
+    const cached = generationCacheService.get(cacheKey);
+
+    if (cached) {
+      console.log(`🗄️  Reusing cached starter questions for workspace: ${workspace.id}`);
+      return { questions: cached.questions, cached: true, usage: null };
+    }
+
+    const selection = await schemaSelectorService.selectSchema('', schema, {
+      workspaceId: workspace.id,
+      userId
+    });
+
+    const suggested = await aiService.suggestQuestions(selection.schema, workspace.database_provider, {
+      ...aiService.getWorkspaceModelOptions(workspace),
+      count: config.AI_SUGGESTION_COUNT,
+      annotations
+    });
+
+    generationCacheService.set(cacheKey, workspace.id, { questions: suggested.questions });
+
+    return { questions: suggested.questions, cached: false, usage: suggested.usage };
+  }
+
+  /**
+   * Suggest follow-up questions after a query ran
+   * Suggestions are optional, so failures are logged and reported as no suggestions
+   * @param {Object} workspace - Workspace record (with database_provider)
+   * @param {Object} schema - Full schema object (fingerprinted for the cache)
+   * @param {Object} context - What the suggestions follow up on
+   * @param {Object} context.promptSchema - Schema sent to the model (the query's schema selection)
+   * @param {Object} [context.annotations] - Approved table and column descriptions
+   * @param {Object} context.lastQuery - Executed query ({ question, sql, columns, rowCount })
+   * @param {Array<string>} [context.priorQuestions] - Earlier questions of the conversation, oldest first
+   * @returns {Promise<Object>} Object with questions, cached and usage (null when cached or failed)
+   */
+  async getFollowUpQuestions(workspace, schema, { promptSchema, annotations, lastQuery, priorQuestions = [] }) {
+    if (config.AI_SUGGESTION_COUNT <= 0) {
+      return { questions: [], cached: false, usage: null };
+    }
+
+    try {
+      const cacheKey = this.buildCacheKey('followUps', workspace, schema, lastQuery.question, {
+        annotations,
+        columns: lastQuery.columns,
+        priorQuestions: priorQuestions.map(question => generationCacheService.normalizeQuestion(question))
+      });
+      const cached = generationCacheService.get(cacheKey);
+
+      if (cached) {
+        return { questions: cached.questions, cached: true, usage: null };
+      }
+
+      const suggested = await aiService.suggestQuestions(promptSchema, workspace.database_provider, {
+        ...aiService.getWorkspaceModelOptions(workspace),
+        count: config.AI_SUGGESTION_COUNT,
+        annotations,
+        lastQuery,
+        priorQuestions
+      });
+
+      generationCacheService.set(cacheKey, workspace.id, { questions: suggested.questions });
+
+      return { questions: suggested.questions, cached: false, usage: suggested.usage };
+
+    } catch (error) {
+      console.warn(`⚠️  Follow-up suggestions skipped:`, error.message);
+      return { questions: [], cached: false, usage: null };
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new SuggestionService();
@@ -58,7 +58,7 @@ class WorkspaceService {
     try {
       const { data, error } = await this.supabase
         .from('workspaces')
-        .select('id, name, database_provider, description, status, created_at, updated_at')
+        .select('id, name, database_provider, description, status, ai_provider, ai_model, few_shot_enabled, custom_instructions, created_at, updated_at')
         .eq('user_id', userId)
         .order('updated_at', { ascending: false });
 
@@ -84,9 +84,13 @@ class WorkspaceService {
    * @param {string} workspaceData.databaseProvider - Database provider (e.g., 'postgresql')
    * @param {string} workspaceData.connectionString - Database connection string
    * @param {string} [workspaceData.description] - Optional workspace description
+   * @param {string} [workspaceData.aiProvider] - Optional LLM provider override (e.g., 'anthropic')
+   * @param {string} [workspaceData.aiModel] - Optional LLM model override
+   * @param {boolean} [workspaceData.fewShotEnabled] - Whether past queries are used as prompt examples (default: true)
+   * @param {string} [workspaceData.customInstructions] - Optional instructions added to SQL generation prompts
    * @returns {Promise<Object>} Created workspace object
    */
-  async createWorkspace(userId, { name, databaseProvider, connectionString, description }) {
+  async createWorkspace(userId, { name, databaseProvider, connectionString, description, aiProvider, aiModel, fewShotEnabled, customInstructions }) {
     try {
       const workspaceData = {
         user_id: userId,
@@ -94,6 +98,10 @@ class WorkspaceService {
         database_provider: databaseProvider,
         connection_string: connectionString,
         description: description || null,
+        ai_provider: aiProvider || null,
+        ai_model: aiModel || null,
+        few_shot_enabled: fewShotEnabled !== false,
+        custom_instructions: customInstructions || null,
         status: 'active',
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -1,10 +1,67 @@
 const Joi = require('joi');
+const config = require('../config/env');
 
 /**
  * Validation schemas for API endpoints
  */
 
+// Workspace AI provider, which must have an API key configured on this deployment
+// (checked in one rule: values matching valid() would skip the key check)
+const aiProviderSchema = Joi.string()
+  .custom((value, helpers) => {
+    if (!['openai', 'anthropic'].includes(value)) {
+      return helpers.error('any.only');
+    }
+    return config.SELECTABLE_AI_PROVIDERS.includes(value) ? value : helpers.error('any.unconfigured');
+  })
+  .messages({
+    'any.only': 'aiProvider must be either "openai" or "anthropic"',
+    'any.unconfigured': 'aiProvider "{{#value}}" has no API key configured on this server'
+  });
+
+// Workspace AI model, which only makes sense together with its provider
+const aiModelSchema = Joi.when('aiProvider', {
+  is: Joi.string().required(),
+  then: Joi.string().max(100).trim()
+    .messages({
+      'string.max': 'aiModel must be 100 characters or less'
+    }),
+  otherwise: Joi.valid(null)
+    .messages({
+      'any.only': 'aiModel requires aiProvider'
+    })
+});
+
+// Clarifying question asked by the model, answered by the user
+const clarificationSchema = Joi.object({
+  question: Joi.string().min(1).max(500).trim().required()
+    .messages({
+      'string.max': 'clarification.question must be 500 characters or less',
+      'any.required': 'clarification.question is required',
+      'string.empty': 'clarification.question must be at least 1 character long'
+    }),
+  options: Joi.array().items(Joi.string().max(200)).max(10).optional()
+    .messages({
+      'array.max': 'clarification.options must have at most 10 items'
+    }),
+  answer: Joi.string().min(1).max(500).trim().required()
+    .messages({
+      'string.max': 'clarification.answer must be 500 characters or less',
+      'any.required': 'clarification.answer is required',
+      'string.empty': 'clarification.answer must be at least 1 character long'
+    })
+});
+
 // Query execution schemas
+// Number of SQL candidates to generate and rank (see candidateRanker)
+const candidatesSchema = Joi.number().integer().min(2).max(5)
+  .messages({
+    'number.base': 'candidates must be a number',
+    'number.integer': 'candidates must be an integer',
+    'number.min': 'candidates must be at least 2',
+    'number.max': 'candidates must be at most 5'
+  });
+
 const queryExecuteSchema = Joi.object({
   workspaceId: Joi.string().uuid().required()
     .messages({
@@ -17,6 +74,68 @@ const queryExecuteSchema = Joi.object({
       'string.max': 'question must be 500 characters or less',
       'any.required': 'question is required',
       'string.empty': 'question must be at least 1 character long'
+    }),
+  conversationId: Joi.string().uuid().optional()
+    .messages({
+      'string.guid': 'conversationId must be a valid UUID'
+    }),
+  includeAnswer: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'includeAnswer must be a boolean'
+    }),
+  includeSuggestions: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'includeSuggestions must be a boolean'
+    }),
+  candidates: candidatesSchema.optional(),
+  clarification: clarificationSchema.optional()
+});
+
+const queryExplainSchema = Joi.object({
+  workspaceId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  sql: Joi.string().min(1).max(20000).trim()
+    .messages({
+      'string.min': 'sql must be at least 1 character long',
+      'string.max': 'sql must be 20000 characters or less',
+      'string.empty': 'sql must be at least 1 character long'
+    }),
+  historyId: Joi.string().uuid()
+    .messages({
+      'string.guid': 'historyId must be a valid UUID'
+    })
+}).xor('sql', 'historyId')
+  .messages({
+    'object.missing': 'Either sql or historyId is required',
+    'object.xor': 'Provide either sql or historyId, not both'
+  });
+
+const queryTranslateSchema = Joi.object({
+  sql: Joi.string().min(1).max(20000).trim().required()
+    .messages({
+      'string.min': 'sql must be at least 1 character long',
+      'string.max': 'sql must be 20000 characters or less',
+      'string.empty': 'sql must be at least 1 character long',
+      'any.required': 'sql is required'
+    }),
+  from: Joi.string().valid('postgresql', 'mysql').required()
+    .messages({
+      'any.only': 'from must be either "postgresql" or "mysql"',
+      'any.required': 'from is required'
+    }),
+  // The target is the other supported dialect
+  to: Joi.string().required()
+    .when('from', {
+      is: 'postgresql',
+      then: Joi.valid('mysql'),
+      otherwise: Joi.valid('postgresql')
+    })
+    .messages({
+      'any.only': 'to must be the other dialect ("postgresql" or "mysql")',
+      'any.required': 'to is required'
     })
 });
 
@@ -43,9 +162,45 @@ const workspaceCreateSchema = Joi.object({
   description: Joi.string().max(500).optional().allow('').trim()
     .messages({
       'string.max': 'description must be 500 characters or less'
+    }),
+  aiProvider: aiProviderSchema.optional(),
+  aiModel: aiModelSchema.optional(),
+  fewShotEnabled: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'fewShotEnabled must be a boolean'
+    }),
+  customInstructions: Joi.string().max(4000).optional().allow('').trim()
+    .messages({
+      'string.max': 'customInstructions must be 4000 characters or less'
     })
 });
 
+const workspaceUpdateSchema = Joi.object({
+  name: Joi.string().min(1).max(100).trim().optional()
+    .messages({
+      'string.min': 'name must be at least 1 character long',
+      'string.max': 'name must be 100 characters or less',
+      'string.empty': 'name must be at least 1 character long'
+    }),
+  description: Joi.string().max(500).optional().allow('', null).trim()
+    .messages({
+      'string.max': 'description must be 500 characters or less'
+    }),
+  aiProvider: aiProviderSchema.optional().allow(null),
+  aiModel: aiModelSchema.optional().allow(null),
+  fewShotEnabled: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'fewShotEnabled must be a boolean'
+    }),
+  customInstructions: Joi.string().max(4000).optional().allow('', null).trim()
+    .messages({
+      'string.max': 'customInstructions must be 4000 characters or less'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one workspace field must be provided'
+  });
+
 const workspaceIdParamSchema = Joi.object({
   id: Joi.string().uuid().required()
     .messages({
@@ -55,6 +210,266 @@ const workspaceIdParamSchema = Joi.object({
     })
 });
 
+// Workspace glossary schemas
+const glossaryEntryCreateSchema = Joi.object({
+  kind: Joi.string().valid('term', 'metric').required()
+    .messages({
+      'any.only': 'kind must be either "term" or "metric"',
+      'any.required': 'kind is required'
+    }),
+  name: Joi.string().min(1).max(100).trim().required()
+    .messages({
+      'string.min': 'name must be at least 1 character long',
+      'string.max': 'name must be 100 characters or less',
+      'any.required': 'name is required',
+      'string.empty': 'name must be at least 1 character long'
+    }),
+  definition: Joi.string().min(1).max(1000).trim().required()
+    .messages({
+      'string.min': 'definition must be at least 1 character long',
+      'string.max': 'definition must be 1000 characters or less',
+      'any.required': 'definition is required',
+      'string.empty': 'definition must be at least 1 character long'
+    })
+});
+
+const glossaryEntryUpdateSchema = Joi.object({
+  kind: Joi.string().valid('term', 'metric').optional()
+    .messages({
+      'any.only': 'kind must be either "term" or "metric"'
+    }),
+  name: Joi.string().min(1).max(100).trim().optional()
+    .messages({
+      'string.min': 'name must be at least 1 character long',
+      'string.max': 'name must be 100 characters or less',
+      'string.empty': 'name must be at least 1 character long'
+    }),
+  definition: Joi.string().min(1).max(1000).trim().optional()
+    .messages({
+      'string.min': 'definition must be at least 1 character long',
+      'string.max': 'definition must be 1000 characters or less',
+      'string.empty': 'definition must be at least 1 character long'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one glossary field must be provided'
+  });
+
+const glossaryEntryParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  entryId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'entryId must be a valid UUID',
+      'any.required': 'entryId is required'
+    })
+});
+
+// Schema annotation schemas
+const annotationGetSchema = Joi.object({
+  status: Joi.string().valid('draft', 'approved').optional()
+    .messages({
+      'any.only': 'status must be either "draft" or "approved"'
+    })
+});
+
+const annotationSaveSchema = Joi.object({
+  table: Joi.string().min(1).max(255).trim().required()
+    .messages({
+      'string.max': 'table must be 255 characters or less',
+      'any.required': 'table is required',
+      'string.empty': 'table must be at least 1 character long'
+    }),
+  column: Joi.string().min(1).max(255).trim().optional().allow(null)
+    .messages({
+      'string.max': 'column must be 255 characters or less',
+      'string.empty': 'column must be at least 1 character long'
+    }),
+  description: Joi.string().min(1).max(1000).trim().required()
+    .messages({
+      'string.max': 'description must be 1000 characters or less',
+      'any.required': 'description is required',
+      'string.empty': 'description must be at least 1 character long'
+    })
+});
+
+const annotationUpdateSchema = Joi.object({
+  description: Joi.string().min(1).max(1000).trim().optional()
+    .messages({
+      'string.max': 'description must be 1000 characters or less',
+      'string.empty': 'description must be at least 1 character long'
+    }),
+  status: Joi.string().valid('draft', 'approved').optional()
+    .messages({
+      'any.only': 'status must be either "draft" or "approved"'
+    })
+}).min(1)
+  .messages({
+    'object.min': 'At least one annotation field must be provided'
+  });
+
+const annotationDraftSchema = Joi.object({
+  tables: Joi.array().items(Joi.string().min(1).max(255)).min(1).max(10).unique().optional()
+    .messages({
+      'array.min': 'tables must contain at least 1 table',
+      'array.max': 'tables must contain at most 10 tables',
+      'array.unique': 'tables must not contain duplicates'
+    })
+});
+
+const annotationParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  annotationId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'annotationId must be a valid UUID',
+      'any.required': 'annotationId is required'
+    })
+});
+
+// Access policy schemas
+const accessPolicyCreateSchema = Joi.object({
+  effect: Joi.string().valid('allow', 'deny').required()
+    .messages({
+      'any.only': 'effect must be either "allow" or "deny"',
+      'any.required': 'effect is required'
+    }),
+  table: Joi.string().min(1).max(255).trim().required()
+    .messages({
+      'string.max': 'table must be 255 characters or less',
+      'any.required': 'table is required',
+      'string.empty': 'table must be at least 1 character long'
+    }),
+  column: Joi.string().min(1).max(255).trim().optional().allow(null)
+    .messages({
+      'string.max': 'column must be 255 characters or less',
+      'string.empty': 'column must be at least 1 character long'
+    })
+});
+
+const accessPolicyParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  policyId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'policyId must be a valid UUID',
+      'any.required': 'policyId is required'
+    })
+});
+
+// Benchmark schemas
+const benchmarkExpectedRowsSchema = Joi.array()
+  .items(Joi.alternatives().try(Joi.array(), Joi.object()))
+  .max(10000)
+  .messages({
+    'array.base': 'expectedRows must be an array of rows',
+    'array.max': 'expectedRows must contain at most 10000 rows',
+    'alternatives.match': 'each expected row must be an array of values or an object'
+  });
+
+const benchmarkCaseCreateSchema = Joi.object({
+  question: Joi.string().min(1).max(1000).trim().required()
+    .messages({
+      'string.min': 'question must be at least 1 character long',
+      'string.max': 'question must be 1000 characters or less',
+      'any.required': 'question is required',
+      'string.empty': 'question must be at least 1 character long'
+    }),
+  expectedSql: Joi.string().min(1).max(20000).trim()
+    .messages({
+      'string.max': 'expectedSql must be 20000 characters or less',
+      'string.empty': 'expectedSql must be at least 1 character long'
+    }),
+  expectedRows: benchmarkExpectedRowsSchema,
+  ordered: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'ordered must be a boolean'
+    })
+}).xor('expectedSql', 'expectedRows')
+  .messages({
+    'object.missing': 'Either expectedSql or expectedRows is required',
+    'object.xor': 'Provide either expectedSql or expectedRows, not both'
+  });
+
+const benchmarkCaseUpdateSchema = Joi.object({
+  question: Joi.string().min(1).max(1000).trim().optional()
+    .messages({
+      'string.min': 'question must be at least 1 character long',
+      'string.max': 'question must be 1000 characters or less',
+      'string.empty': 'question must be at least 1 character long'
+    }),
+  expectedSql: Joi.string().min(1).max(20000).trim()
+    .messages({
+      'string.max': 'expectedSql must be 20000 characters or less',
+      'string.empty': 'expectedSql must be at least 1 character long'
+    }),
+  expectedRows: benchmarkExpectedRowsSchema,
+  ordered: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'ordered must be a boolean'
+    })
+}).min(1)
+  .oxor('expectedSql', 'expectedRows')
+  .messages({
+    'object.min': 'At least one benchmark case field must be provided',
+    'object.oxor': 'Provide either expectedSql or expectedRows, not both'
+  });
+
+const benchmarkCaseParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  caseId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'caseId must be a valid UUID',
+      'any.required': 'caseId is required'
+    })
+});
+
+const benchmarkRunCreateSchema = Joi.object({
+  label: Joi.string().max(100).trim().optional()
+    .messages({
+      'string.max': 'label must be 100 characters or less'
+    }),
+  caseIds: Joi.array().items(Joi.string().uuid()).min(1).unique().optional()
+    .messages({
+      'array.min': 'caseIds must contain at least 1 case',
+      'array.unique': 'caseIds must not contain duplicates',
+      'string.guid': 'caseIds must contain valid UUIDs'
+    })
+});
+
+const benchmarkRunParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  runId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'runId must be a valid UUID',
+      'any.required': 'runId is required'
+    })
+});
+
+const benchmarkDiffSchema = Joi.object({
+  baseRunId: Joi.string().uuid().optional()
+    .messages({
+      'string.guid': 'baseRunId must be a valid UUID'
+    })
+});
+
 // Query history schemas
 const queryHistoryGetSchema = Joi.object({
   workspaceId: Joi.string().uuid().optional()
@@ -103,11 +518,96 @@ const queryHistoryStatsSchema = Joi.object({
     })
 });
 
+// Conversation schemas
+const conversationCreateSchema = Joi.object({
+  workspaceId: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID',
+      'any.required': 'workspaceId is required'
+    }),
+  title: Joi.string().max(100).optional().trim()
+    .messages({
+      'string.max': 'title must be 100 characters or less'
+    })
+});
+
+const conversationGetSchema = Joi.object({
+  workspaceId: Joi.string().uuid().optional()
+    .messages({
+      'string.guid': 'workspaceId must be a valid UUID'
+    }),
+  limit: Joi.number().integer().min(1).max(100).optional()
+    .messages({
+      'number.base': 'limit must be a number',
+      'number.integer': 'limit must be an integer',
+      'number.min': 'limit must be at least 1',
+      'number.max': 'limit must be 100 or less'
+    }),
+  offset: Joi.number().integer().min(0).optional()
+    .messages({
+      'number.base': 'offset must be a number',
+      'number.integer': 'offset must be an integer',
+      'number.min': 'offset must be 0 or greater'
+    })
+});
+
+const conversationIdParamSchema = Joi.object({
+  id: Joi.string().uuid().required()
+    .messages({
+      'string.guid': 'conversationId must be a valid UUID',
+      'any.required': 'conversationId is required',
+      'string.base': 'conversationId must be a valid UUID'
+    })
+});
+
+const conversationMessageSchema = Joi.object({
+  question: Joi.string().min(1).max(500).trim().required()
+    .messages({
+      'string.min': 'question must be at least 1 character long',
+      'string.max': 'question must be 500 characters or less',
+      'any.required': 'question is required',
+      'string.empty': 'question must be at least 1 character long'
+    }),
+  includeAnswer: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'includeAnswer must be a boolean'
+    }),
+  includeSuggestions: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'includeSuggestions must be a boolean'
+    }),
+  candidates: candidatesSchema.optional(),
+  clarification: clarificationSchema.optional()
+});
+
 module.exports = {
   queryExecuteSchema,
+  queryExplainSchema,
+  queryTranslateSchema,
   workspaceCreateSchema,
+  workspaceUpdateSchema,
   workspaceIdParamSchema,
+  glossaryEntryCreateSchema,
+  glossaryEntryUpdateSchema,
+  glossaryEntryParamSchema,
+  annotationGetSchema,
+  annotationSaveSchema,
+  annotationUpdateSchema,
+  annotationDraftSchema,
+  annotationParamSchema,
+  accessPolicyCreateSchema,
+  accessPolicyParamSchema,
+  benchmarkCaseCreateSchema,
+  benchmarkCaseUpdateSchema,
+  benchmarkCaseParamSchema,
+  benchmarkRunCreateSchema,
+  benchmarkRunParamSchema,
+  benchmarkDiffSchema,
   queryHistoryGetSchema,
   queryHistoryIdParamSchema,
-  queryHistoryStatsSchema
+  queryHistoryStatsSchema,
+  conversationCreateSchema,
+  conversationGetSchema,
+  conversationIdParamSchema,
+  conversationMessageSchema
 };
@@ -0,0 +1,106 @@
+// The service loads the Supabase client, which validates the environment; no request is made
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+process.env.ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS || 'http://localhost:3000';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-service-role-key';
+process.env.AI_PROVIDER = process.env.AI_PROVIDER || 'fixture';
+
+const accessPolicyService = require('../src/services/accessPolicy');
+
+/**
+ * Access Policy Tests
+ *
+ * Queries against a workspace with policies may only read visible tables and
+ * columns, whatever names the query gives them.
+ */
+
+const schema = {
+  users: [{ name: 'id' }, { name: 'name' }, { name: 'email' }],
+  orders: [{ name: 'id' }, { name: 'user_id' }, { name: 'total' }],
+  audit: [{ name: 'id' }, { name: 'action' }]
+};
+
+const policy = accessPolicyService.buildPolicy([
+  { effect: 'deny', table_name: 'users', column_name: 'email' },
+  { effect: 'deny', table_name: 'audit', column_name: null }
+], schema);
+
+/**
+ * Run the policy check and return its rejection
+ * @param {string} sql - SQL to check
+ * @returns {Error|null} Rejection, or null when the query is allowed
+ */
+function getRejection(sql) {
+  try {
+    accessPolicyService.checkQuery(sql, 'postgresql', policy);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+describe('accessPolicy.checkQuery', () => {
+  test.each([
+    'SELECT id, name FROM users',
+    'SELECT u.name, o.total FROM users u JOIN orders o ON o.user_id = u.id',
+    'SELECT a FROM (SELECT name AS a FROM users) AS s(a)'
+  ])('allows %s', sql => {
+    expect(getRejection(sql)).toBeNull();
+  });
+
+  test.each([
+    ['SELECT email FROM users', 'column users.email is hidden'],
+    ['SELECT * FROM users', '* would read hidden columns of table users'],
+    ['SELECT a FROM (SELECT email AS a FROM users) AS s(a)', 'column users.email is hidden']
+  ])('rejects %s', (sql, reason) => {
+    const error = getRejection(sql);
+
+    expect(error.code).toBe('ACCESS_POLICY_VIOLATION');
+    expect(error.message).toContain(reason);
+  });
+
+  test.each([
+    'SELECT z FROM users AS u(x, y, z)',
+    'SELECT u.z FROM users u (x, y, z)',
+    'SELECT x FROM orders AS o(x)'
+  ])('rejects a table alias with a column list in %s', sql => {
+    const error = getRejection(sql);
+
+    expect(error.code).toBe('ACCESS_POLICY_VIOLATION');
+    expect(error.message).toContain('renames the columns of table');
+  });
+
+  test.each([
+    "SELECT table_to_xml('audit', true, false, '')",
+    "SELECT table_to_xmlschema('users', true, false, '')",
+    "SELECT id FROM orders WHERE total > 0 AND cursor_to_xml('c', 10, true, false, '') IS NOT NULL",
+    "SELECT schema_to_xml('public', true, false, '')",
+    "SELECT pg_catalog.database_to_xml(true, false, '')",
+    "SELECT query_to_xml('SELECT email FROM users', true, false, '')"
+  ])('rejects a function reading tables named in a string in %s', sql => {
+    const error = getRejection(sql);
+
+    expect(error.code).toBe('ACCESS_POLICY_VIOLATION');
+    expect(error.message).toContain('reads tables named in a string');
+  });
+});
+
+describe('accessPolicy.isAnnotationVisible', () => {
+  test.each([
+    [{ table_name: 'users', column_name: null }, true],
+    [{ table_name: 'users', column_name: 'name' }, true],
+    [{ table_name: 'users', column_name: 'email' }, false],
+    [{ table_name: 'Users', column_name: 'Email' }, false],
+    [{ table_name: 'audit', column_name: null }, false],
+    [{ table_name: 'audit', column_name: 'action' }, false]
+  ])('%o is visible: %s', (annotation, visible) => {
+    expect(accessPolicyService.isAnnotationVisible(policy, annotation)).toBe(visible);
+  });
+
+  test('needs no schema to hide annotations', () => {
+    const schemaless = accessPolicyService.buildPolicy([{ effect: 'deny', table_name: 'users', column_name: 'email' }], {});
+
+    expect(accessPolicyService.isAnnotationVisible(schemaless, { table_name: 'users', column_name: 'email' })).toBe(false);
+    expect(accessPolicyService.isAnnotationVisible(schemaless, { table_name: 'users', column_name: null })).toBe(true);
+  });
+});
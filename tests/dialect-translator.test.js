@@ -0,0 +1,182 @@
+const dialectTranslatorService = require('../src/services/dialectTranslator');
+
+/**
+ * Dialect Translator Tests
+ *
+ * Each supported construct is translated to the target dialect's equivalent,
+ * and constructs without an exact equivalent are reported in warnings rather
+ * than passed through silently.
+ */
+
+/**
+ * Translate SQL and keep only what the tests compare
+ * @param {string} sql - SQL to translate
+ * @param {string} from - Source dialect
+ * @param {string} to - Target dialect
+ * @returns {Object} Object with sql and warnings (constructs only)
+ */
+function translate(sql, from, to) {
+  const translated = dialectTranslatorService.translate(sql, from, to);
+  return { sql: translated.sql, warnings: translated.warnings.map(warning => warning.construct) };
+}
+
+describe('dialectTranslator', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  describe('PostgreSQL to MySQL', () => {
+    test.each([
+      ['quoted identifiers', 'SELECT "Order Id", "a""b" FROM "Orders"', 'SELECT `Order Id`, `a"b` FROM `Orders`', []],
+      ['string escapes', "SELECT 'it''s', 'a\\b', E'line\\nbreak'", "SELECT 'it''s', 'a\\\\b', 'line\\nbreak'", []],
+      ['concatenation', "SELECT first_name || ' ' || last_name FROM users", "SELECT CONCAT(first_name, ' ', last_name) FROM users", []],
+      ['concatenation next to arithmetic', 'SELECT a || b + 1 FROM t', 'SELECT CONCAT(a, b) + 1 FROM t', ['||']],
+      [
+        ':: casts',
+        'SELECT id::text, price::numeric(10, 2), n::bigint, x::float8, d::date, j::jsonb, u::uuid FROM t',
+        'SELECT CAST(id AS CHAR), CAST(price AS DECIMAL(10,2)), CAST(n AS SIGNED), CAST(x AS DOUBLE), CAST(d AS DATE), CAST(j AS JSON), CAST(u AS CHAR(36)) FROM t',
+        []
+      ],
+      ['timestamptz casts', 'SELECT ts::timestamptz FROM t', 'SELECT CAST(ts AS DATETIME) FROM t', ['timestamptz']],
+      ['boolean casts', "SELECT 'true'::boolean, flag::boolean FROM t", 'SELECT TRUE, (flag <> 0) FROM t', ['boolean']],
+      ['CAST calls', 'SELECT CAST(id AS text) FROM t', 'SELECT CAST(id AS CHAR) FROM t', []],
+      ['unknown types', 'SELECT x::money FROM t', 'SELECT CAST(x AS money) FROM t', ['money']],
+      [
+        'date_trunc',
+        "SELECT date_trunc('day', created_at), date_trunc('week', created_at), date_trunc('month', created_at) FROM o",
+        "SELECT DATE(created_at), DATE_SUB(DATE(created_at), INTERVAL WEEKDAY(created_at) DAY), DATE_FORMAT(created_at, '%Y-%m-01') FROM o",
+        ["date_trunc('month', ...)"]
+      ],
+      ['date_trunc with a computed unit', 'SELECT date_trunc(unit, created_at) FROM o', 'SELECT date_trunc(unit, created_at) FROM o', ['date_trunc']],
+      ['date_part', "SELECT date_part('dow', d), date_part('year', d) FROM o", 'SELECT (DAYOFWEEK(d) - 1), EXTRACT(YEAR FROM d) FROM o', []],
+      [
+        'EXTRACT',
+        'SELECT EXTRACT(DOW FROM d), EXTRACT(YEAR FROM d), EXTRACT(CENTURY FROM d) FROM o',
+        'SELECT (DAYOFWEEK(d) - 1), EXTRACT(YEAR FROM d), EXTRACT(CENTURY FROM d) FROM o',
+        ['EXTRACT(CENTURY ...)']
+      ],
+      ['to_char', "SELECT to_char(d, 'YYYY-MM-DD HH24:MI:SS') FROM o", "SELECT DATE_FORMAT(d, '%Y-%m-%d %H:%i:%s') FROM o", []],
+      ['to_timestamp', "SELECT to_timestamp(epoch), to_timestamp(s, 'YYYY') FROM o", "SELECT FROM_UNIXTIME(epoch), to_timestamp(s, 'YYYY') FROM o", ['to_timestamp']],
+      ['string_agg', "SELECT string_agg(name, ', ' ORDER BY name) FROM t", "SELECT GROUP_CONCAT(name ORDER BY name SEPARATOR ', ') FROM t", []],
+      ['length, random and now', 'SELECT length(name), random(), now() FROM t', 'SELECT CHAR_LENGTH(name), RAND(), NOW() FROM t', []],
+      ['PostgreSQL-only functions', 'SELECT generate_series(1, 3)', 'SELECT generate_series(1, 3)', ['generate_series()']],
+      [
+        'intervals',
+        "SELECT NOW() - INTERVAL '7 days', INTERVAL '2 hours', INTERVAL '1' DAY",
+        "SELECT NOW() - INTERVAL 7 DAY, INTERVAL 2 HOUR, INTERVAL '1' DAY",
+        []
+      ],
+      ['mixed-unit intervals', "SELECT INTERVAL '1 day 2 hours'", "SELECT INTERVAL '1 day 2 hours'", ["INTERVAL '1 day 2 hours'"]],
+      ['date minus an integer', 'SELECT * FROM o WHERE created_at >= CURRENT_DATE - 30', 'SELECT * FROM o WHERE created_at >= CURRENT_DATE - INTERVAL 30 DAY', []],
+      ['cast date plus an integer', 'SELECT d::date + 7 FROM o', 'SELECT CAST(d AS DATE) + INTERVAL 7 DAY FROM o', []],
+      ['date minus a date', 'SELECT CURRENT_DATE - shipped_at::date FROM o', 'SELECT CURRENT_DATE - CAST(shipped_at AS DATE) FROM o', ['date - ...']],
+      ['date minus an interval', "SELECT CURRENT_DATE - INTERVAL '30 days'", 'SELECT CURRENT_DATE - INTERVAL 30 DAY', []],
+      ['integer arithmetic', 'SELECT 5 - 3, a - 1 FROM t', 'SELECT 5 - 3, a - 1 FROM t', []],
+      ['COUNT(*) FILTER', "SELECT COUNT(*) FILTER (WHERE status = 'paid') FROM o", "SELECT COUNT(CASE WHEN status = 'paid' THEN 1 END) FROM o", []],
+      ['SUM FILTER without a space', 'SELECT SUM(amount) FILTER(WHERE paid) FROM o', 'SELECT SUM(CASE WHEN paid THEN amount END) FROM o', []],
+      ['COUNT(DISTINCT) FILTER', 'SELECT COUNT(DISTINCT user_id) FILTER (WHERE paid) FROM o', 'SELECT COUNT(DISTINCT CASE WHEN paid THEN user_id END) FROM o', []],
+      [
+        'FILTER with translated expressions',
+        'SELECT AVG(total) FILTER (WHERE created_at >= CURRENT_DATE - 7 AND name ILIKE \'a%\') FROM o',
+        "SELECT AVG(CASE WHEN created_at >= CURRENT_DATE - INTERVAL 7 DAY AND name LIKE 'a%' THEN total END) FROM o",
+        ['ILIKE']
+      ],
+      ['FILTER on other aggregates', 'SELECT array_agg(id) FILTER (WHERE paid) FROM o', 'SELECT array_agg(id) FILTER (WHERE paid) FROM o', ['array_agg(...) FILTER', 'array_agg()']],
+      ['LIMIT and OFFSET', 'SELECT * FROM t LIMIT 10 OFFSET 20', 'SELECT * FROM t LIMIT 10 OFFSET 20', []],
+      ['OFFSET without LIMIT', 'SELECT * FROM t OFFSET 5', 'SELECT * FROM t LIMIT 18446744073709551615 OFFSET 5', []],
+      ['FETCH FIRST', 'SELECT * FROM t FETCH FIRST 3 ROWS ONLY', 'SELECT * FROM t LIMIT 3', []],
+      ['FETCH WITH TIES', 'SELECT * FROM t ORDER BY a FETCH FIRST 3 ROWS WITH TIES', 'SELECT * FROM t ORDER BY a LIMIT 3', ['FETCH ... WITH TIES']],
+      ['ILIKE', "SELECT * FROM t WHERE name ILIKE '%a%'", "SELECT * FROM t WHERE name LIKE '%a%'", ['ILIKE']],
+      ['regular expression operators', "SELECT * FROM t WHERE name ~ '^a' AND name !~* 'b'", "SELECT * FROM t WHERE name REGEXP '^a' AND name NOT REGEXP 'b'", ['~']],
+      ['DISTINCT ON', 'SELECT DISTINCT ON (user_id) * FROM t', 'SELECT DISTINCT ON (user_id) * FROM t', ['DISTINCT ON']],
+      ['numbered parameters', 'SELECT * FROM t WHERE id = $1', 'SELECT * FROM t WHERE id = $1', ['$1']],
+      ['comments', 'SELECT 1 --comment', 'SELECT 1 -- comment', []]
+    ])('%s', (name, sql, expectedSQL, expectedWarnings) => {
+      expect(translate(sql, 'postgresql', 'mysql')).toEqual({ sql: expectedSQL, warnings: expectedWarnings });
+    });
+  });
+
+  describe('MySQL to PostgreSQL', () => {
+    test.each([
+      ['quoted identifiers', 'SELECT `Order Id` FROM `Orders`', 'SELECT "Order Id" FROM "Orders"', []],
+      ['string escapes', "SELECT \"it's\", 'a\\'b', 'tab\\there'", "SELECT 'it''s', 'a''b', E'tab\\there'", []],
+      ['CONCAT', "SELECT CONCAT(first_name, ' ', last_name) FROM users", "SELECT (first_name || ' ' || last_name) FROM users", []],
+      [
+        'casts',
+        'SELECT CAST(id AS CHAR), CAST(x AS DECIMAL(10,2)), CAST(d AS DATETIME) FROM t',
+        'SELECT CAST(id AS TEXT), CAST(x AS NUMERIC(10,2)), CAST(d AS TIMESTAMP) FROM t',
+        []
+      ],
+      ['unsigned casts', 'SELECT CAST(n AS UNSIGNED) FROM t', 'SELECT CAST(n AS BIGINT) FROM t', ['UNSIGNED']],
+      ['DATE_FORMAT', "SELECT DATE_FORMAT(d, '%Y-%m-%d %H:%i:%s') FROM o", "SELECT TO_CHAR(d, 'YYYY-MM-DD HH24:MI:SS') FROM o", []],
+      ['DATE_FORMAT specifiers without an equivalent', "SELECT DATE_FORMAT(d, '%U') FROM o", "SELECT TO_CHAR(d, '') FROM o", ['DATE_FORMAT specifier %U']],
+      [
+        'DATE_ADD, DATE_SUB and DATEDIFF',
+        'SELECT DATE_ADD(d, INTERVAL 7 DAY), DATE_SUB(d, 3), DATEDIFF(a, b) FROM o',
+        "SELECT (d + INTERVAL '7 days'), (d - (3) * INTERVAL '1 day'), (CAST(a AS DATE) - CAST(b AS DATE)) FROM o",
+        []
+      ],
+      [
+        'date part functions',
+        'SELECT YEAR(d), MONTH(d), DAYOFWEEK(d) FROM o',
+        'SELECT EXTRACT(YEAR FROM d), EXTRACT(MONTH FROM d), (EXTRACT(DOW FROM d) + 1) FROM o',
+        []
+      ],
+      ['WEEK', 'SELECT WEEK(d) FROM o', 'SELECT EXTRACT(WEEK FROM d) FROM o', ['WEEK()']],
+      [
+        'current date and time functions',
+        'SELECT CURDATE(), CURTIME(), NOW(), UNIX_TIMESTAMP(), FROM_UNIXTIME(n) FROM o',
+        'SELECT CURRENT_DATE, CURRENT_TIME, NOW(), EXTRACT(EPOCH FROM NOW()), TO_TIMESTAMP(n) FROM o',
+        []
+      ],
+      ['formatted FROM_UNIXTIME', "SELECT FROM_UNIXTIME(n, '%Y') FROM o", 'SELECT TO_TIMESTAMP(n) FROM o', ['FROM_UNIXTIME(value, format)']],
+      [
+        'IFNULL, IF and DATE',
+        "SELECT IFNULL(a, 0), IF(a > 1, 'x', 'y'), DATE(ts) FROM t",
+        "SELECT COALESCE(a, 0), CASE WHEN a > 1 THEN 'x' ELSE 'y' END, CAST(ts AS DATE) FROM t",
+        []
+      ],
+      [
+        'GROUP_CONCAT',
+        "SELECT GROUP_CONCAT(DISTINCT name ORDER BY name SEPARATOR '; ') FROM t",
+        "SELECT STRING_AGG(DISTINCT CAST(name AS TEXT), '; ' ORDER BY name) FROM t",
+        []
+      ],
+      ['GROUP_CONCAT of several expressions', 'SELECT GROUP_CONCAT(a, b) FROM t', 'SELECT GROUP_CONCAT(a, b) FROM t', ['GROUP_CONCAT()']],
+      ['LENGTH and RAND', 'SELECT LENGTH(name), RAND() FROM t', 'SELECT OCTET_LENGTH(name), RANDOM() FROM t', []],
+      ['seeded RAND', 'SELECT RAND(42) FROM t', 'SELECT RANDOM() FROM t', ['RAND(seed)']],
+      ['MySQL-only functions', "SELECT FIND_IN_SET('a', tags) FROM t", "SELECT FIND_IN_SET('a', tags) FROM t", ['FIND_IN_SET()']],
+      [
+        'intervals',
+        'SELECT NOW() - INTERVAL 7 DAY, INTERVAL 1 QUARTER, INTERVAL n HOUR',
+        "SELECT NOW() - INTERVAL '7 days', INTERVAL '3 months', (n) * INTERVAL '1 hour'",
+        []
+      ],
+      ['compound interval units', "SELECT INTERVAL '1:30' HOUR_MINUTE", "SELECT INTERVAL '1:30' HOUR_MINUTE", ['INTERVAL ... HOUR_MINUTE']],
+      ['LIMIT offset, count', 'SELECT * FROM t LIMIT 20, 10', 'SELECT * FROM t LIMIT 10 OFFSET 20', []],
+      ['LIKE', "SELECT * FROM t WHERE a LIKE 'x%'", "SELECT * FROM t WHERE a ILIKE 'x%'", ['LIKE']],
+      ['REGEXP and RLIKE', "SELECT * FROM t WHERE b NOT REGEXP '^a' AND c RLIKE 'z'", "SELECT * FROM t WHERE b !~* '^a' AND c ~* 'z'", []],
+      ['&& and ||', 'SELECT * FROM t WHERE a = 1 && b = 2 || c = 3', 'SELECT * FROM t WHERE a = 1 AND b = 2 OR c = 3', ['||']],
+      ['# comments', 'SELECT 1 # comment', 'SELECT 1 -- comment', []]
+    ])('%s', (name, sql, expectedSQL, expectedWarnings) => {
+      expect(translate(sql, 'mysql', 'postgresql')).toEqual({ sql: expectedSQL, warnings: expectedWarnings });
+    });
+  });
+
+  test('returns SQL unchanged for the same dialect', () => {
+    expect(dialectTranslatorService.translate('SELECT "a" FROM t', 'postgresql', 'postgresql')).toEqual({ sql: 'SELECT "a" FROM t', warnings: [] });
+  });
+
+  test('rejects unsupported dialects', () => {
+    expect(() => dialectTranslatorService.translate('SELECT 1', 'postgresql', 'sqlite')).toThrow('Invalid dialect');
+  });
+
+  test('rejects SQL that cannot be tokenized', () => {
+    expect(() => dialectTranslatorService.translate("SELECT 'open", 'postgresql', 'mysql')).toThrow('Invalid SQL: unterminated');
+    expect(() => dialectTranslatorService.translate('SELECT (1', 'postgresql', 'mysql')).toThrow('Invalid SQL: unbalanced parentheses');
+  });
+});
@@ -0,0 +1,109 @@
+const JSONStreamParser = require('../src/services/jsonStreamParser');
+
+/**
+ * JSON Stream Parser Tests
+ *
+ * Model output arrives in chunks that split anywhere, including inside escape
+ * sequences. Whatever the split, the streamed top-level string fields must add
+ * up to the values JSON.parse reads from the complete text.
+ */
+
+/**
+ * Feed chunks to a new parser and join the deltas of each field
+ * @param {Array<string>} chunks - Streamed text
+ * @returns {Object} Map of field name -> streamed text
+ */
+function stream(chunks) {
+  const parser = new JSONStreamParser();
+  const fields = {};
+
+  chunks.forEach(chunk => {
+    parser.write(chunk).forEach(({ key, delta }) => {
+      fields[key] = (fields[key] || '') + delta;
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Top-level string fields of a complete JSON text
+ * @param {string} text - JSON text
+ * @returns {Object} Map of field name -> value
+ */
+function stringFields(text) {
+  return Object.fromEntries(Object.entries(JSON.parse(text)).filter(([, value]) => typeof value === 'string'));
+}
+
+describe('JSONStreamParser', () => {
+  const responses = {
+    'plain fields': '{"sql": "SELECT 1", "explanation": "Returns one"}',
+    'single-character escapes': '{"sql": "SELECT \\"id\\"\\nFROM t\\tWHERE a = \'\\\\\' AND b = \'\\/\'", "explanation": "line\\r\\nbreak\\b\\f"}',
+    'unicode escapes': '{"sql": "SELECT \'caf\\u00e9\' AS name", "explanation": "\\u00bfQu\\u00e9? \\u20ac"}',
+    'surrogate pair escapes': '{"sql": "SELECT \'\\ud83d\\ude00\'", "explanation": "emoji"}',
+    'raw non-ASCII characters': '{"sql": "SELECT \'日本\'", "explanation": "naïve 😀 résumé"}',
+    'escaped quotes in keys': '{"a\\"b": "x", "sql": "SELECT 1"}',
+    'nested objects and arrays between fields': '{"sql": "SELECT 1", "meta": {"tables": ["a", {"b": "}\\""}], "n": [1, [2, 3]]}, "explanation": "after nested"}',
+    'scalar values between fields': '{"confidence": 0.9, "sql": "SELECT 1", "ok": true, "none": null, "explanation": "done"}',
+    'whitespace and newlines between tokens': '{\n  "sql" :\n "SELECT 1" ,\n  "explanation":"x"\n}'
+  };
+
+  describe.each(Object.entries(responses))('%s', (name, text) => {
+    test('streams the values of a single chunk', () => {
+      expect(stream([text])).toEqual(stringFields(text));
+    });
+
+    test('streams the same values for every split point', () => {
+      const expected = stringFields(text);
+
+      for (let index = 1; index < text.length; index++) {
+        expect(stream([text.slice(0, index), text.slice(index)])).toEqual(expected);
+      }
+    });
+
+    test('streams the same values one character at a time', () => {
+      expect(stream(Array.from(text))).toEqual(stringFields(text));
+    });
+  });
+
+  test('ignores a code fence before the object and text after it', () => {
+    expect(stream(['```json\n{"sql": "SEL', 'ECT 1"}\n```', ' {"sql": "ignored"}'])).toEqual({ sql: 'SELECT 1' });
+  });
+
+  test('emits each chunk of a string as soon as it arrives', () => {
+    const parser = new JSONStreamParser();
+
+    expect(parser.write('{"sql": "SELECT')).toEqual([{ key: 'sql', delta: 'SELECT' }]);
+    expect(parser.write(' 1 FROM')).toEqual([{ key: 'sql', delta: ' 1 FROM' }]);
+    expect(parser.write(' t", "expl')).toEqual([{ key: 'sql', delta: ' t' }]);
+    expect(parser.write('anation": "x"}')).toEqual([{ key: 'explanation', delta: 'x' }]);
+  });
+
+  test('holds back an escape sequence until it is complete', () => {
+    const parser = new JSONStreamParser();
+
+    expect(parser.write('{"sql": "a\\u00')).toEqual([{ key: 'sql', delta: 'a' }]);
+    expect(parser.write('e')).toEqual([]);
+    expect(parser.write('9b"}')).toEqual([{ key: 'sql', delta: 'éb' }]);
+  });
+
+  describe('truncated input', () => {
+    test('returns the text streamed before the cut without throwing', () => {
+      expect(stream(['{"sql": "SELECT id FROM us'])).toEqual({ sql: 'SELECT id FROM us' });
+    });
+
+    test('drops an escape sequence cut in the middle', () => {
+      expect(stream(['{"sql": "caf\\u00'])).toEqual({ sql: 'caf' });
+      expect(stream(['{"sql": "line\\'])).toEqual({ sql: 'line' });
+    });
+
+    test('streams nothing when cut inside a key or nested value', () => {
+      expect(stream(['{"sq'])).toEqual({});
+      expect(stream(['{"meta": {"tables": ["a", "b'])).toEqual({});
+    });
+
+    test('streams nothing for a response without an object', () => {
+      expect(stream(['I cannot answer that.'])).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,257 @@
+const sqlValidatorService = require('../src/services/sqlValidator');
+
+/**
+ * SQL Validator Tests
+ *
+ * Analytics queries the model is asked to write (CTEs, set operations, window
+ * functions, LATERAL joins) must pass, while anything that is not a single
+ * read-only SELECT must be rejected with the node that failed.
+ */
+
+/**
+ * Run the validator and return its rejection
+ * @param {string} sql - SQL to validate
+ * @param {string} [databaseType] - Database type
+ * @returns {Error|null} Rejection, or null when the SQL passed
+ */
+function getRejection(sql, databaseType) {
+  try {
+    sqlValidatorService.validate(sql, databaseType);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+describe('sqlValidator', () => {
+  describe('PostgreSQL analytics queries', () => {
+    const queries = {
+      'cohort retention with chained CTEs': `
+        WITH first_orders AS (
+          SELECT customer_id, date_trunc('month', MIN(created_at)) AS cohort_month
+          FROM orders
+          GROUP BY customer_id
+        ), activity AS (
+          SELECT o.customer_id, f.cohort_month,
+                 (EXTRACT(YEAR FROM age(date_trunc('month', o.created_at), f.cohort_month)) * 12
+                  + EXTRACT(MONTH FROM age(date_trunc('month', o.created_at), f.cohort_month)))::int AS month_number
+          FROM orders o
+          JOIN first_orders f ON f.customer_id = o.customer_id
+        )
+        SELECT cohort_month, month_number, COUNT(DISTINCT customer_id) AS customers,
+               ROUND(100.0 * COUNT(DISTINCT customer_id)
+                 / FIRST_VALUE(COUNT(DISTINCT customer_id)) OVER (PARTITION BY cohort_month ORDER BY month_number), 1) AS retention_pct
+        FROM activity
+        GROUP BY cohort_month, month_number
+        ORDER BY cohort_month, month_number;`,
+      'funnel stacked with UNION ALL': `
+        WITH steps AS (
+          SELECT 'visited' AS step, 1 AS step_order, COUNT(DISTINCT user_id) AS users FROM events WHERE name = 'page_view'
+          UNION ALL
+          SELECT 'signed_up', 2, COUNT(DISTINCT user_id) FROM events WHERE name = 'signup'
+          UNION ALL
+          SELECT 'purchased', 3, COUNT(DISTINCT user_id) FROM events WHERE name = 'purchase'
+        )
+        SELECT step, users, ROUND(100.0 * users / LAG(users) OVER (ORDER BY step_order), 1) AS conversion_pct
+        FROM steps
+        ORDER BY step_order`,
+      'running total and moving average window frames': `
+        SELECT day, revenue,
+               SUM(revenue) OVER (ORDER BY day ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW) AS running_total,
+               AVG(revenue) OVER (ORDER BY day ROWS BETWEEN 6 PRECEDING AND CURRENT ROW) AS moving_avg_7d
+        FROM (SELECT date_trunc('day', created_at) AS day, SUM(total) AS revenue FROM orders GROUP BY 1) daily
+        ORDER BY day`,
+      'rankings and quartiles': `
+        SELECT * FROM (
+          SELECT customer_id, SUM(total) AS revenue,
+                 RANK() OVER (ORDER BY SUM(total) DESC) AS revenue_rank,
+                 NTILE(4) OVER (ORDER BY SUM(total)) AS quartile
+          FROM orders
+          GROUP BY customer_id
+        ) ranked
+        WHERE revenue_rank <= 10`,
+      'named window with LAG and LEAD': `
+        SELECT customer_id, created_at,
+               total - LAG(total) OVER w AS change,
+               LEAD(created_at) OVER w AS next_order
+        FROM orders
+        WINDOW w AS (PARTITION BY customer_id ORDER BY created_at)`,
+      'top-N per group with CROSS JOIN LATERAL': `
+        SELECT c.name, recent.created_at, recent.total
+        FROM customers c
+        CROSS JOIN LATERAL (
+          SELECT o.created_at, o.total FROM orders o WHERE o.customer_id = c.id ORDER BY o.created_at DESC LIMIT 3
+        ) recent`,
+      'latest row per group with LEFT JOIN LATERAL': `
+        SELECT c.name, last_order.total
+        FROM customers c
+        LEFT JOIN LATERAL (
+          SELECT total FROM orders o WHERE o.customer_id = c.id ORDER BY created_at DESC LIMIT 1
+        ) last_order ON true`,
+      'LATERAL set-returning function': `
+        SELECT o.id, item->>'sku' AS sku
+        FROM orders o
+        CROSS JOIN LATERAL jsonb_array_elements(o.items) AS item`,
+      'recursive CTE': `
+        WITH RECURSIVE tree AS (
+          SELECT id, parent_id, 1 AS depth FROM categories WHERE parent_id IS NULL
+          UNION ALL
+          SELECT c.id, c.parent_id, t.depth + 1 FROM categories c JOIN tree t ON c.parent_id = t.id
+        )
+        SELECT * FROM tree`,
+      'materialized CTE': 'WITH totals AS MATERIALIZED (SELECT customer_id, SUM(total) AS revenue FROM orders GROUP BY 1) SELECT * FROM totals',
+      'date spine from generate_series': `
+        SELECT d::date AS day, COUNT(o.id) AS orders
+        FROM generate_series(date_trunc('day', now()) - interval '29 days', date_trunc('day', now()), interval '1 day') AS d
+        LEFT JOIN orders o ON date_trunc('day', o.created_at) = d
+        GROUP BY d
+        ORDER BY d`,
+      'conditional aggregates with FILTER': `
+        SELECT date_trunc('week', created_at) AS week,
+               COUNT(*) FILTER (WHERE status = 'paid') AS paid,
+               COUNT(*) FILTER (WHERE status = 'refunded') AS refunded
+        FROM orders
+        GROUP BY 1`,
+      'EXCEPT': "SELECT customer_id FROM orders WHERE created_at >= '2026-01-01' EXCEPT SELECT customer_id FROM orders WHERE created_at < '2026-01-01'",
+      'INTERSECT': "SELECT user_id FROM events WHERE name = 'a' INTERSECT SELECT user_id FROM events WHERE name = 'b'",
+      'ROLLUP': 'SELECT region, product, SUM(total) FROM sales GROUP BY ROLLUP (region, product)',
+      'ordered-set aggregate': 'SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY total) AS median FROM orders',
+      'DISTINCT ON': 'SELECT DISTINCT ON (customer_id) customer_id, created_at, total FROM orders ORDER BY customer_id, created_at DESC',
+      'columns named like keywords': 'SELECT last_update, created_by, deleted_at, update_count FROM inventory'
+    };
+
+    test.each(Object.entries(queries))('allows %s', (name, sql) => {
+      expect(getRejection(sql, 'postgresql')).toBeNull();
+    });
+  });
+
+  describe('MySQL analytics queries', () => {
+    const queries = {
+      'CTE with LAG': "WITH monthly AS (SELECT DATE_FORMAT(created_at, '%Y-%m') AS month, SUM(total) AS revenue FROM orders GROUP BY 1) SELECT month, revenue, revenue - LAG(revenue) OVER (ORDER BY month) AS change_from_previous FROM monthly",
+      'UNION ALL': "SELECT 'a' AS source, COUNT(*) AS n FROM a UNION ALL SELECT 'b', COUNT(*) FROM b",
+      'ROW_NUMBER': 'SELECT id, ROW_NUMBER() OVER (PARTITION BY customer_id ORDER BY created_at DESC) AS rn FROM orders',
+      'JOIN LATERAL': 'SELECT c.name, r.total FROM customers c JOIN LATERAL (SELECT total FROM orders o WHERE o.customer_id = c.id ORDER BY created_at DESC LIMIT 3) AS r ON TRUE',
+      'recursive CTE': 'WITH RECURSIVE seq AS (SELECT 1 AS n UNION ALL SELECT n + 1 FROM seq WHERE n < 10) SELECT n FROM seq'
+    };
+
+    test.each(Object.entries(queries))('allows %s', (name, sql) => {
+      expect(getRejection(sql, 'mysql')).toBeNull();
+    });
+  });
+
+  describe('rejections', () => {
+    test('rejects a second statement', () => {
+      const error = getRejection('SELECT * FROM users; DROP TABLE users;');
+
+      expect(error.code).toBe('UNSAFE_SQL');
+      expect(error.node).toEqual({ kind: 'DROP statement', path: '[1]' });
+    });
+
+    test.each([
+      ['DELETE FROM users', 'DELETE statement'],
+      ['UPDATE users SET name = NULL', 'UPDATE statement'],
+      ['INSERT INTO users (id) VALUES (1)', 'INSERT statement']
+    ])('rejects %s', (sql, kind) => {
+      expect(getRejection(sql).node).toEqual({ kind, path: '' });
+    });
+
+    test('rejects SELECT ... INTO', () => {
+      expect(getRejection('SELECT * INTO users_copy FROM users').node).toEqual({ kind: 'INTO clause', path: 'into' });
+    });
+
+    test('rejects SELECT ... INTO OUTFILE on MySQL', () => {
+      expect(getRejection("SELECT * FROM users INTO OUTFILE '/tmp/users.csv'", 'mysql').node.kind).toBe('INTO clause');
+    });
+
+    test('rejects row locks on MySQL', () => {
+      expect(getRejection('SELECT * FROM users FOR UPDATE', 'mysql').node.kind).toBe('FOR UPDATE clause');
+    });
+
+    test('rejects a side-effect function inside a subquery, naming its path', () => {
+      const error = getRejection('SELECT * FROM users WHERE id IN (SELECT pg_sleep(10))');
+
+      expect(error.node).toEqual({ kind: 'function pg_sleep', path: 'where.right.value[0].columns[0].expr' });
+      expect(error.message).toContain('function pg_sleep at where.right.value[0].columns[0].expr');
+    });
+
+    test('rejects a side-effect function inside a CTE and LATERAL join', () => {
+      expect(getRejection("WITH s AS (SELECT nextval('orders_id_seq') AS id) SELECT * FROM s").node.kind).toBe('function nextval');
+      expect(getRejection('SELECT * FROM users u CROSS JOIN LATERAL (SELECT pg_terminate_backend(u.id)) t').node.kind)
+        .toBe('function pg_terminate_backend');
+    });
+
+    test.each([
+      "SELECT table_to_xml('audit', true, false, '')",
+      "SELECT table_to_xml_and_xmlschema('users', true, false, '')",
+      "SELECT cursor_to_xml('c', 10, true, false, '')",
+      "SELECT schema_to_xml('public', true, false, '')",
+      "SELECT database_to_xmlschema(true, false, '')",
+      "SELECT pg_catalog.query_to_xml('SELECT * FROM users', true, false, '')"
+    ])('rejects the function reading tables named in a string in %s', sql => {
+      const error = getRejection(sql);
+
+      expect(error.code).toBe('UNSAFE_SQL');
+      expect(error.node.kind).toMatch(/^function \w+_xml/);
+      expect(error.message).toContain('it reads tables named in a string');
+    });
+
+    test('rejects schema-qualified side-effect functions', () => {
+      expect(getRejection("SELECT pg_catalog.pg_read_file('/etc/passwd')").node.kind).toBe('function pg_read_file');
+    });
+
+    test.each([
+      ['WITH gone AS (DELETE FROM users RETURNING *) SELECT * FROM gone', { kind: 'DELETE statement', path: 'with[0].stmt' }],
+      ['WITH kept AS (SELECT 1), changed AS (UPDATE users SET name = NULL RETURNING id) SELECT * FROM changed', { kind: 'UPDATE statement', path: 'with[1].stmt' }],
+      ['WITH added AS MATERIALIZED (INSERT INTO users (id) VALUES (1) RETURNING id) SELECT * FROM added', { kind: 'INSERT statement', path: 'with[0].stmt' }]
+    ])('rejects the data-modifying CTE in %s', (sql, node) => {
+      const error = getRejection(sql);
+
+      expect(error.code).toBe('UNSAFE_SQL');
+      expect(error.node).toEqual(node);
+      expect(error.message).toContain('only SELECT statements are allowed');
+    });
+
+    test.each([
+      ['SELECT * FROM users FOR UPDATE', 'FOR UPDATE clause'],
+      ['SELECT * FROM users FOR NO KEY UPDATE SKIP LOCKED', 'FOR NO KEY UPDATE clause'],
+      ['SELECT * FROM users FOR SHARE', 'FOR SHARE clause'],
+      ['SELECT * FROM users FOR KEY SHARE NOWAIT', 'FOR KEY SHARE clause']
+    ])('rejects the PostgreSQL row lock in %s', (sql, kind) => {
+      const error = getRejection(sql);
+
+      expect(error.node).toEqual({ kind, path: 'locking_read' });
+      expect(error.message).toContain('locking rows is not allowed');
+    });
+
+    test('does not mistake quoted text for a write or lock in SQL that does not parse', () => {
+      expect(getRejection("SELECT 'x AS (DELETE', 'FOR UPDATE' FROM").node).toEqual({ kind: 'statement', path: '' });
+    });
+
+    test('rejects SQL that does not parse, with its position', () => {
+      const error = getRejection('SELECT FROM WHERE');
+
+      expect(error.node).toEqual({ kind: 'statement', path: '' });
+      expect(error.message).toMatch(/could not be parsed as postgresql SQL at line 1, column \d+/);
+    });
+
+    test('rejects empty input', () => {
+      expect(getRejection('').message).toBe('SQL query must be a non-empty string');
+    });
+  });
+
+  describe('references', () => {
+    test('separates the column list from a table alias', () => {
+      const { aliases, renamed } = sqlValidatorService.getReferences('SELECT z FROM users AS u(x, y, z)');
+
+      expect(aliases.get('u')).toBe('users');
+      expect(renamed).toEqual([{ alias: 'u', table: 'users', columns: ['x', 'y', 'z'] }]);
+    });
+
+    test('names a subquery by its alias without the column list', () => {
+      const { derived, renamed } = sqlValidatorService.getReferences('SELECT a FROM (SELECT 1 AS b) AS s(a)');
+
+      expect(Array.from(derived)).toEqual(['s']);
+      expect(renamed).toEqual([]);
+    });
+  });
+});
@@ -77,6 +77,7 @@ async function startServer() {
     PORT: CONFIG.SERVER_PORT,
     NODE_ENV: 'test',
     // You can override any environment variables here for testing
+    // Set AI_PROVIDER=fixture in .env.test to run without an AI API key
     // OPENAI_API_KEY: 'your-test-openai-key',
     // SUPABASE_URL: 'your-test-supabase-url',
     // SUPABASE_ANON_KEY: 'your-test-supabase-key'
@@ -253,6 +254,50 @@ async function testWithRealAuth() {
   }
 }
 
+/**
+ * Test streaming query execution with real authentication
+ * With AI_PROVIDER=fixture the recorded chunks in tests/fixtures are replayed
+ */
+async function testStreamingWithRealAuth() {
+  console.log('\n📡 Testing Streaming Query Execution...');
+  
+  if (CONFIG.TEST_USER_TOKEN === 'your-real-jwt-token-here') {
+    console.log('⚠️  Skipping streaming test - no token provided');
+    return true;
+  }
+
+  try {
+    const response = await axios.post(`${CONFIG.BASE_URL}/api/query/execute/stream`, {
+      workspaceId: CONFIG.TEST_WORKSPACE_ID,
+      question: 'How many users are in the database?'
+    }, {
+      headers: { Authorization: `Bearer ${CONFIG.TEST_USER_TOKEN}` },
+      responseType: 'text'
+    });
+
+    // Parse Server-Sent Events from the buffered response body
+    const events = response.data
+      .split('\n\n')
+      .filter(block => block.startsWith('data: '))
+      .map(block => JSON.parse(block.substring(6)));
+
+    const eventTypes = events.map(event => event.type);
+    const errorEvent = events.find(event => event.type === 'error');
+
+    if (errorEvent || !eventTypes.includes('complete')) {
+      console.log('❌ Streaming query failed:', errorEvent?.message || 'stream did not complete');
+      return false;
+    }
+
+    console.log('✅ Streaming query successful!');
+    console.log('📊 Events:', [...new Set(eventTypes)].join(', '));
+    return true;
+  } catch (error) {
+    console.log('❌ Streaming query failed:', error.response?.data || error.message);
+    return false;
+  }
+}
+
 /**
  * Test workspace operations
  */
@@ -331,7 +376,8 @@ async function runTests() {
     port: CONFIG.SERVER_PORT,
     hasToken: CONFIG.TEST_USER_TOKEN !== 'your-real-jwt-token-here',
     hasWorkspaceId: CONFIG.TEST_WORKSPACE_ID !== 'your-real-workspace-id-here',
-    hasConnectionString: CONFIG.TEST_DB_CONNECTION_STRING !== 'your-real-db-connection-string-here'
+    hasConnectionString: CONFIG.TEST_DB_CONNECTION_STRING !== 'your-real-db-connection-string-here',
+    aiProvider: process.env.AI_PROVIDER || 'default'
   });
 
   try {
@@ -349,6 +395,7 @@ async function runTests() {
     
     results.push(await testAuthentication());
     results.push(await testWithRealAuth());
+    results.push(await testStreamingWithRealAuth());
     results.push(await testWorkspaceOperations());
     results.push(await testErrorHandling());
     